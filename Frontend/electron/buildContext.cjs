@@ -0,0 +1,299 @@
+/**
+ * Build Context Helpers
+ * Generates per-stack .dockerignore rules (merged with the project's own .dockerignore
+ * and .gitignore) and estimates what a build would send to the Docker daemon.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { getRuntimeName } = require('./dockerGenerator.cjs');
+
+// ========== Ignore Rules ==========
+
+// Excluded for every stack: VCS data, editor state, logs and local secrets
+const COMMON_IGNORES = [
+    '.git',
+    '**/.DS_Store',
+    '.vscode',
+    '.idea',
+    '**/*.log',
+    'Dockerfile*',
+    'docker-compose*.yml',
+    'docker-compose*.yaml',
+    '**/.env',
+    '**/.env.*',
+    '!**/.env.example',
+    '**/*.pem',
+    '**/*.key',
+    '**/id_rsa*',
+    'coverage'
+];
+
+// Dependency folders, caches and build output each toolchain recreates inside the image
+const RUNTIME_IGNORES = {
+    node: ['**/node_modules', '.npm', '.yarn/cache', '.pnpm-store', '.turbo', '.cache'],
+    python: ['**/__pycache__', '**/*.py[cod]', '.venv', 'venv', 'env', '.pytest_cache', '.mypy_cache', '.ruff_cache', '.tox', '**/*.egg-info'],
+    go: ['bin', '**/*.test'],
+    rust: ['target'],
+    java: ['target', 'build', '.gradle', '.mvn/wrapper/maven-wrapper.jar'],
+    php: ['vendor', 'node_modules', 'storage/logs', 'storage/framework/cache']
+};
+
+// Files that should never end up in an image layer
+const SENSITIVE_PATTERNS = [
+    /(^|\/)\.env(\.(?!example$|sample$|template$)[^/]+)?$/,
+    /\.(pem|key|p12|pfx|jks|keystore)$/,
+    /(^|\/)id_(rsa|dsa|ecdsa|ed25519)$/,
+    /(^|\/)(credentials|service-account)[^/]*\.json$/,
+    /(^|\/)\.(npmrc|pypirc|netrc)$/,
+    /(^|\/)\.aws\/credentials$/
+];
+
+const MAX_CONTEXT_FILES = 50000;
+
+function readIgnoreFile(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+    } catch (e) {
+        return [];
+    }
+}
+
+// .gitignore patterns match at any depth unless anchored; .dockerignore patterns are
+// relative to the context root, so unanchored ones get a **/ prefix
+function gitignoreToDockerignore(pattern) {
+    const negated = pattern.startsWith('!');
+    let body = negated ? pattern.slice(1) : pattern;
+    const trimmed = body.replace(/\/$/, '');
+
+    if (body.startsWith('/')) {
+        body = body.slice(1);
+    } else if (!trimmed.includes('/') && !trimmed.startsWith('**')) {
+        body = `**/${body}`;
+    }
+    return `${negated ? '!' : ''}${body.replace(/\/$/, '')}`;
+}
+
+// JS workspace members are built from the workspace root; their own paths are below it
+function getWorkspace(techStack) {
+    return (techStack && techStack.packageManager && techStack.packageManager.workspace) || null;
+}
+
+function inUnit(techStack, pattern) {
+    const workspace = getWorkspace(techStack);
+    return workspace ? `${workspace.dir}/${pattern}` : pattern;
+}
+
+// Build outputs the generated Dockerfile recreates, so stale local copies stay out
+function getBuildOutputIgnores(techStack) {
+    if (!techStack || !techStack.outputDir) return [];
+    if (['spa', 'node_ssr', 'nodejs'].includes(techStack.template)) return [inUnit(techStack, techStack.outputDir)];
+    return [];
+}
+
+// Files the generated Dockerfile copies by name must stay in the context
+function getRequiredFiles(techStack) {
+    if (techStack && techStack.packageManager) {
+        const workspace = getWorkspace(techStack);
+        return [
+            ...techStack.packageManager.installFiles.filter(file => !file.includes('*')),
+            ...(workspace ? workspace.manifests : [])
+        ];
+    }
+    return [];
+}
+
+// A member's .gitignore applies below the member's folder
+function getUnitGitignore(techStack) {
+    const workspace = getWorkspace(techStack);
+    if (!workspace) return [];
+    return readIgnoreFile(path.join(workspace.root, workspace.dir, '.gitignore'))
+        .map(gitignoreToDockerignore)
+        .map(rule => {
+            const negated = rule.startsWith('!');
+            const body = negated ? rule.slice(1) : rule;
+            return `${negated ? '!' : ''}${body.startsWith('**/') ? body : inUnit(techStack, body)}`;
+        });
+}
+
+// Ordered rule sections; later rules win, so the user's own .dockerignore comes last
+// and files the Dockerfile needs are re-included after everything else
+function getIgnoreSections(unitPath, techStack) {
+    const runtime = techStack && techStack.template ? getRuntimeName(techStack) : null;
+
+    const sections = [
+        { title: 'Common', rules: COMMON_IGNORES },
+        { title: `${runtime || 'Stack'} defaults`, rules: [...(RUNTIME_IGNORES[runtime] || []), ...getBuildOutputIgnores(techStack)] },
+        { title: 'From .gitignore', rules: [...readIgnoreFile(path.join(unitPath, '.gitignore')).map(gitignoreToDockerignore), ...getUnitGitignore(techStack)] },
+        { title: 'From existing .dockerignore', rules: readIgnoreFile(path.join(unitPath, '.dockerignore')) },
+        { title: 'Required by the generated Dockerfile', rules: getRequiredFiles(techStack).map(file => `!${file}`) }
+    ];
+
+    // Drop rules an earlier section already added
+    const seen = new Set();
+    return sections
+        .map(section => ({
+            ...section,
+            rules: section.rules.filter(rule => {
+                if (seen.has(rule)) return false;
+                seen.add(rule);
+                return true;
+            })
+        }))
+        .filter(section => section.rules.length > 0);
+}
+
+function getIgnoreRules(unitPath, techStack) {
+    return getIgnoreSections(unitPath, techStack).flatMap(section => section.rules);
+}
+
+// Content for Dockerfile.<service>.dockerignore (BuildKit reads it next to the Dockerfile)
+function generateDockerignore(unitPath, techStack) {
+    return getIgnoreSections(unitPath, techStack)
+        .map(section => `# ${section.title}\n${section.rules.join('\n')}`)
+        .join('\n\n') + '\n';
+}
+
+// ========== Matching ==========
+
+function patternToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more directories
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += pattern.slice(i, end + 1);
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    // A pattern that names a directory also excludes everything below it
+    return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+// Compile rules once: [{ regex, negated }]
+function compileRules(rules) {
+    return rules.map(rule => {
+        const negated = rule.startsWith('!');
+        const pattern = (negated ? rule.slice(1) : rule).replace(/^\/+/, '').replace(/\/+$/, '');
+        return { regex: patternToRegExp(pattern), negated };
+    });
+}
+
+// Docker semantics: the last matching rule decides
+function isExcluded(relativePath, compiled) {
+    let excluded = false;
+    for (const { regex, negated } of compiled) {
+        if (regex.test(relativePath)) excluded = !negated;
+    }
+    return excluded;
+}
+
+// ========== Context Estimate ==========
+
+// Walk the unit like the Docker CLI would and total what gets sent
+function analyzeBuildContext(unitPath, techStack) {
+    const rules = getIgnoreRules(unitPath, techStack);
+    const compiled = compileRules(rules);
+    // Anchored ! rules that point inside a folder force a walk of that folder
+    const negatedPaths = rules.filter(rule => rule.startsWith('!') && !rule.startsWith('!**')).map(rule => rule.slice(1).replace(/^\/+/, ''));
+
+    const result = {
+        bytes: 0,
+        fileCount: 0,
+        excludedCount: 0,
+        truncated: false,
+        sensitiveFiles: [],
+        excludedSensitiveFiles: [],
+        largestEntries: []
+    };
+    const topLevelSizes = new Map();
+
+    const walk = (dirPath) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dirPath, { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+
+        for (const entry of entries) {
+            if (result.fileCount >= MAX_CONTEXT_FILES) {
+                result.truncated = true;
+                return;
+            }
+
+            const fullPath = path.join(dirPath, entry.name);
+            const relativePath = path.relative(unitPath, fullPath).split(path.sep).join('/');
+            const excluded = isExcluded(relativePath, compiled);
+
+            if (entry.isDirectory()) {
+                // Excluded folders are skipped unless a ! rule re-includes something inside them
+                if (excluded && !negatedPaths.some(negated => negated.startsWith(`${relativePath}/`))) {
+                    result.excludedCount++;
+                    continue;
+                }
+                walk(fullPath);
+                continue;
+            }
+            if (!entry.isFile()) continue;
+
+            const sensitive = SENSITIVE_PATTERNS.some(pattern => pattern.test(relativePath));
+            if (excluded) {
+                result.excludedCount++;
+                if (sensitive) result.excludedSensitiveFiles.push(relativePath);
+                continue;
+            }
+
+            let size = 0;
+            try {
+                size = fs.statSync(fullPath).size;
+            } catch (e) {
+                continue;
+            }
+
+            result.bytes += size;
+            result.fileCount++;
+            if (sensitive) result.sensitiveFiles.push(relativePath);
+
+            const topLevel = relativePath.split('/')[0];
+            topLevelSizes.set(topLevel, (topLevelSizes.get(topLevel) || 0) + size);
+        }
+    };
+
+    walk(unitPath);
+
+    result.largestEntries = [...topLevelSizes.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([name, bytes]) => ({ name, bytes }));
+
+    return result;
+}
+
+module.exports = {
+    COMMON_IGNORES,
+    RUNTIME_IGNORES,
+    SENSITIVE_PATTERNS,
+    getIgnoreRules,
+    generateDockerignore,
+    isExcluded,
+    compileRules,
+    analyzeBuildContext
+};
@@ -0,0 +1,272 @@
+/**
+ * Build Progress
+ * Follows `compose build` output line by line and turns it into per-service steps with
+ * timings and cache hits, plus a summary of where a failed build stopped. Understands
+ * BuildKit's plain progress ("#8 [web 3/5] RUN npm ci") and the classic builders of
+ * docker-compose v1 ("Step 3/5 : RUN npm ci") and Podman ("STEP 3/5: RUN npm ci").
+ */
+
+// Output lines kept per step, for the failure summary
+const OUTPUT_TAIL = 20;
+
+// ========== Line Patterns ==========
+
+const VERTEX_NAME_PATTERN = /^#(\d+) \[([^\]]+)\] (.*)$/;
+const VERTEX_PLAIN_NAME_PATTERN = /^#(\d+) ([a-zA-Z].*)$/;
+const VERTEX_DONE_PATTERN = /^#(\d+) DONE ([\d.]+)s$/;
+const VERTEX_CACHED_PATTERN = /^#(\d+) CACHED$/;
+const VERTEX_ERROR_PATTERN = /^#(\d+) ERROR:? ?(.*)$/;
+const VERTEX_CANCELED_PATTERN = /^#(\d+) CANCELED$/;
+const VERTEX_OUTPUT_PATTERN = /^#(\d+) [\d.]+ (.*)$/;
+const STEP_INDEX_PATTERN = /^(\d+)\/(\d+)$/;
+
+const CLASSIC_SERVICE_PATTERN = /^Building (\S+)$/;
+const CLASSIC_STEP_PATTERN = /^(?:Step|STEP) (\d+)(?:\/(\d+))? ?: ?(.*)$/;
+const CLASSIC_CACHED_PATTERN = /^-{2,3}> Using cache/;
+const CLASSIC_BUILT_PATTERN = /^Successfully (?:built|tagged) /;
+const CLASSIC_ERROR_PATTERN = /^(?:ERROR: |Error: |The command '.*' returned a non-zero code)/;
+
+const SOLVE_ERROR_PATTERN = /^(?:target (\S+): )?failed to solve: (.*)$/;
+const DOCKERFILE_LINE_PATTERN = /^(Dockerfile[^\s:]*):(\d+)$/;
+
+// ========== Tracker ==========
+
+// buildServices are the compose services with a build section; output of other vertices
+// (exporting, resolving images) is left out of the per-service steps.
+function createBuildTracker(buildServices = []) {
+    const startedAt = Date.now();
+    const services = new Map(buildServices.map(service => [service, {
+        service,
+        status: 'pending',
+        total: null,
+        current: null,
+        startedAt: null,
+        finishedAt: null,
+        steps: []
+    }]));
+    const vertices = new Map(); // vertex id -> { entry, step }
+    const failure = { service: null, step: null, dockerfile: null, dockerfileLine: null, error: null, output: [] };
+    let classicService = null; // Service the classic builder is on
+    let classicStep = null;
+    let status = 'building';
+    let finishedAt = null;
+
+    // Longest first so "api-admin" wins over "admin"
+    const names = [...buildServices].sort((a, b) => b.length - a.length);
+    const findService = (text) => names.find(name => text === name || text.startsWith(`${name} `)) || null;
+
+    const startService = (entry, time) => {
+        if (entry.status === 'pending') {
+            entry.status = 'building';
+            entry.startedAt = time;
+        }
+    };
+
+    const finishStep = (step, stepStatus, time, durationMs = null) => {
+        if (!step || step.status !== 'running') return;
+        step.status = stepStatus;
+        step.finishedAt = time;
+        step.durationMs = durationMs !== null ? durationMs : time - step.startedAt;
+    };
+
+    // Done once every numbered step finished; BuildKit may run them out of order
+    const updateService = (entry, time) => {
+        const running = entry.steps.find(step => step.status === 'running');
+        entry.current = running ? running.name : null;
+        const finished = entry.steps.filter(step => step.status === 'done' || step.status === 'cached').length;
+        if (entry.total !== null && finished >= entry.total && entry.status === 'building') {
+            entry.status = 'done';
+            entry.finishedAt = time;
+        }
+    };
+
+    const addStep = (entry, id, name, index, total, time) => {
+        startService(entry, time);
+        if (total !== null) entry.total = total;
+        const step = { id, name, index, status: 'running', startedAt: time, finishedAt: null, durationMs: null, output: [] };
+        if (index !== null) entry.steps.push(step);
+        return step;
+    };
+
+    const failStep = (entry, step, error) => {
+        if (entry) {
+            entry.status = 'failed';
+            entry.finishedAt = Date.now();
+        }
+        failure.service = failure.service || (entry ? entry.service : null);
+        if (step && !failure.step) {
+            failure.step = step.name;
+            failure.output = step.output.slice(-OUTPUT_TAIL);
+        }
+        failure.error = failure.error || error;
+    };
+
+    // ========== BuildKit ==========
+
+    function pushBuildKit(line, time) {
+        let match = line.match(VERTEX_NAME_PATTERN);
+        if (match && !vertices.has(match[1])) {
+            // "[web 3/5]", "[web builder 2/6]", "[web internal]", or "[3/5]" for a single build
+            const words = match[2].split(' ');
+            const service = findService(match[2]) || (names.length === 1 ? names[0] : null);
+            const index = words[words.length - 1].match(STEP_INDEX_PATTERN);
+            const entry = service ? services.get(service) : null;
+            const step = entry
+                ? addStep(entry, match[1], `[${index ? index[0] : words.slice(1).join(' ')}] ${match[3]}`.trim(), index ? Number(index[1]) : null, index ? Number(index[2]) : null, time)
+                : { status: 'running', startedAt: time, output: [] };
+            vertices.set(match[1], { entry, step });
+            return true;
+        }
+        if ((match = line.match(VERTEX_DONE_PATTERN))) {
+            const vertex = vertices.get(match[1]);
+            if (!vertex) return false;
+            finishStep(vertex.step, 'done', time, Math.round(Number(match[2]) * 1000));
+            if (vertex.entry) updateService(vertex.entry, time);
+            return true;
+        }
+        if ((match = line.match(VERTEX_CACHED_PATTERN))) {
+            const vertex = vertices.get(match[1]);
+            if (!vertex) return false;
+            finishStep(vertex.step, 'cached', time, 0);
+            if (vertex.entry) updateService(vertex.entry, time);
+            return true;
+        }
+        if ((match = line.match(VERTEX_CANCELED_PATTERN))) {
+            const vertex = vertices.get(match[1]);
+            if (!vertex) return false;
+            finishStep(vertex.step, 'cancelled', time);
+            if (vertex.entry) updateService(vertex.entry, time);
+            return true;
+        }
+        if ((match = line.match(VERTEX_ERROR_PATTERN))) {
+            const vertex = vertices.get(match[1]);
+            if (!vertex) return false;
+            finishStep(vertex.step, 'failed', time);
+            failStep(vertex.entry, vertex.entry ? vertex.step : null, match[2]);
+            if (vertex.entry) vertex.entry.current = null;
+            return true;
+        }
+        if ((match = line.match(VERTEX_OUTPUT_PATTERN))) {
+            const vertex = vertices.get(match[1]);
+            if (!vertex) return false;
+            vertex.step.output.push(match[2]);
+            if (vertex.step.output.length > OUTPUT_TAIL) vertex.step.output.shift();
+            return false;
+        }
+        if ((match = line.match(VERTEX_PLAIN_NAME_PATTERN)) && !vertices.has(match[1])) {
+            vertices.set(match[1], { entry: null, step: { status: 'running', startedAt: time, output: [] } });
+            return false;
+        }
+        return false;
+    }
+
+    // ========== Classic builders ==========
+
+    function pushClassic(line, time) {
+        let match = line.match(CLASSIC_SERVICE_PATTERN);
+        if (match && services.has(match[1])) {
+            classicService = services.get(match[1]);
+            classicStep = null;
+            startService(classicService, time);
+            return true;
+        }
+        const entry = classicService || (names.length === 1 ? services.get(names[0]) : null);
+        if (!entry) return false;
+
+        if ((match = line.match(CLASSIC_STEP_PATTERN))) {
+            finishStep(classicStep, 'done', time);
+            const total = match[2] ? Number(match[2]) : null;
+            classicStep = addStep(entry, `${entry.service}-${match[1]}`, `[${match[1]}${total ? `/${total}` : ''}] ${match[3]}`, Number(match[1]), total, time);
+            updateService(entry, time);
+            return true;
+        }
+        if (CLASSIC_CACHED_PATTERN.test(line)) {
+            finishStep(classicStep, 'cached', time, 0);
+            updateService(entry, time);
+            return true;
+        }
+        if (CLASSIC_BUILT_PATTERN.test(line)) {
+            finishStep(classicStep, 'done', time);
+            classicStep = null;
+            if (entry.status === 'building') {
+                entry.status = 'done';
+                entry.finishedAt = time;
+            }
+            updateService(entry, time);
+            return true;
+        }
+        if (CLASSIC_ERROR_PATTERN.test(line)) {
+            finishStep(classicStep, 'failed', time);
+            failStep(entry, classicStep, line.replace(/^(?:ERROR|Error): /, ''));
+            entry.current = null;
+            return true;
+        }
+        if (classicStep && classicStep.status === 'running' && !/^-{2,3}> /.test(line)) {
+            classicStep.output.push(line);
+            if (classicStep.output.length > OUTPUT_TAIL) classicStep.output.shift();
+        }
+        return false;
+    }
+
+    return {
+        // Feed one line of output. Returns whether the progress changed.
+        push(line) {
+            const time = Date.now();
+            const text = line.trim();
+            if (!text) return false;
+
+            let match = text.match(SOLVE_ERROR_PATTERN);
+            if (match) {
+                const entry = match[1] ? services.get(match[1]) : null;
+                if (entry && entry.status !== 'failed') failStep(entry, null, match[2]);
+                failure.service = failure.service || (entry ? entry.service : null);
+                failure.error = match[2];
+                return true;
+            }
+            if ((match = text.match(DOCKERFILE_LINE_PATTERN))) {
+                failure.dockerfile = match[1];
+                failure.dockerfileLine = Number(match[2]);
+                return true;
+            }
+            return text.startsWith('#') ? pushBuildKit(text, time) : pushClassic(text, time);
+        },
+
+        // The build exited; what is still running finished with it. error explains a
+        // failure the output can't, like a build that never started.
+        finish(code, cancelled = false, error = null) {
+            const time = Date.now();
+            finishedAt = time;
+            status = cancelled ? 'cancelled' : code === 0 ? 'succeeded' : 'failed';
+            services.forEach((entry) => {
+                entry.steps.forEach(step => finishStep(step, code === 0 ? 'done' : 'cancelled', time));
+                entry.current = null;
+                if (entry.status === 'failed' || entry.status === 'done') return;
+                if (code === 0) {
+                    entry.status = 'done';
+                } else if (cancelled || entry.status === 'building') {
+                    entry.status = 'cancelled';
+                }
+                if (entry.startedAt || code === 0) entry.finishedAt = time;
+            });
+            if (status === 'failed' && !failure.error) failure.error = error || `Build exited with code ${code}`;
+        },
+
+        // Serializable: { status, startedAt, finishedAt, services: [...], failure }
+        snapshot() {
+            return {
+                status,
+                startedAt,
+                finishedAt,
+                services: [...services.values()].map(entry => ({
+                    ...entry,
+                    steps: entry.steps.map(({ output, ...step }) => step)
+                })),
+                failure: status === 'failed' || failure.error ? { ...failure } : null
+            };
+        }
+    };
+}
+
+module.exports = {
+    createBuildTracker
+};
@@ -0,0 +1,291 @@
+/**
+ * Compose File Helpers
+ * Parses, edits and serializes docker-compose files through a real YAML document
+ * so user comments, key order and quoting survive every read/write.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const YAML = require('yaml');
+
+const COMPOSE_FILE_NAMES = ['docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml'];
+
+// ========== Reading & Writing ==========
+
+// Find the compose file in a directory (docker-compose.yml takes precedence)
+function findComposeFile(dirPath) {
+    for (const name of COMPOSE_FILE_NAMES) {
+        const filePath = path.join(dirPath, name);
+        if (fs.existsSync(filePath)) return filePath;
+    }
+    return null;
+}
+
+function parseCompose(content) {
+    const doc = YAML.parseDocument(content);
+    if (doc.errors.length > 0) {
+        throw new Error(`Invalid compose YAML: ${doc.errors[0].message}`);
+    }
+    return doc;
+}
+
+function readComposeFile(filePath) {
+    return parseCompose(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeComposeFile(filePath, doc) {
+    fs.writeFileSync(filePath, doc.toString());
+}
+
+// Port mappings like "2222:22" are quoted so YAML 1.1 parsers don't read them as base-60 ints
+function quotePortScalars(doc) {
+    YAML.visit(doc, {
+        Scalar(key, node) {
+            if (typeof node.value === 'string' && node.value.includes(':') && /^[\d[][\d.:[\]-]*(\/[a-z]+)?$/.test(node.value)) {
+                node.type = 'QUOTE_DOUBLE';
+            }
+        }
+    });
+}
+
+// Serialize a plain compose object (used for files we generate from scratch)
+function stringifyCompose(obj) {
+    const doc = new YAML.Document(obj);
+    quotePortScalars(doc);
+    return doc.toString();
+}
+
+// ========== Services ==========
+
+function getServiceNames(doc) {
+    const services = doc.get('services');
+    if (!YAML.isMap(services)) return [];
+    return services.items.map(pair => String(YAML.isScalar(pair.key) ? pair.key.value : pair.key));
+}
+
+function getService(doc, serviceName) {
+    const service = doc.getIn(['services', serviceName]);
+    return YAML.isMap(service) ? service : null;
+}
+
+// Summarize services for pickers: [{ name, image, hasBuild, ports: [containerPort] }]
+function listServices(doc) {
+    return getServiceNames(doc).map(name => {
+        const service = getService(doc, name);
+        const ports = new Set();
+
+        const published = doc.getIn(['services', name, 'ports']);
+        if (YAML.isSeq(published)) {
+            published.items.forEach(item => {
+                const parsed = parsePortEntry(item);
+                if (!isNaN(parsed.containerPort)) ports.add(parsed.containerPort);
+            });
+        }
+
+        const exposed = doc.getIn(['services', name, 'expose']);
+        if (YAML.isSeq(exposed)) {
+            exposed.items.forEach(item => {
+                const port = parseInt(YAML.isScalar(item) ? item.value : item);
+                if (!isNaN(port)) ports.add(port);
+            });
+        }
+
+        return {
+            name,
+            image: service ? service.get('image') || null : null,
+            hasBuild: service ? service.has('build') : false,
+            ports: [...ports]
+        };
+    });
+}
+
+// ========== Ports ==========
+
+// Parse a compose port entry (short "[ip:][host:]container[/proto]" or long-form map)
+function parsePortEntry(entry) {
+    if (YAML.isMap(entry)) entry = entry.toJSON();
+    if (YAML.isScalar(entry)) entry = entry.value;
+
+    if (entry && typeof entry === 'object') {
+        return {
+            hostIp: entry.host_ip || null,
+            hostPort: entry.published !== undefined ? parseInt(entry.published) : null,
+            containerPort: parseInt(entry.target),
+            protocol: entry.protocol || 'tcp',
+            long: true
+        };
+    }
+
+    let value = String(entry);
+    let protocol = 'tcp';
+    const slash = value.lastIndexOf('/');
+    if (slash !== -1) {
+        protocol = value.slice(slash + 1);
+        value = value.slice(0, slash);
+    }
+
+    let hostIp = null;
+    if (value.startsWith('[')) {
+        const end = value.indexOf(']');
+        hostIp = value.slice(1, end);
+        value = value.slice(end + 2);
+    }
+
+    const parts = value.split(':');
+    if (parts.length === 3) hostIp = parts.shift();
+
+    const [hostPart, containerPart] = parts.length === 2 ? parts : [null, parts[0]];
+
+    return {
+        hostIp: hostIp || null,
+        hostPort: hostPart ? parseInt(hostPart) : null,
+        containerPort: parseInt(containerPart),
+        protocol,
+        long: false
+    };
+}
+
+function formatPortEntry({ hostIp, hostPort, containerPort, protocol }) {
+    let value = hostPort ? `${hostPort}:${containerPort}` : `${containerPort}`;
+    if (hostIp) value = `${hostIp.includes(':') ? `[${hostIp}]` : hostIp}:${value}`;
+    if (protocol && protocol !== 'tcp') value += `/${protocol}`;
+    return value;
+}
+
+// List every published port of every service: [{ service, hostIp, hostPort, containerPort, protocol }]
+function getPortMappings(doc) {
+    const mappings = [];
+    for (const serviceName of getServiceNames(doc)) {
+        const ports = doc.getIn(['services', serviceName, 'ports']);
+        if (!YAML.isSeq(ports)) continue;
+        ports.items.forEach(item => {
+            const parsed = parsePortEntry(item);
+            if (isNaN(parsed.containerPort)) return;
+            mappings.push({ service: serviceName, ...parsed });
+        });
+    }
+    return mappings;
+}
+
+// Change a published host port; only touches the given service when one is named
+function updatePublishedPort(doc, { service, oldPort, newPort }) {
+    let updated = 0;
+    const serviceNames = service ? [service] : getServiceNames(doc);
+
+    for (const serviceName of serviceNames) {
+        const ports = doc.getIn(['services', serviceName, 'ports']);
+        if (!YAML.isSeq(ports)) continue;
+
+        ports.items.forEach((item, index) => {
+            const parsed = parsePortEntry(item);
+            if (parsed.hostPort !== oldPort) return;
+
+            if (YAML.isMap(item)) {
+                item.set('published', typeof item.get('published') === 'string' ? String(newPort) : newPort);
+            } else {
+                const node = doc.createNode(formatPortEntry({ ...parsed, hostPort: newPort }));
+                node.type = 'QUOTE_DOUBLE';
+                if (YAML.isScalar(item)) node.comment = item.comment;
+                ports.items[index] = node;
+            }
+            updated++;
+        });
+    }
+
+    return updated;
+}
+
+// ========== Environment ==========
+
+// Read a service's environment as a plain object (list or map syntax)
+function getServiceEnvironment(doc, serviceName) {
+    const env = doc.getIn(['services', serviceName, 'environment']);
+    const result = {};
+
+    if (YAML.isSeq(env)) {
+        env.items.forEach(item => {
+            const entry = String(YAML.isScalar(item) ? item.value : item);
+            const eq = entry.indexOf('=');
+            if (eq === -1) result[entry] = null;
+            else result[entry.slice(0, eq)] = entry.slice(eq + 1);
+        });
+    } else if (YAML.isMap(env)) {
+        Object.assign(result, env.toJSON());
+    }
+
+    return result;
+}
+
+// Set (or remove, when value is null) a variable in one service's environment
+function setServiceEnvironment(doc, serviceName, key, value) {
+    if (!getService(doc, serviceName)) {
+        throw new Error(`Service "${serviceName}" not found`);
+    }
+
+    const env = doc.getIn(['services', serviceName, 'environment']);
+
+    if (YAML.isMap(env)) {
+        if (value === null) env.delete(key);
+        else env.set(key, String(value));
+        return;
+    }
+
+    if (YAML.isSeq(env)) {
+        const index = env.items.findIndex(item => {
+            const entry = String(YAML.isScalar(item) ? item.value : item);
+            return entry === key || entry.startsWith(`${key}=`);
+        });
+        if (value === null) {
+            if (index !== -1) env.items.splice(index, 1);
+        } else if (index !== -1) {
+            env.items[index] = doc.createNode(`${key}=${value}`);
+        } else {
+            env.add(doc.createNode(`${key}=${value}`));
+        }
+        return;
+    }
+
+    if (value !== null) {
+        doc.setIn(['services', serviceName, 'environment'], doc.createNode([`${key}=${value}`]));
+    }
+}
+
+// Add or remove one env_file entry; other env files on the service are left alone.
+// The service entry is created when missing so override files can carry env_file alone.
+function setServiceEnvFile(doc, serviceName, filePath, enabled) {
+    const current = doc.getIn(['services', serviceName, 'env_file']);
+    let entries = [];
+    if (YAML.isSeq(current)) entries = current.toJSON();
+    else if (YAML.isScalar(current)) entries = [current.value];
+    else if (typeof current === 'string') entries = [current];
+
+    const remaining = entries.filter(entry => (typeof entry === 'string' ? entry : entry.path) !== filePath);
+    const next = enabled ? [...remaining, filePath] : remaining;
+
+    if (next.length > 0) {
+        doc.setIn(['services', serviceName, 'env_file'], doc.createNode(next));
+    } else if (doc.hasIn(['services', serviceName, 'env_file'])) {
+        doc.deleteIn(['services', serviceName, 'env_file']);
+        const service = getService(doc, serviceName);
+        if (service && service.items.length === 0) doc.deleteIn(['services', serviceName]);
+    }
+}
+
+module.exports = {
+    COMPOSE_FILE_NAMES,
+    findComposeFile,
+    parseCompose,
+    readComposeFile,
+    writeComposeFile,
+    stringifyCompose,
+    getServiceNames,
+    getService,
+    listServices,
+    parsePortEntry,
+    formatPortEntry,
+    getPortMappings,
+    updatePublishedPort,
+    getServiceEnvironment,
+    setServiceEnvironment,
+    setServiceEnvFile
+};
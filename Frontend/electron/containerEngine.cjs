@@ -0,0 +1,102 @@
+/**
+ * Container Engine
+ * Which Compose implementation runs the projects' containers: the Docker Compose v2 plugin,
+ * the legacy docker-compose binary, or Podman's compose. The first one found is used unless
+ * a specific engine is picked in the settings.
+ */
+
+const { exec } = require('child_process');
+
+// In order of preference. `runtime` is the CLI for commands outside compose (inspect).
+// `buildkit` engines build with BuildKit (cache mounts, <Dockerfile>.dockerignore); Podman
+// builds with Buildah, which reads the context's .containerignore instead.
+const ENGINES = [
+    { id: 'docker-compose-plugin', name: 'Docker Compose v2', compose: 'docker compose', runtime: 'docker', noColor: true, buildkit: true },
+    { id: 'docker-compose', name: 'docker-compose (v1)', compose: 'docker-compose', runtime: 'docker', noColor: true, buildkit: true },
+    { id: 'podman-compose-plugin', name: 'Podman Compose', compose: 'podman compose', runtime: 'podman', noColor: true, buildkit: false },
+    // podman-compose's logs has no --no-color
+    { id: 'podman-compose', name: 'podman-compose', compose: 'podman-compose', runtime: 'podman', noColor: false, buildkit: false }
+];
+
+function getEngine(engineId) {
+    return ENGINES.find(engine => engine.id === engineId) || null;
+}
+
+// ========== Detection ==========
+
+function checkVersion(engine) {
+    return new Promise((resolve) => {
+        exec(`${engine.compose} version`, { timeout: 10000 }, (error, stdout) => {
+            resolve(error ? null : stdout.trim().split('\n')[0]);
+        });
+    });
+}
+
+// Every engine with whether it is installed: [{ id, name, installed, version }]
+let detection = null;
+
+function detectEngines() {
+    if (!detection) {
+        detection = Promise.all(ENGINES.map(async (engine) => {
+            const version = await checkVersion(engine);
+            return { id: engine.id, name: engine.name, installed: version !== null, version };
+        }));
+    }
+    return detection;
+}
+
+// Detect again, after something was installed or the override changed
+function resetDetection() {
+    detection = null;
+}
+
+// The engine to run compose with: the override when it is installed, else the first
+// installed one. { engine, version, overridden } or null when there is none.
+async function resolveEngine(overrideId = null) {
+    const found = await detectEngines();
+    const installed = found.filter(result => result.installed);
+    const picked = installed.find(result => result.id === overrideId) || installed[0];
+    if (!picked) return null;
+    return { engine: getEngine(picked.id), version: picked.version, overridden: picked.id === overrideId };
+}
+
+// ========== Commands ==========
+
+// A compose command line; fileArgs are the `-f` arguments. Without an installed engine
+// the preferred one is used, so the shell reports what is missing.
+function composeCommand(engine, fileArgs, args) {
+    return [(engine || ENGINES[0]).compose, ...fileArgs, ...args].join(' ');
+}
+
+// `logs` arguments that keep color codes out of the terminal, where supported
+function noColorArgs(engine) {
+    return (engine || ENGINES[0]).noColor ? ['--no-color'] : [];
+}
+
+function runtimeCommand(engine, args) {
+    return [(engine || ENGINES[0]).runtime, ...args].join(' ');
+}
+
+function usesBuildKit(engine) {
+    return (engine || ENGINES[0]).buildkit;
+}
+
+// Environment for commands that may build. docker-compose v1 only hands builds to BuildKit
+// when asked to; plain progress keeps the output parseable per step.
+function buildEnv(engine) {
+    if (!usesBuildKit(engine)) return {};
+    return { DOCKER_BUILDKIT: '1', COMPOSE_DOCKER_CLI_BUILD: '1', BUILDKIT_PROGRESS: 'plain' };
+}
+
+module.exports = {
+    ENGINES,
+    getEngine,
+    detectEngines,
+    resetDetection,
+    resolveEngine,
+    composeCommand,
+    noColorArgs,
+    runtimeCommand,
+    usesBuildKit,
+    buildEnv
+};
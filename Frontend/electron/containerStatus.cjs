@@ -0,0 +1,99 @@
+/**
+ * Container Status
+ * Reads what compose reports about a project's containers (`ps --format json`, or
+ * `docker inspect` where compose can't print JSON) and derives the state of the project
+ * as a whole from its services.
+ */
+
+// ========== Parsing ==========
+
+// Field names differ in case between compose releases ("State" vs "state")
+function field(record, name) {
+    if (record[name] !== undefined) return record[name];
+    const key = Object.keys(record).find(k => k.toLowerCase() === name.toLowerCase());
+    return key ? record[key] : undefined;
+}
+
+function toExitCode(value) {
+    const code = Number(value);
+    return Number.isFinite(code) ? code : null;
+}
+
+// `compose ps --format json`: one JSON array (before v2.21) or one object per line (since)
+function parseComposePs(output) {
+    const text = String(output || '').trim();
+    if (!text) return [];
+
+    const records = text.startsWith('[')
+        ? JSON.parse(text)
+        : text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+
+    return records.map(record => ({
+        service: field(record, 'Service') || field(record, 'Name'),
+        name: field(record, 'Name') || null,
+        state: String(field(record, 'State') || 'unknown').toLowerCase(),
+        health: String(field(record, 'Health') || '').toLowerCase() || null,
+        exitCode: toExitCode(field(record, 'ExitCode'))
+    }));
+}
+
+// `docker inspect` of the containers `compose ps -q` listed (docker-compose v1)
+function parseInspect(output) {
+    const records = JSON.parse(String(output || '[]'));
+    return records.map((record) => {
+        const labels = (record.Config && record.Config.Labels) || {};
+        const state = record.State || {};
+        return {
+            service: labels['com.docker.compose.service'] || String(record.Name || '').replace(/^\//, ''),
+            name: String(record.Name || '').replace(/^\//, '') || null,
+            state: String(state.Status || 'unknown').toLowerCase(),
+            health: (state.Health && String(state.Health.Status).toLowerCase()) || null,
+            exitCode: toExitCode(state.ExitCode)
+        };
+    });
+}
+
+// ========== Project State ==========
+
+const isUp = service => service.state === 'running';
+// A one-off container (migrations, seeders) that finished cleanly isn't a failure
+const isDone = service => service.state === 'exited' && service.exitCode === 0;
+
+// One of: stopped, starting, running, healthy, unhealthy, partial, exited.
+// Returns { state, exitCode } where exitCode is the first failing service's code.
+function deriveProjectState(services) {
+    if (services.length === 0) return { state: 'stopped', exitCode: null };
+
+    const failed = services.find(service => !isUp(service) && !isDone(service) && service.exitCode);
+    const up = services.filter(isUp);
+
+    if (up.length === 0) {
+        // Restarting after a crash, over and over
+        if (services.some(service => service.state === 'restarting')) return { state: 'unhealthy', exitCode: failed ? failed.exitCode : null };
+        if (services.some(service => service.state === 'created') && !failed) return { state: 'starting', exitCode: null };
+        return { state: 'exited', exitCode: failed ? failed.exitCode : 0 };
+    }
+    if (services.some(service => service.state === 'restarting' || service.health === 'unhealthy')) {
+        return { state: 'unhealthy', exitCode: failed ? failed.exitCode : null };
+    }
+    if (services.some(service => !isUp(service) && !isDone(service) && service.state !== 'created')) {
+        return { state: 'partial', exitCode: failed ? failed.exitCode : null };
+    }
+    if (services.some(service => service.state === 'created' || service.health === 'starting')) {
+        return { state: 'starting', exitCode: null };
+    }
+    const checked = up.filter(service => service.health);
+    return { state: checked.length > 0 && checked.length === up.length ? 'healthy' : 'running', exitCode: null };
+}
+
+// Whether the state means the project is serving anything at all
+function isActiveState(state) {
+    return state !== 'stopped' && state !== 'exited';
+}
+
+module.exports = {
+    parseComposePs,
+    parseInspect,
+    deriveProjectState,
+    isActiveState
+};
@@ -0,0 +1,92 @@
+/**
+ * Env File Helpers
+ * Parses and writes dotenv-style files for the per-project environment editor.
+ */
+
+// Files offered for import, in the order they're listed
+const ENV_SOURCE_FILES = ['.env', '.env.local', '.env.development', '.env.production', '.env.example', '.env.sample'];
+
+// Keys that are treated as secrets when imported
+const SECRET_KEY_PATTERN = /(SECRET|TOKEN|PASSWORD|PASSWD|PRIVATE|CREDENTIAL|API_?KEY|ACCESS_?KEY|AUTH)/i;
+
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+function looksSecret(key) {
+    return SECRET_KEY_PATTERN.test(key);
+}
+
+function isValidEnvKey(key) {
+    return ENV_KEY_PATTERN.test(key);
+}
+
+// Index of the first unescaped double quote, or -1
+function findClosingQuote(text) {
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '"') return i;
+    }
+    return -1;
+}
+
+// Parse KEY=value lines (export prefixes, quotes, inline comments): [{ key, value }]
+function parseEnvFile(content) {
+    const variables = [];
+    const lines = content.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+        if (!match) continue;
+
+        const key = match[1];
+        let value = match[2];
+
+        if (value.startsWith("'")) {
+            const end = value.indexOf("'", 1);
+            value = end === -1 ? value.slice(1) : value.slice(1, end);
+        } else if (value.startsWith('"')) {
+            // Double-quoted values support escapes and may span lines
+            let raw = value.slice(1);
+            let end = findClosingQuote(raw);
+            while (end === -1 && i + 1 < lines.length) {
+                raw += `\n${lines[++i]}`;
+                end = findClosingQuote(raw);
+            }
+            value = (end === -1 ? raw : raw.slice(0, end))
+                .replace(/\\(["\\n])/g, (_, char) => (char === 'n' ? '\n' : char));
+        } else {
+            value = value.replace(/\s+#.*$/, '').trim();
+        }
+
+        const existing = variables.findIndex(v => v.key === key);
+        if (existing !== -1) variables.splice(existing, 1);
+        variables.push({ key, value });
+    }
+
+    return variables;
+}
+
+// Quote only when compose would otherwise misread the value
+function formatEnvValue(value) {
+    const text = String(value ?? '');
+    if (text === '' || /^[^\s"'#\\]+$/.test(text)) return text;
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+// Write [{ key, value }] as an env_file compose can read
+function stringifyEnvFile(variables, header = '') {
+    const lines = variables
+        .filter(v => v.key && isValidEnvKey(v.key))
+        .map(v => `${v.key}=${formatEnvValue(v.value)}`);
+    return `${header ? `${header}\n` : ''}${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    ENV_SOURCE_FILES,
+    looksSecret,
+    isValidEnvKey,
+    parseEnvFile,
+    stringifyEnvFile
+};
@@ -0,0 +1,100 @@
+/**
+ * Log Streams
+ * Tags process output with the project and service it came from, and keeps a short
+ * backlog per project so a terminal opened later (or after switching tabs) starts with
+ * what was already printed.
+ */
+
+// Entries kept per project; each entry is one chunk of consecutive lines from one service
+const BACKLOG_LIMIT = 2000;
+
+// projectId -> [{ id, projectId, service, type, data, time }]
+const backlogs = new Map();
+let nextLogId = 1;
+
+// ========== Line Parsing ==========
+
+// compose prefixes container output with the container: "web-1  | ..." (v2),
+// "myproject_web_1  | ..." (v1); BuildKit prefixes build steps with "#8 [web 3/5]"
+const COMPOSE_PREFIX_PATTERN = /^([a-zA-Z0-9][a-zA-Z0-9_.-]*)\s+\|\s?(.*)$/;
+const BUILDKIT_STEP_PATTERN = /^#\d+ \[([a-zA-Z0-9][a-zA-Z0-9_.-]*?)(?: [^\]]*)?\]/;
+
+// Splits a stream into complete lines; a trailing partial line waits for the next chunk
+function createLineBuffer(onLines) {
+    let pending = '';
+    return {
+        push(chunk) {
+            const lines = (pending + chunk.toString()).split(/\r?\n/);
+            pending = lines.pop();
+            if (lines.length > 0) onLines(lines);
+        },
+        flush() {
+            if (pending) onLines([pending]);
+            pending = '';
+        }
+    };
+}
+
+// Returns line => { service, message } for a project's compose services. Container
+// names carry the compose project and replica number, so the prefix is matched against
+// the known service names; without a match the line belongs to the project as a whole.
+function createComposeTagger(serviceNames = []) {
+    // Longest first so "api-admin" wins over "admin"
+    const services = [...serviceNames].sort((a, b) => b.length - a.length);
+    const findService = (name) => services.find(service =>
+        name === service || new RegExp(`(^|[-_])${service.replace(/[.]/g, '\\.')}([-_]\\d+)?$`).test(name)
+    );
+
+    return (line) => {
+        const composeMatch = line.match(COMPOSE_PREFIX_PATTERN);
+        if (composeMatch) {
+            const service = findService(composeMatch[1]);
+            if (service) return { service, message: composeMatch[2] };
+        }
+        const buildMatch = line.match(BUILDKIT_STEP_PATTERN);
+        return { service: (buildMatch && findService(buildMatch[1])) || null, message: line };
+    };
+}
+
+// Consecutive lines of the same service as one chunk: [{ service, data }]
+function groupLinesByService(lines, tag) {
+    const groups = [];
+    for (const line of lines) {
+        const { service, message } = tag(line);
+        const last = groups[groups.length - 1];
+        if (last && last.service === service) {
+            last.data += `\n${message}`;
+        } else {
+            groups.push({ service, data: message });
+        }
+    }
+    return groups;
+}
+
+// ========== Backlog ==========
+
+function recordLog(projectId, service, type, data) {
+    const entry = { id: nextLogId++, projectId, service: service || null, type, data, time: new Date().toISOString() };
+    const backlog = backlogs.get(projectId) || [];
+    backlog.push(entry);
+    if (backlog.length > BACKLOG_LIMIT) backlog.splice(0, backlog.length - BACKLOG_LIMIT);
+    backlogs.set(projectId, backlog);
+    return entry;
+}
+
+function getBacklog(projectId) {
+    return [...(backlogs.get(projectId) || [])];
+}
+
+function clearBacklog(projectId) {
+    backlogs.delete(projectId);
+}
+
+module.exports = {
+    createLineBuffer,
+    createComposeTagger,
+    groupLinesByService,
+    recordLog,
+    getBacklog,
+    clearBacklog
+};
@@ -2,7 +2,99 @@ const { app, BrowserWindow, ipcMain, shell, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { exec, spawn } = require('child_process');
-const { getDockerfileForTech, generateDockerCompose, yamlStringify } = require('./dockerGenerator.cjs');
+const {
+    GENERATED_MARKER,
+    getUnitServiceName,
+    getBackendTarget,
+    getDockerfileForTech,
+    getBuildContext,
+    stripCacheMounts,
+    generateDockerCompose,
+    generateTunnelOverride,
+    databaseConfigs,
+    createDatabaseCredentials,
+    getContainerDatabases,
+    getDatabaseEnv,
+    getUnitPort,
+    getTunnelTargets
+} = require('./dockerGenerator.cjs');
+const { scanProject } = require('./projectScanner.cjs');
+const { generateDockerignore, analyzeBuildContext } = require('./buildContext.cjs');
+const {
+    findComposeFile,
+    readComposeFile,
+    writeComposeFile,
+    stringifyCompose,
+    getServiceNames,
+    listServices,
+    getPortMappings,
+    updatePublishedPort,
+    setServiceEnvironment,
+    setServiceEnvFile
+} = require('./composeFile.cjs');
+const { ENV_SOURCE_FILES, looksSecret, parseEnvFile, stringifyEnvFile } = require('./envFile.cjs');
+const { encryptSecret, decryptSecret, decryptJson, isEncrypted, generatePassword } = require('./secretStore.cjs');
+const {
+    TUNNEL_NAME,
+    NGROK_REGIONS,
+    OAUTH_PROVIDERS,
+    normalizeTunnelSettings,
+    validateTunnelSettings,
+    readConfigEndpoints
+} = require('./tunnelConfig.cjs');
+const {
+    DEFAULT_PROVIDER_ID,
+    tunnelProviders,
+    getTunnelProvider,
+    createTunnelServices,
+    findTunnelSidecars
+} = require('./tunnelProviders.cjs');
+const {
+    planNativeUnits,
+    resolveStartCommand,
+    buildProcessEnv,
+    startStaticServer
+} = require('./nativeRunner.cjs');
+const {
+    registerProcess,
+    registerHandle,
+    stopProject,
+    stopAll,
+    hasProcesses,
+    getProjectStatus,
+    listProjectStatuses
+} = require('./processRegistry.cjs');
+const {
+    createLineBuffer,
+    createComposeTagger,
+    groupLinesByService,
+    recordLog,
+    getBacklog,
+    clearBacklog
+} = require('./logStream.cjs');
+const { parseComposePs, parseInspect, deriveProjectState, isActiveState } = require('./containerStatus.cjs');
+const {
+    normalizeReadiness,
+    validateReadiness,
+    getProbe,
+    checkHttp,
+    checkTcp,
+    waitFor
+} = require('./readinessProbe.cjs');
+const { listTunnels, listRequests, getRequest, replayRequest } = require('./requestInspector.cjs');
+const { recordSample, getHistory, clearHistory } = require('./tunnelMetrics.cjs');
+const { createBuildTracker } = require('./buildProgress.cjs');
+const {
+    getEngine,
+    detectEngines,
+    resetDetection,
+    resolveEngine,
+    composeCommand,
+    noColorArgs,
+    runtimeCommand,
+    usesBuildKit,
+    buildEnv
+} = require('./containerEngine.cjs');
 
 let mainWindow;
 
@@ -31,7 +123,12 @@ function createWindow() {
     });
 }
 
-app.on('ready', createWindow);
+app.on('ready', () => {
+    migrateNgrokToken();
+    createWindow();
+    startStatusReconciler();
+    startMetricsSampler();
+});
 
 app.on('window-all-closed', function () {
     if (process.platform !== 'darwin') {
@@ -64,14 +161,21 @@ ipcMain.handle('check-dependency', async (event, dep) => {
     };
 
     switch (dep) {
-        case 'docker':
-            return await checkCommand('docker');
-        case 'ngrok':
-            return await checkCommand('ngrok');
+        case 'docker': {
+            // Any engine that can run compose projects counts, and it is named in the result
+            resetDetection();
+            const resolved = await getContainerEngine();
+            if (!resolved) return { installed: false, version: null, engine: null };
+            return { installed: true, version: `${resolved.engine.name} · ${resolved.version}`, engine: resolved.engine.id };
+        }
         case 'node':
             return await checkCommand('node');
-        default:
-            return { installed: false, version: null };
+        default: {
+            // Tunnel providers; the mock one needs nothing installed
+            const provider = tunnelProviders[dep];
+            if (!provider) return { installed: false, version: null };
+            return provider.cli ? await checkCommand(provider.cli) : { installed: true, version: 'built in' };
+        }
     }
 });
 
@@ -83,16 +187,24 @@ ipcMain.handle('install-dependency', async (event, dep) => {
             linux: 'curl -fsSL https://get.docker.com | sudo sh',
             win32: 'winget install Docker.DockerDesktop',
         },
-        ngrok: {
-            linux: 'wget -qO- https://bin.equinox.io/c/bNyj1mQVY4c/ngrok-v3-stable-linux-amd64.tgz | sudo tar xvz -C /usr/local/bin',
-            win32: 'winget install ngrok.ngrok',
-        },
         node: {
             linux: 'curl -fsSL https://nodejs.org/dist/v20.11.0/node-v20.11.0-linux-x64.tar.xz | sudo tar -xJ -C /usr/local --strip-components=1',
             win32: 'winget install OpenJS.NodeJS.LTS',
         },
     };
 
+    // Tunnel provider CLIs (ngrok, cloudflared, bore, frpc)
+    Object.values(tunnelProviders).forEach(provider => {
+        if (provider.install) installCommands[provider.id] = provider.install;
+    });
+
+    // CLIs without a packaged installer for this platform: open their download page
+    if (installCommands[dep] && !installCommands[dep][platform] && installCommands[dep].page) {
+        await shell.openExternal(installCommands[dep].page);
+        mainWindow.webContents.send('install-output', { dep, data: `Opened the download page for ${dep}.\n` });
+        return { success: true, output: 'Opened download page' };
+    }
+
     if (!installCommands[dep] || !installCommands[dep][platform]) {
         return { success: false, error: `No install command for ${dep} on ${platform}` };
     }
@@ -132,8 +244,10 @@ ipcMain.handle('install-dependency', async (event, dep) => {
         // Download page fallbacks
         const downloadPages = {
             docker: 'https://www.docker.com/products/docker-desktop/',
-            ngrok: 'https://ngrok.com/download',
             node: 'https://nodejs.org/en/download/',
+            ...Object.fromEntries(Object.values(tunnelProviders)
+                .filter(provider => provider.install)
+                .map(provider => [provider.id, provider.install.page]))
         };
 
         // First check if winget exists
@@ -149,7 +263,7 @@ ipcMain.handle('install-dependency', async (event, dep) => {
                     resolve({ success: true, output: 'Opened download page' });
                 } else {
                     // winget available, try to install
-                    const psCmd = `powershell -Command "Start-Process powershell -Verb RunAs -ArgumentList 'winget install ${dep === 'docker' ? 'Docker.DockerDesktop' : dep === 'ngrok' ? 'ngrok.ngrok' : 'OpenJS.NodeJS.LTS'}; pause'"`;
+                    const psCmd = `powershell -Command "Start-Process powershell -Verb RunAs -ArgumentList '${command}; pause'"`;
 
                     exec(psCmd, (error) => {
                         if (error) {
@@ -194,268 +308,10 @@ ipcMain.handle('select-folder', async () => {
     return { success: true, path: result.filePaths[0] };
 });
 
-// Detect databases from a directory
-function detectDatabases(dirPath) {
-    const files = fs.readdirSync(dirPath);
-    const databases = [];
-
-    const addDb = (name, icon, image) => {
-        if (!databases.find(d => d.name === name)) {
-            databases.push({ name, icon, image });
-        }
-    };
-
-    // ========== Node.js (package.json) ==========
-    if (files.includes('package.json')) {
-        try {
-            const pkgPath = path.join(dirPath, 'package.json');
-            const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-            const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-
-            if (deps['mysql'] || deps['mysql2']) addDb('MySQL', '🐬', 'mysql:8');
-            if (deps['pg'] || deps['postgres'] || deps['postgresql']) addDb('PostgreSQL', '🐘', 'postgres:15');
-            if (deps['mongoose'] || deps['mongodb']) addDb('MongoDB', '🍃', 'mongo:6');
-            if (deps['redis'] || deps['ioredis']) addDb('Redis', '🔴', 'redis:7');
-            if (deps['sqlite3'] || deps['better-sqlite3']) addDb('SQLite', '📁', null);
-        } catch (e) { /* ignore */ }
-    }
-
-    // ========== Python (requirements.txt, pyproject.toml) ==========
-    const pythonFiles = ['requirements.txt', 'pyproject.toml', 'Pipfile'];
-    for (const pyFile of pythonFiles) {
-        if (files.includes(pyFile)) {
-            try {
-                const content = fs.readFileSync(path.join(dirPath, pyFile), 'utf8').toLowerCase();
-                if (content.includes('mysqlclient') || content.includes('pymysql') || content.includes('mysql-connector')) addDb('MySQL', '🐬', 'mysql:8');
-                if (content.includes('psycopg') || content.includes('asyncpg') || content.includes('pg8000')) addDb('PostgreSQL', '🐘', 'postgres:15');
-                if (content.includes('pymongo') || content.includes('motor')) addDb('MongoDB', '🍃', 'mongo:6');
-                if (content.includes('redis') || content.includes('aioredis')) addDb('Redis', '🔴', 'redis:7');
-                if (content.includes('sqlite') || content.includes('aiosqlite') || content.includes('sqlalchemy')) addDb('SQLite', '📁', null);
-            } catch (e) { /* ignore */ }
-        }
-    }
-
-    // ========== Go (go.mod) ==========
-    if (files.includes('go.mod')) {
-        try {
-            const content = fs.readFileSync(path.join(dirPath, 'go.mod'), 'utf8').toLowerCase();
-            if (content.includes('mysql') || content.includes('go-sql-driver')) addDb('MySQL', '🐬', 'mysql:8');
-            if (content.includes('pq') || content.includes('pgx') || content.includes('lib/pq')) addDb('PostgreSQL', '🐘', 'postgres:15');
-            if (content.includes('mongo')) addDb('MongoDB', '🍃', 'mongo:6');
-            if (content.includes('redis') || content.includes('go-redis')) addDb('Redis', '🔴', 'redis:7');
-            if (content.includes('sqlite') || content.includes('go-sqlite3') || content.includes('mattn')) addDb('SQLite', '📁', null);
-            // GORM drivers
-            if (content.includes('gorm.io/driver/mysql')) addDb('MySQL', '🐬', 'mysql:8');
-            if (content.includes('gorm.io/driver/postgres')) addDb('PostgreSQL', '🐘', 'postgres:15');
-            if (content.includes('gorm.io/driver/sqlite')) addDb('SQLite', '📁', null);
-        } catch (e) { /* ignore */ }
-    }
-
-    // ========== Java (pom.xml, build.gradle) ==========
-    if (files.includes('pom.xml')) {
-        try {
-            const content = fs.readFileSync(path.join(dirPath, 'pom.xml'), 'utf8').toLowerCase();
-            if (content.includes('mysql-connector') || content.includes('mysql:mysql')) addDb('MySQL', '🐬', 'mysql:8');
-            if (content.includes('postgresql') || content.includes('org.postgresql')) addDb('PostgreSQL', '🐘', 'postgres:15');
-            if (content.includes('mongodb') || content.includes('mongo-java-driver')) addDb('MongoDB', '🍃', 'mongo:6');
-            if (content.includes('jedis') || content.includes('lettuce') || content.includes('spring-data-redis')) addDb('Redis', '🔴', 'redis:7');
-            if (content.includes('sqlite') || content.includes('xerial')) addDb('SQLite', '📁', null);
-        } catch (e) { /* ignore */ }
-    }
-    if (files.includes('build.gradle') || files.includes('build.gradle.kts')) {
-        try {
-            const gradleFile = files.includes('build.gradle') ? 'build.gradle' : 'build.gradle.kts';
-            const content = fs.readFileSync(path.join(dirPath, gradleFile), 'utf8').toLowerCase();
-            if (content.includes('mysql-connector') || content.includes('mysql:mysql')) addDb('MySQL', '🐬', 'mysql:8');
-            if (content.includes('postgresql') || content.includes('org.postgresql')) addDb('PostgreSQL', '🐘', 'postgres:15');
-            if (content.includes('mongodb') || content.includes('mongo')) addDb('MongoDB', '🍃', 'mongo:6');
-            if (content.includes('jedis') || content.includes('lettuce') || content.includes('redis')) addDb('Redis', '🔴', 'redis:7');
-            if (content.includes('sqlite') || content.includes('xerial')) addDb('SQLite', '📁', null);
-        } catch (e) { /* ignore */ }
-    }
-
-    // ========== PHP (composer.json) ==========
-    if (files.includes('composer.json')) {
-        try {
-            const content = fs.readFileSync(path.join(dirPath, 'composer.json'), 'utf8').toLowerCase();
-            if (content.includes('mysql') || content.includes('pdo_mysql') || content.includes('doctrine/dbal')) addDb('MySQL', '🐬', 'mysql:8');
-            if (content.includes('postgresql') || content.includes('pdo_pgsql') || content.includes('pgsql')) addDb('PostgreSQL', '🐘', 'postgres:15');
-            if (content.includes('mongodb') || content.includes('mongo')) addDb('MongoDB', '🍃', 'mongo:6');
-            if (content.includes('predis') || content.includes('phpredis') || content.includes('redis')) addDb('Redis', '🔴', 'redis:7');
-            if (content.includes('sqlite') || content.includes('pdo_sqlite')) addDb('SQLite', '📁', null);
-        } catch (e) { /* ignore */ }
-    }
-
-    // ========== Rust (Cargo.toml) ==========
-    if (files.includes('Cargo.toml')) {
-        try {
-            const content = fs.readFileSync(path.join(dirPath, 'Cargo.toml'), 'utf8').toLowerCase();
-            if (content.includes('mysql') || content.includes('sqlx') && content.includes('mysql')) addDb('MySQL', '🐬', 'mysql:8');
-            if (content.includes('postgres') || content.includes('tokio-postgres') || content.includes('sqlx') && content.includes('postgres')) addDb('PostgreSQL', '🐘', 'postgres:15');
-            if (content.includes('mongodb')) addDb('MongoDB', '🍃', 'mongo:6');
-            if (content.includes('redis')) addDb('Redis', '🔴', 'redis:7');
-            if (content.includes('sqlite') || content.includes('rusqlite') || content.includes('sqlx') && content.includes('sqlite')) addDb('SQLite', '📁', null);
-        } catch (e) { /* ignore */ }
-    }
-
-    return databases;
-}
-
-
-// Detect tech stack from a directory
-function detectTechStack(dirPath) {
-    const files = fs.readdirSync(dirPath);
-    const techStacks = [];
-
-    // Check for package.json
-    if (files.includes('package.json')) {
-        try {
-            const pkgPath = path.join(dirPath, 'package.json');
-            const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-            const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-
-            if (deps['next']) techStacks.push({ name: 'Next.js', type: 'fullstack', icon: '⚡' });
-            else if (deps['react']) techStacks.push({ name: 'React', type: 'frontend', icon: '⚛️' });
-            else if (deps['vue']) techStacks.push({ name: 'Vue.js', type: 'frontend', icon: '💚' });
-            else if (deps['svelte']) techStacks.push({ name: 'Svelte', type: 'frontend', icon: '🔥' });
-            else if (deps['express']) techStacks.push({ name: 'Express', type: 'backend', icon: '🚀' });
-            else if (deps['fastify']) techStacks.push({ name: 'Fastify', type: 'backend', icon: '⚡' });
-            else if (deps['nestjs'] || deps['@nestjs/core']) techStacks.push({ name: 'NestJS', type: 'backend', icon: '🐱' });
-            else techStacks.push({ name: 'Node.js', type: 'backend', icon: '📦' });
-        } catch (e) {
-            techStacks.push({ name: 'Node.js', type: 'unknown', icon: '📦' });
-        }
-    }
-
-    // Check for Go
-    if (files.includes('go.mod')) {
-        techStacks.push({ name: 'Go', type: 'backend', icon: '🐹' });
-    }
-
-    // Check for Python
-    if (files.includes('requirements.txt') || files.includes('pyproject.toml') || files.includes('Pipfile')) {
-        if (files.includes('manage.py')) {
-            techStacks.push({ name: 'Django', type: 'backend', icon: '🐍' });
-        } else {
-            techStacks.push({ name: 'Python', type: 'backend', icon: '🐍' });
-        }
-    }
-
-    // Check for Rust
-    if (files.includes('Cargo.toml')) {
-        techStacks.push({ name: 'Rust', type: 'backend', icon: '🦀' });
-    }
-
-    // Check for Java
-    if (files.includes('pom.xml') || files.includes('build.gradle')) {
-        techStacks.push({ name: 'Java', type: 'backend', icon: '☕' });
-    }
-
-    // Check for PHP
-    if (files.includes('composer.json')) {
-        techStacks.push({ name: 'PHP', type: 'backend', icon: '🐘' });
-    }
-
-    // Check for static HTML
-    if (files.includes('index.html') && techStacks.length === 0) {
-        techStacks.push({ name: 'Static HTML', type: 'frontend', icon: '📄' });
-    }
-
-    // Check for Dockerfile
-    if (files.includes('Dockerfile') || files.includes('docker-compose.yml') || files.includes('docker-compose.yaml')) {
-        techStacks.push({ name: 'Docker', type: 'containerized', icon: '🐳' });
-    }
-
-    return techStacks.length > 0 ? techStacks : [{ name: 'Unknown', type: 'unknown', icon: '❓' }];
-}
-
 // Scan project structure
-// Helper to get default port based on tech stack
-function getDefaultPort(techStacks, type) {
-    if (type === 'backend') return 8080;
-    if (type === 'frontend') {
-        if (techStacks && techStacks.length > 0) {
-            const tech = techStacks[0].name.toLowerCase();
-            // Nginx based
-            if (tech.includes('react') || tech.includes('vue') || tech.includes('svelte') ||
-                tech.includes('static') || tech.includes('html')) {
-                return 80;
-            }
-        }
-        return 3000;
-    }
-    return 3000; // fallback
-}
-
 ipcMain.handle('scan-project', async (event, projectPath) => {
     try {
-        const items = fs.readdirSync(projectPath, { withFileTypes: true });
-        const directories = items.filter(item => item.isDirectory()).map(item => item.name);
-
-        const result = {
-            path: projectPath,
-            name: path.basename(projectPath),
-            structure: [],
-            databases: [],
-            hasDockerfile: fs.existsSync(path.join(projectPath, 'Dockerfile')) ||
-                fs.existsSync(path.join(projectPath, 'docker-compose.yml'))
-        };
-
-        // Look for frontend/backend directories (case-insensitive)
-        const frontendDir = directories.find(d => d.toLowerCase() === 'frontend');
-        const backendDir = directories.find(d => d.toLowerCase() === 'backend');
-
-        if (frontendDir) {
-            const frontendPath = path.join(projectPath, frontendDir);
-            const techStacks = await detectTechStack(frontendPath); // Assuming detectTechStack is async or sync? It's likely sync based on usage below
-            result.structure.push({
-                name: frontendDir,
-                type: 'frontend',
-                path: frontendPath,
-                techStacks: techStacks,
-                databases: detectDatabases(frontendPath),
-                port: getDefaultPort(techStacks, 'frontend')
-            });
-            // Merge databases to project level
-            result.databases.push(...detectDatabases(frontendPath));
-        }
-
-        if (backendDir) {
-            const backendPath = path.join(projectPath, backendDir);
-            const techStacks = await detectTechStack(backendPath);
-            result.structure.push({
-                name: backendDir,
-                type: 'backend',
-                path: backendPath,
-                techStacks: techStacks,
-                databases: detectDatabases(backendPath),
-                port: getDefaultPort(techStacks, 'backend')
-            });
-            // Merge databases to project level
-            result.databases.push(...detectDatabases(backendPath));
-        }
-
-        // If no frontend/backend structure, scan root
-        if (result.structure.length === 0) {
-            const rootDatabases = detectDatabases(projectPath);
-            const techStacks = await detectTechStack(projectPath);
-            result.structure.push({
-                name: path.basename(projectPath),
-                type: 'root',
-                path: projectPath,
-                techStacks: techStacks,
-                databases: rootDatabases,
-                port: getDefaultPort(techStacks, 'root')
-            });
-            result.databases.push(...rootDatabases);
-        }
-
-        // Deduplicate databases at project level
-        result.databases = result.databases.filter((db, index, self) =>
-            index === self.findIndex(d => d.name === db.name)
-        );
-
-        return { success: true, project: result };
+        return { success: true, project: scanProject(projectPath) };
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -511,25 +367,278 @@ ipcMain.handle('check-ngrok-configured', async () => {
     });
 });
 
+// ========== Ngrok Profiles ==========
+
+// Named ngrok accounts: { id, name, token } with the token encrypted. Tokens are handed to
+// ngrok through the environment of the processes we spawn, never through files or command lines.
+function getNgrokProfiles() {
+    return getStorageData().ngrokProfiles || [];
+}
+
+// The requested profile, falling back to the default (or first) one when it was removed
+function getNgrokProfile(profileId) {
+    const data = getStorageData();
+    const profiles = data.ngrokProfiles || [];
+    return profiles.find(p => p.id === profileId)
+        || profiles.find(p => p.id === data.defaultNgrokProfileId)
+        || profiles[0]
+        || null;
+}
+
+function getNgrokToken(profileId) {
+    const profile = getNgrokProfile(profileId);
+    return profile ? decryptSecret(profile.token) : null;
+}
+
+function isValidNgrokToken(token) {
+    return /^[A-Za-z0-9_-]{20,}$/.test(token);
+}
+
+// Only the last characters are ever shown, to tell accounts apart
+function describeNgrokProfile(profile, defaultId) {
+    const token = decryptSecret(profile.token);
+    return {
+        id: profile.id,
+        name: profile.name,
+        isDefault: profile.id === defaultId,
+        tokenHint: token ? `…${token.slice(-4)}` : null
+    };
+}
+
+// Older versions kept one token, in plaintext (app data and generated compose files)
+// or encrypted as `ngrokToken`; both become the "Default" profile
+function migrateNgrokToken() {
+    const data = getStorageData();
+    if (!data.ngrokKey && !data.ngrokToken) return;
+
+    const token = data.ngrokKey;
+    if (!data.ngrokProfiles || data.ngrokProfiles.length === 0) {
+        data.ngrokProfiles = [{ id: 'default', name: 'Default', token: token ? encryptSecret(token) : data.ngrokToken }];
+        data.defaultNgrokProfileId = 'default';
+    }
+    delete data.ngrokKey;
+    delete data.ngrokToken;
+    saveStorageData(data);
+    if (!token) return;
+
+    // Strip the token from compose files we generated, including copies applied to projects
+    const dockerFilesDir = path.join(app.getPath('userData'), 'docker-files');
+    const candidates = (data.projects || []).map(project => path.join(project.path || '', 'docker-compose.yml'));
+    if (fs.existsSync(dockerFilesDir)) {
+        for (const projectId of fs.readdirSync(dockerFilesDir)) {
+            candidates.push(
+                path.join(dockerFilesDir, projectId, 'docker-compose.yml'),
+                path.join(dockerFilesDir, projectId, OVERRIDE_FILE_NAME)
+            );
+        }
+    }
+
+    for (const filePath of candidates) {
+        if (!isOurGeneratedFile(filePath)) continue;
+        const content = fs.readFileSync(filePath, 'utf8');
+        if (content.includes(token)) {
+            fs.writeFileSync(filePath, content.split(`NGROK_AUTHTOKEN=${token}`).join('NGROK_AUTHTOKEN'));
+        }
+    }
+}
+
+// First-run setup: store the token as a new profile (the default one if it's the first)
 ipcMain.handle('setup-ngrok-key', async (event, authToken) => {
-    return new Promise((resolve) => {
-        exec(`ngrok config add-authtoken ${authToken}`, (error, stdout, stderr) => {
-            if (error) {
-                resolve({ success: false, error: stderr || error.message });
-            } else {
-                // Store the key in our app data as well
-                const data = getStorageData();
-                data.ngrokKey = authToken;
-                saveStorageData(data);
-                resolve({ success: true });
-            }
-        });
+    const token = (authToken || '').trim();
+    if (!isValidNgrokToken(token)) {
+        return { success: false, error: 'That doesn\'t look like an ngrok authtoken' };
+    }
+
+    const data = getStorageData();
+    const profiles = data.ngrokProfiles || [];
+    const profile = { id: Date.now().toString(), name: profiles.length === 0 ? 'Default' : `Account ${profiles.length + 1}`, token: encryptSecret(token) };
+    data.ngrokProfiles = [...profiles, profile];
+    if (!profiles.some(p => p.id === data.defaultNgrokProfileId)) {
+        data.defaultNgrokProfileId = profile.id;
+    }
+    saveStorageData(data);
+    return { success: true, profileId: profile.id };
+});
+
+// The renderer only needs to know whether a token is set, never the token itself
+ipcMain.handle('has-ngrok-key', async (event, profileId) => {
+    return Boolean(getNgrokToken(profileId));
+});
+
+ipcMain.handle('list-ngrok-profiles', async () => {
+    const defaultId = getNgrokProfile(null)?.id || null;
+    return {
+        profiles: getNgrokProfiles().map(profile => describeNgrokProfile(profile, defaultId)),
+        defaultProfileId: defaultId
+    };
+});
+
+// Add a profile (no id) or update one; the token is only replaced when a new one is given
+ipcMain.handle('save-ngrok-profile', async (event, { id, name, token }) => {
+    const trimmedName = (name || '').trim();
+    const trimmedToken = (token || '').trim();
+    if (!trimmedName) {
+        return { success: false, error: 'Give the profile a name' };
+    }
+
+    const data = getStorageData();
+    const profiles = data.ngrokProfiles || [];
+    if (profiles.some(p => p.id !== id && p.name.toLowerCase() === trimmedName.toLowerCase())) {
+        return { success: false, error: `A profile named "${trimmedName}" already exists` };
+    }
+    if ((!id || trimmedToken) && !isValidNgrokToken(trimmedToken)) {
+        return { success: false, error: 'That doesn\'t look like an ngrok authtoken' };
+    }
+
+    if (id) {
+        const profile = profiles.find(p => p.id === id);
+        if (!profile) {
+            return { success: false, error: 'Profile not found' };
+        }
+        profile.name = trimmedName;
+        if (trimmedToken) profile.token = encryptSecret(trimmedToken);
+    } else {
+        profiles.push({ id: Date.now().toString(), name: trimmedName, token: encryptSecret(trimmedToken) });
+    }
+
+    data.ngrokProfiles = profiles;
+    if (!profiles.some(p => p.id === data.defaultNgrokProfileId)) {
+        data.defaultNgrokProfileId = profiles[0].id;
+    }
+    saveStorageData(data);
+    return { success: true };
+});
+
+// Projects that used a removed profile fall back to the default one
+ipcMain.handle('remove-ngrok-profile', async (event, profileId) => {
+    const data = getStorageData();
+    data.ngrokProfiles = (data.ngrokProfiles || []).filter(p => p.id !== profileId);
+    if (data.defaultNgrokProfileId === profileId) {
+        data.defaultNgrokProfileId = data.ngrokProfiles[0]?.id || null;
+    }
+    saveStorageData(data);
+    return { success: true };
+});
+
+ipcMain.handle('set-default-ngrok-profile', async (event, profileId) => {
+    const data = getStorageData();
+    if (!(data.ngrokProfiles || []).some(p => p.id === profileId)) {
+        return { success: false, error: 'Profile not found' };
+    }
+    data.defaultNgrokProfileId = profileId;
+    saveStorageData(data);
+    return { success: true };
+});
+
+// ========== Tunnel Providers ==========
+
+// Projects use their own provider, else the global default (ngrok unless changed)
+function getProjectTunnelProvider(project = {}) {
+    return getTunnelProvider(project.tunnelProvider || getStorageData().defaultTunnelProvider || DEFAULT_PROVIDER_ID);
+}
+
+// Credentials for a provider: ngrok's come from the project's profile, the others from
+// tunnelProviderSettings with secret fields encrypted
+function getProviderCredentials(provider, project = {}) {
+    if (provider.id === 'ngrok') {
+        return { authtoken: getNgrokToken(project.ngrokProfileId) };
+    }
+    const stored = (getStorageData().tunnelProviderSettings || {})[provider.id] || {};
+    const credentials = {};
+    provider.fields.forEach(field => {
+        const value = stored[field.key] || '';
+        credentials[field.key] = field.secret ? decryptSecret(value) || '' : value;
+    });
+    return credentials;
+}
+
+// Error message when the provider can't run for this project yet, else null
+function checkTunnelCredentials(project, provider = getProjectTunnelProvider(project)) {
+    return provider.validateCredentials(getProviderCredentials(provider, project));
+}
+
+// Environment for processes that start a tunnel (compose sidecars or a host CLI): secrets
+// are handed over here, never through files or command lines
+function getTunnelEnv(project, provider = getProjectTunnelProvider(project)) {
+    return { ...process.env, ...provider.env(getProviderCredentials(provider, project)) };
+}
+
+// What the Tunnels tab shows; secret values are only reported as set or not
+function describeTunnelProvider(provider, data) {
+    const stored = (data.tunnelProviderSettings || {})[provider.id] || {};
+    const values = {};
+    provider.fields.forEach(field => {
+        values[field.key] = field.secret ? '' : stored[field.key] || '';
+    });
+    return {
+        id: provider.id,
+        name: provider.name,
+        description: provider.description,
+        cli: provider.cli,
+        fields: provider.fields.map(({ key, label, placeholder = '', secret = false, required = false }) => ({ key, label, placeholder, secret, required })),
+        values,
+        secretsSet: provider.fields.filter(field => field.secret && stored[field.key]).map(field => field.key),
+        configured: provider.id === 'ngrok'
+            ? getNgrokProfiles().length > 0
+            : !provider.validateCredentials(getProviderCredentials(provider)),
+        isDefault: provider.id === (data.defaultTunnelProvider || DEFAULT_PROVIDER_ID),
+        supportsSettings: Boolean(provider.supportsSettings)
+    };
+}
+
+ipcMain.handle('list-tunnel-providers', async () => {
+    const data = getStorageData();
+    return {
+        providers: Object.values(tunnelProviders).map(provider => describeTunnelProvider(provider, data)),
+        defaultProviderId: data.defaultTunnelProvider || DEFAULT_PROVIDER_ID
+    };
+});
+
+// Empty secret fields keep the stored value, like replacing an ngrok token
+ipcMain.handle('save-tunnel-provider', async (event, providerId, values) => {
+    const provider = tunnelProviders[providerId];
+    if (!provider || provider.fields.length === 0) {
+        return { success: false, error: 'This provider has nothing to configure' };
+    }
+
+    const data = getStorageData();
+    const stored = (data.tunnelProviderSettings || {})[providerId] || {};
+    const next = {};
+    provider.fields.forEach(field => {
+        const value = String(values[field.key] || '').trim();
+        if (field.secret) {
+            next[field.key] = value ? encryptSecret(value) : stored[field.key] || '';
+        } else {
+            next[field.key] = value;
+        }
     });
+
+    // Only presence is checked, so the encrypted secrets can stand in for the values
+    const error = provider.validateCredentials(next);
+    if (error) {
+        return { success: false, error };
+    }
+
+    data.tunnelProviderSettings = { ...(data.tunnelProviderSettings || {}), [providerId]: next };
+    saveStorageData(data);
+    return { success: true };
 });
 
-ipcMain.handle('get-ngrok-key', async () => {
+ipcMain.handle('set-default-tunnel-provider', async (event, providerId) => {
+    if (!tunnelProviders[providerId]) {
+        return { success: false, error: 'Unknown tunnel provider' };
+    }
     const data = getStorageData();
-    return data.ngrokKey || null;
+    data.defaultTunnelProvider = providerId;
+    saveStorageData(data);
+    return { success: true };
+});
+
+// Whether the provider a project would use (or the one passed in) has its credentials
+ipcMain.handle('check-tunnel-provider', async (event, project) => {
+    const provider = getProjectTunnelProvider(project);
+    const error = checkTunnelCredentials(project, provider);
+    return { ready: !error, providerId: provider.id, error };
 });
 
 // ========== Docker Generation & Execution ==========
@@ -543,42 +652,167 @@ function getDockerDir(projectId) {
     return dockerDir;
 }
 
-// Marker comment to identify files we generated
-const GENERATED_MARKER = '# Generated by Auto_LocalToPublicServer_ngrok_forDemo - Safe to delete';
+// Override layered on top of a user's own compose file to add the ngrok sidecar
+const OVERRIDE_FILE_NAME = 'docker-compose.localdeploy.yml';
+
+// Resolve the compose files for a run: explicit list, else the one in dockerDir
+function resolveComposeFiles(dockerDir, composeFiles) {
+    if (composeFiles && composeFiles.length > 0) return composeFiles;
+    const composePath = findComposeFile(dockerDir);
+    return composePath ? [composePath] : [];
+}
+
+// `-f` arguments for docker-compose (quoted, since spawn runs through a shell)
+function composeFileArgs(composeFiles) {
+    return (composeFiles || []).flatMap(file => ['-f', `"${file}"`]);
+}
+
+// ========== Container Engine ==========
+
+// The engine picked in the settings (or the first one found) with its version
+function getContainerEngine() {
+    return resolveEngine(getStorageData().containerEngine || null);
+}
+
+async function currentEngine() {
+    const resolved = await getContainerEngine();
+    return resolved ? resolved.engine : null;
+}
+
+// A compose command line for the project's files, run with the current engine
+async function compose(composeFiles, args) {
+    return composeCommand(await currentEngine(), composeFileArgs(composeFiles), args);
+}
+
+ipcMain.handle('get-container-engine', async () => {
+    const [engines, resolved] = await Promise.all([detectEngines(), getContainerEngine()]);
+    return {
+        engines,
+        activeId: resolved ? resolved.engine.id : null,
+        overrideId: getStorageData().containerEngine || null
+    };
+});
+
+// null goes back to detecting the engine
+ipcMain.handle('set-container-engine', async (event, engineId) => {
+    if (engineId && !getEngine(engineId)) {
+        return { success: false, error: 'Unknown container engine' };
+    }
+    const data = getStorageData();
+    if (engineId) data.containerEngine = engineId;
+    else delete data.containerEngine;
+    saveStorageData(data);
+    resetDetection();
+    return { success: true };
+});
+
+// ========== Project Logs ==========
+
+// Record output under its project and service, and pass it to the open terminals.
+// service is null for output that belongs to the project as a whole.
+function emitLog(projectId, service, type, data) {
+    const entry = recordLog(projectId, service, type, data.toString().replace(/\n$/, ''));
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('docker-output', entry);
+    }
+}
+
+// Every service declared across the project's compose files
+function getComposeServiceNames(dockerDir, composeFiles) {
+    try {
+        return [...new Set(resolveComposeFiles(dockerDir, composeFiles).flatMap(file => getServiceNames(readComposeFile(file))))];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Split a compose process's output by the service prefix on each line
+function streamComposeOutput(projectId, child, serviceNames) {
+    const tag = createComposeTagger(serviceNames);
+    for (const type of ['stdout', 'stderr']) {
+        const lines = createLineBuffer((chunk) => {
+            groupLinesByService(chunk, tag).forEach(({ service, data }) => emitLog(projectId, service, type, data));
+        });
+        child[type].on('data', data => lines.push(data));
+        child[type].on('end', () => lines.flush());
+    }
+}
 
 // Generate all Docker files for a project
 ipcMain.handle('generate-docker-files', async (event, project) => {
     try {
         const dockerDir = getDockerDir(project.id);
-        const ngrokKey = getStorageData().ngrokKey;
-
-        if (!ngrokKey) {
-            return { success: false, error: 'Ngrok key not configured' };
+        const provider = getProjectTunnelProvider(project);
+        const credentialError = checkTunnelCredentials(project, provider);
+        if (credentialError) {
+            return { success: false, error: credentialError };
         }
 
         const generatedFiles = [];
 
-        const hasBackend = project.structure.some(s => s.type === 'backend');
-
-        // Generate Dockerfiles for each structure item (frontend/backend)
-        for (const item of project.structure) {
-            if (item.techStacks && item.techStacks.length > 0) {
-                const dockerfileContent = getDockerfileForTech(item.techStacks[0], hasBackend);
-                // Add marker at the top
-                const dockerfile = `${GENERATED_MARKER}\n${dockerfileContent}`;
-                const dockerfilePath = path.join(dockerDir, `Dockerfile.${item.type}`);
-                fs.writeFileSync(dockerfilePath, dockerfile);
-                generatedFiles.push({
-                    type: item.type,
-                    path: dockerfilePath,
-                    content: dockerfile
-                });
-            }
-        }
+        const backend = getBackendTarget(project);
+        const buildkit = usesBuildKit(await currentEngine());
+        const contextIgnores = new Map(); // Build context -> ignore sections, without BuildKit
+
+        // Generate a Dockerfile for each deployable unit
+        project.structure.forEach((item, index) => {
+            if (item.type === 'library' || !item.techStacks || item.techStacks.length === 0) return;
+
+            const serviceName = getUnitServiceName(item, index);
+            const dockerfileContent = getDockerfileForTech(item.techStacks[0], backend, item);
+            // Add marker at the top
+            const dockerfile = `${GENERATED_MARKER}\n${buildkit ? dockerfileContent : stripCacheMounts(dockerfileContent)}`;
+            const dockerfilePath = path.join(dockerDir, `Dockerfile.${serviceName}`);
+            fs.writeFileSync(dockerfilePath, dockerfile);
+            generatedFiles.push({
+                type: item.type,
+                service: serviceName,
+                path: dockerfilePath,
+                content: dockerfile
+            });
+
+            // BuildKit picks up <Dockerfile>.dockerignore over the context's own .dockerignore
+            const context = getBuildContext(item);
+            const rules = generateDockerignore(context, item.techStacks[0]);
+            const dockerignore = `${GENERATED_MARKER}\n${rules}`;
+            const dockerignorePath = `${dockerfilePath}.dockerignore`;
+            fs.writeFileSync(dockerignorePath, dockerignore);
+            generatedFiles.push({
+                type: 'dockerignore',
+                service: serviceName,
+                path: dockerignorePath,
+                content: dockerignore
+            });
+            if (!buildkit) contextIgnores.set(context, [...(contextIgnores.get(context) || []), `# ${serviceName}\n${rules}`]);
+        });
+
+        // Buildah only reads the context's own ignore file. It prefers .containerignore, so the
+        // user's .dockerignore is left alone; a .containerignore of their own is kept too.
+        contextIgnores.forEach((sections, context) => {
+            const ignorePath = path.join(context, '.containerignore');
+            if (fs.existsSync(ignorePath) && !isOurGeneratedFile(ignorePath)) return;
+            const content = `${GENERATED_MARKER}\n${sections.join('\n')}`;
+            fs.writeFileSync(ignorePath, content);
+            generatedFiles.push({ type: 'dockerignore', path: ignorePath, content });
+        });
 
         // Generate docker-compose.yml with marker
-        const composeConfig = generateDockerCompose(project, ngrokKey);
-        const composeYaml = `${GENERATED_MARKER}\n${yamlStringify(composeConfig)}`;
+        const databaseEnvFiles = writeDatabaseEnvFiles(project, ensureDatabaseCredentials(project));
+        const envFiles = mergeEnvFiles(databaseEnvFiles, writeProjectEnvFiles(project.id, getProjectEnv(project.id)));
+        const targets = getTunnelTargets(project, getTunnelSettings(project.id).exposed);
+        const apiPorts = await allocateApiPorts(targets.length);
+        if (!apiPorts) {
+            return { success: false, error: 'No free port for the tunnel API' };
+        }
+        const composeConfig = generateDockerCompose(project, dockerDir, envFiles, {
+            provider,
+            targets,
+            apiPorts,
+            configPath: writeTunnelConfig(project, provider, targets),
+            credentials: getProviderCredentials(provider, project),
+            projectId: project.id
+        });
+        const composeYaml = `${GENERATED_MARKER}\n${stringifyCompose(composeConfig)}`;
         const composePath = path.join(dockerDir, 'docker-compose.yml');
         fs.writeFileSync(composePath, composeYaml);
         generatedFiles.push({
@@ -597,34 +831,61 @@ ipcMain.handle('generate-docker-files', async (event, project) => {
     }
 });
 
+// Estimate each unit's build context with the generated ignore rules applied
+ipcMain.handle('analyze-build-context', async (event, project) => {
+    try {
+        const units = [];
+        project.structure.forEach((item, index) => {
+            if (item.type === 'library' || !item.techStacks || item.techStacks.length === 0) return;
+            units.push({
+                service: getUnitServiceName(item, index),
+                path: getBuildContext(item),
+                ...analyzeBuildContext(getBuildContext(item), item.techStacks[0])
+            });
+        });
+        return { success: true, units };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
 // Copy Docker files to user's project
 ipcMain.handle('apply-docker-to-project', async (event, project, dockerDir) => {
     try {
-        const files = fs.readdirSync(dockerDir);
         const copiedFiles = [];
+        const dockerfiles = {}; // service -> Dockerfile path relative to its build context
+
+        // Each unit's Dockerfile.<service> becomes <unit>/Dockerfile
+        project.structure.forEach((item, index) => {
+            const serviceName = getUnitServiceName(item, index);
+            const src = path.join(dockerDir, `Dockerfile.${serviceName}`);
+            if (!fs.existsSync(src)) return;
+
+            const dest = path.join(item.path, 'Dockerfile');
+            fs.copyFileSync(src, dest);
+            copiedFiles.push(dest);
+            dockerfiles[serviceName] = path.relative(getBuildContext(item), dest).split(path.sep).join('/');
+
+            // Kept beside the Dockerfile so the user's own .dockerignore is left alone
+            if (fs.existsSync(`${src}.dockerignore`)) {
+                fs.copyFileSync(`${src}.dockerignore`, `${dest}.dockerignore`);
+                copiedFiles.push(`${dest}.dockerignore`);
+            }
+        });
 
-        for (const file of files) {
-            const src = path.join(dockerDir, file);
-            let dest;
-
-            if (file.includes('frontend')) {
-                const frontendItem = project.structure.find(s => s.type === 'frontend');
-                if (frontendItem) {
-                    dest = path.join(frontendItem.path, 'Dockerfile');
-                }
-            } else if (file.includes('backend')) {
-                const backendItem = project.structure.find(s => s.type === 'backend');
-                if (backendItem) {
-                    dest = path.join(backendItem.path, 'Dockerfile');
+        const composeSrc = path.join(dockerDir, 'docker-compose.yml');
+        if (fs.existsSync(composeSrc)) {
+            // Point builds at the copied Dockerfiles instead of the app's folder
+            const doc = readComposeFile(composeSrc);
+            for (const serviceName of getServiceNames(doc)) {
+                if (doc.hasIn(['services', serviceName, 'build', 'dockerfile'])) {
+                    doc.setIn(['services', serviceName, 'build', 'dockerfile'], dockerfiles[serviceName] || 'Dockerfile');
                 }
-            } else if (file === 'docker-compose.yml') {
-                dest = path.join(project.path, 'docker-compose.yml');
             }
 
-            if (dest) {
-                fs.copyFileSync(src, dest);
-                copiedFiles.push(dest);
-            }
+            const dest = path.join(project.path, 'docker-compose.yml');
+            writeComposeFile(dest, doc);
+            copiedFiles.push(dest);
         }
 
         return { success: true, files: copiedFiles };
@@ -634,113 +895,729 @@ ipcMain.handle('apply-docker-to-project', async (event, project, dockerDir) => {
 });
 
 // Update Docker ports in docker-compose.yml
-ipcMain.handle('update-docker-ports', async (event, dockerDir, portMappings) => {
+ipcMain.handle('update-docker-ports', async (event, dockerDir, portMappings, composeFiles) => {
     try {
-        const composePath = path.join(dockerDir, 'docker-compose.yml');
-        if (!fs.existsSync(composePath)) {
+        const files = resolveComposeFiles(dockerDir, composeFiles);
+        if (files.length === 0) {
             return { success: false, error: 'docker-compose.yml not found' };
         }
 
-        let content = fs.readFileSync(composePath, 'utf8');
+        const docs = files.map(file => ({ file, doc: readComposeFile(file), changed: false }));
 
-        // portMappings = [{ oldPort: 8080, newPort: 8081 }]
+        // portMappings = [{ oldPort: 8080, newPort: 8081, service?: 'backend' }]
         for (const mapping of portMappings) {
-            const { oldPort, newPort } = mapping;
-            // Regex to match "- 8080:80" or "- '8080:8080'" or "- "8080:80""
-            // Captures: $1 (prefix), $2 (container port and suffix)
-            const regex = new RegExp(`(-\\s*["']?)${oldPort}(:\\d+["']?)`, 'g');
-            content = content.replace(regex, `$1${newPort}$2`);
+            const owner = docs.find(({ doc }) => getPortMappings(doc).some(m =>
+                m.hostPort === mapping.oldPort && (!mapping.service || m.service === mapping.service)));
+
+            if (!owner) {
+                return { success: false, error: `Published port ${mapping.oldPort} not found${mapping.service ? ` in service "${mapping.service}"` : ''}` };
+            }
+            // Never rewrite the user's own compose file
+            if (!isOurGeneratedFile(owner.file)) {
+                return { success: false, error: `Port ${mapping.oldPort} is published by ${path.basename(owner.file)}. Free the port or change it in your compose file.` };
+            }
+
+            updatePublishedPort(owner.doc, mapping);
+            owner.changed = true;
         }
 
-        fs.writeFileSync(composePath, content);
+        docs.filter(d => d.changed).forEach(({ file, doc }) => writeComposeFile(file, doc));
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-// Get ports from docker-compose.yml
-// Get ports from docker-compose.yml with details
-ipcMain.handle('get-docker-ports', async (event, dockerDir) => {
+// Set or remove environment variables on a single compose service
+ipcMain.handle('update-docker-env', async (event, dockerDir, serviceName, variables) => {
     try {
-        const composePath = path.join(dockerDir, 'docker-compose.yml');
-        if (!fs.existsSync(composePath)) {
+        const composePath = findComposeFile(dockerDir);
+        if (!composePath) {
             return { success: false, error: 'docker-compose.yml not found' };
         }
 
-        const content = fs.readFileSync(composePath, 'utf8');
-        const ports = [];
-        const matches = [];
+        const doc = readComposeFile(composePath);
 
-        // Regex to match "- '8080:80'" or "- 8080:80"
-        // Captures: 1=HostPort, 2=ContainerPort
-        const regex = /-\s*["']?(\d+):(\d+)["']?/g;
-        let match;
-        while ((match = regex.exec(content)) !== null) {
-            const hostPort = parseInt(match[1]);
-            const containerPort = parseInt(match[2]);
-            ports.push(hostPort);
-            matches.push({ hostPort, containerPort });
+        // variables = { API_KEY: 'abc', OLD_FLAG: null } - null removes the variable
+        for (const [key, value] of Object.entries(variables)) {
+            setServiceEnvironment(doc, serviceName, key, value);
         }
 
-        // Find the Ngrok API port (mapped to container port 4040)
-        // Default to 4040 if not found explicitly
-        const ngrokApiMatch = matches.find(m => m.containerPort === 4040);
-        const ngrokApiPort = ngrokApiMatch ? ngrokApiMatch.hostPort : 4040;
-
-        return {
-            success: true,
-            ports: [...new Set(ports)], // Unique host ports
-            ngrokApiPort // Explicitly return the port to query for Ngrok API
-        };
+        writeComposeFile(composePath, doc);
+        return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-// Build Docker containers
-let buildProcess = null;
-ipcMain.handle('docker-build', async (event, dockerDir) => {
-    return new Promise((resolve) => {
-        buildProcess = spawn('docker-compose', ['build'], {
-            cwd: dockerDir,
-            shell: true
-        });
+// ========== Project Environment ==========
 
-        buildProcess.stdout.on('data', (data) => {
-            mainWindow.webContents.send('docker-output', { type: 'stdout', data: data.toString() });
-        });
+// Env files live outside docker-files/ so regenerating the config never touches them
+function getEnvDir(projectId) {
+    return path.join(app.getPath('userData'), 'env-files', projectId);
+}
 
-        buildProcess.stderr.on('data', (data) => {
-            mainWindow.webContents.send('docker-output', { type: 'stderr', data: data.toString() });
-        });
+// Editor state: { [service]: [{ key, value, secret }] }. Secret values are stored
+// encrypted ({ key, encrypted, secret }); plaintext only goes into the env files.
+function getProjectEnv(projectId) {
+    const stored = (getStorageData().projectEnv || {})[projectId] || {};
+    return Object.fromEntries(Object.entries(stored).map(([service, variables]) => [
+        service,
+        (variables || []).map(v => (v.secret && v.encrypted !== undefined
+            ? { key: v.key, value: decryptSecret(v.encrypted) || '', secret: true }
+            : v)) // Secrets saved before they were encrypted stay readable until the next save
+    ]));
+}
 
-        buildProcess.on('close', (code) => {
-            buildProcess = null;
-            resolve({ success: code === 0, code });
-        });
-    });
-});
+function saveProjectEnv(projectId, services) {
+    const data = getStorageData();
+    const stored = Object.fromEntries(Object.entries(services).map(([service, variables]) => [
+        service,
+        (variables || []).map(v => (v.secret ? { key: v.key, encrypted: encryptSecret(v.value || ''), secret: true } : v))
+    ]));
+    data.projectEnv = { ...(data.projectEnv || {}), [projectId]: stored };
+    saveStorageData(data);
+}
 
-// Run Docker containers
-let runProcess = null;
-ipcMain.handle('docker-up', async (event, dockerDir) => {
-    return new Promise((resolve) => {
-        runProcess = spawn('docker-compose', ['up'], {
-            cwd: dockerDir,
-            shell: true
-        });
+// Write one env file per service with variables; returns { [service]: envFilePath }
+function writeProjectEnvFiles(projectId, services) {
+    const envDir = getEnvDir(projectId);
+    const envFiles = {};
 
-        runProcess.stdout.on('data', (data) => {
-            mainWindow.webContents.send('docker-output', { type: 'stdout', data: data.toString() });
+    for (const [serviceName, variables] of Object.entries(services)) {
+        const filePath = path.join(envDir, `${serviceName}.env`);
+        const usable = (variables || []).filter(v => v.key);
+
+        if (usable.length === 0) {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+            continue;
+        }
+
+        fs.mkdirSync(envDir, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(filePath, stringifyEnvFile(usable, `# Environment for ${serviceName} - managed by LocalDeploy`), { mode: 0o600 });
+        envFiles[serviceName] = filePath;
+    }
+
+    return envFiles;
+}
+
+// Compose services a project runs, minus the tunnel sidecar. Native runs have no
+// compose file: their services are the units themselves.
+function getProjectServices(project) {
+    if (project.runMode === 'native') {
+        return project.structure
+            .map((item, index) => ({ item, name: getUnitServiceName(item, index) }))
+            .filter(({ item }) => item.type !== 'library')
+            .map(({ name }) => name);
+    }
+
+    const files = resolveComposeFiles(project.dockerDir, project.composeFiles);
+    const services = new Map();
+    for (const file of files) {
+        for (const service of listServices(readComposeFile(file))) {
+            if (service.image && service.image.startsWith('ngrok/')) continue;
+            if (!services.has(service.name) && (service.hasBuild || service.image)) services.set(service.name, service);
+        }
+    }
+    return [...services.keys()];
+}
+
+// Folder to offer .env imports from: the unit that builds this service, else the project root
+function getServiceSourceDir(project, serviceName) {
+    const index = (project.structure || []).findIndex((item, i) => getUnitServiceName(item, i) === serviceName);
+    return index === -1 ? project.path : project.structure[index].path;
+}
+
+ipcMain.handle('get-project-env', async (event, project) => {
+    try {
+        if (!project.dockerDir && project.runMode !== 'native') {
+            return { success: false, error: 'Docker configuration not found' };
+        }
+
+        const stored = getProjectEnv(project.id);
+        const services = getProjectServices(project).map(name => {
+            const sourceDir = getServiceSourceDir(project, name);
+            return {
+                name,
+                variables: stored[name] || [],
+                sources: ENV_SOURCE_FILES
+                    .map(file => path.join(sourceDir, file))
+                    .filter(filePath => fs.existsSync(filePath))
+                    .map(filePath => ({ file: path.relative(project.path, filePath) || path.basename(filePath), path: filePath }))
+            };
         });
 
-        runProcess.stderr.on('data', (data) => {
-            mainWindow.webContents.send('docker-output', { type: 'stderr', data: data.toString() });
+        return { success: true, services };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Read a .env/.env.example for import; secret-looking keys come back pre-marked
+ipcMain.handle('import-env-file', async (event, filePath) => {
+    try {
+        const variables = parseEnvFile(fs.readFileSync(filePath, 'utf8')).map(v => ({
+            ...v,
+            secret: looksSecret(v.key)
+        }));
+        return { success: true, variables };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Save the editor state, write the env files and reference them from the compose file we own
+ipcMain.handle('save-project-env', async (event, project, services) => {
+    try {
+        saveProjectEnv(project.id, services);
+
+        // Native runs read the stored values when their processes start
+        if (project.runMode === 'native') {
+            return { success: true, envFiles: {} };
+        }
+
+        const envFiles = writeProjectEnvFiles(project.id, services);
+
+        // Only our generated compose or override file is edited - never the user's own
+        const files = resolveComposeFiles(project.dockerDir, project.composeFiles);
+        const ownFile = files.find(file => isOurGeneratedFile(file));
+        if (!ownFile) {
+            return {
+                success: true,
+                envFiles,
+                warning: 'The compose file is not managed by LocalDeploy - add these env_file paths to it yourself.'
+            };
+        }
+
+        const doc = readComposeFile(ownFile);
+        for (const serviceName of Object.keys(services)) {
+            setServiceEnvFile(doc, serviceName, path.join(getEnvDir(project.id), `${serviceName}.env`), Boolean(envFiles[serviceName]));
+        }
+        writeComposeFile(ownFile, doc);
+
+        return { success: true, envFiles };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// ========== Database Credentials ==========
+
+// Decrypted credentials for a project: { MySQL: { user, password, rootPassword, database }, ... }
+function loadDatabaseCredentials(projectId) {
+    const stored = (getStorageData().dbCredentials || {})[projectId];
+    return stored ? decryptJson(stored) || {} : {};
+}
+
+function saveDatabaseCredentials(projectId, credentials) {
+    const data = getStorageData();
+    data.dbCredentials = { ...(data.dbCredentials || {}), [projectId]: encryptSecret(credentials) };
+    saveStorageData(data);
+}
+
+// Generate credentials once per project and database; later calls reuse them
+function ensureDatabaseCredentials(project) {
+    const credentials = loadDatabaseCredentials(project.id);
+    let changed = false;
+
+    for (const db of getContainerDatabases(project)) {
+        if (!credentials[db.name]) {
+            credentials[db.name] = createDatabaseCredentials(db.name, generatePassword);
+            changed = true;
+        }
+    }
+
+    if (changed) saveDatabaseCredentials(project.id, credentials);
+    return credentials;
+}
+
+// Write <service>.db.env for each database and backend; returns { [service]: envFilePath }
+function writeDatabaseEnvFiles(project, credentials) {
+    const envDir = getEnvDir(project.id);
+    const envFiles = {};
+
+    for (const [serviceName, variables] of Object.entries(getDatabaseEnv(project, credentials))) {
+        const filePath = path.join(envDir, `${serviceName}.db.env`);
+        fs.mkdirSync(envDir, { recursive: true });
+        fs.writeFileSync(
+            filePath,
+            stringifyEnvFile(Object.entries(variables).map(([key, value]) => ({ key, value })), '# Database credentials - managed by LocalDeploy'),
+            { mode: 0o600 }
+        );
+        envFiles[serviceName] = filePath;
+    }
+
+    return envFiles;
+}
+
+// Database env file first so the user's own values can override it
+function mergeEnvFiles(...maps) {
+    const merged = {};
+    for (const map of maps) {
+        for (const [serviceName, filePath] of Object.entries(map)) {
+            merged[serviceName] = [...(merged[serviceName] || []), filePath];
+        }
+    }
+    return merged;
+}
+
+ipcMain.handle('get-db-credentials', async (event, project) => {
+    try {
+        const stored = (getStorageData().dbCredentials || {})[project.id];
+        const credentials = loadDatabaseCredentials(project.id);
+
+        const databases = getContainerDatabases(project)
+            .filter(db => credentials[db.name])
+            .map(db => {
+                const config = databaseConfigs[db.name];
+                const clientEnv = config.clientEnv(credentials[db.name]);
+                return {
+                    name: db.name,
+                    service: config.service,
+                    ...credentials[db.name],
+                    // Host-side address for local tools (the port is published on the host)
+                    hostPort: parseInt(config.ports[0].split(':')[0]),
+                    connectionEnv: clientEnv
+                };
+            });
+
+        return { success: true, databases, encrypted: isEncrypted(stored) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// New passwords for every database. Databases only read credentials when their data
+// volume is first created, so the volumes are removed and the data starts fresh.
+// Run one step of a credential rotation, its output going to the project's terminal.
+// Resolves the exit code (1 when it could not be started).
+function runRotationStep(project, command) {
+    return new Promise((resolve) => {
+        const child = spawn(command, {
+            cwd: project.dockerDir,
+            shell: true,
+            detached: true,
+            windowsHide: true
+        });
+        // One-off like a build: stopped along with the project's other processes
+        registerProcess(project.id, 'build', child);
+        child.stdout.on('data', data => emitLog(project.id, null, 'stdout', data));
+        child.stderr.on('data', data => emitLog(project.id, null, 'stderr', data));
+        child.on('close', resolve);
+        child.on('error', (err) => {
+            emitLog(project.id, null, 'stderr', err.message);
+            resolve(1);
         });
+    });
+}
+
+// Compose's project name for a set of files: the top-level name, else the first file's
+// folder, normalized the way Compose does
+function getComposeProjectName(files) {
+    const name = readComposeFile(files[0]).get('name') || path.basename(path.dirname(files[0]));
+    return String(name).toLowerCase().replace(/[^a-z0-9_-]/g, '').replace(/^[_-]+/, '');
+}
+
+ipcMain.handle('rotate-db-credentials', async (event, project) => {
+    try {
+        const files = resolveComposeFiles(project.dockerDir, project.composeFiles);
+        if (files.length === 0) {
+            return { success: false, error: 'docker-compose.yml not found' };
+        }
+        // Only the databases we generated may lose their data; a user's compose file can
+        // hold volumes of its own
+        if (files.some(file => !isOurGeneratedFile(file))) {
+            return { success: false, error: 'This project runs its own compose file - change its database passwords there' };
+        }
+
+        // The old volumes have to be gone before anything gets the new passwords, or the
+        // databases keep the old ones while the backends are handed the new ones
+        const serviceNames = files.flatMap(file => getServiceNames(readComposeFile(file)));
+        const configs = getContainerDatabases(project)
+            .map(db => databaseConfigs[db.name])
+            .filter(config => serviceNames.includes(config.service));
+        if (configs.length > 0) {
+            const engine = await currentEngine();
+            let code = await runRotationStep(project, composeCommand(engine, composeFileArgs(files), ['rm', '-s', '-f', '-v', ...configs.map(config => config.service)]));
+            if (code === 0) {
+                const projectName = getComposeProjectName(files);
+                const wanted = configs.flatMap(config => config.volumes.map(volume => `${projectName}_${volume.split(':')[0]}`));
+                const existing = (await execJson(runtimeCommand(engine, ['volume', 'ls', '-q']), project.dockerDir)).split(/\s+/);
+                const volumes = wanted.filter(volume => existing.includes(volume));
+                if (volumes.length > 0) code = await runRotationStep(project, runtimeCommand(engine, ['volume', 'rm', ...volumes]));
+            }
+            if (code !== 0) {
+                return { success: false, error: `Removing the database volumes failed (exit code ${code}); the credentials were not changed` };
+            }
+        }
+
+        const credentials = {};
+        for (const db of getContainerDatabases(project)) {
+            credentials[db.name] = createDatabaseCredentials(db.name, generatePassword);
+        }
+        saveDatabaseCredentials(project.id, credentials);
+        const envFiles = writeDatabaseEnvFiles(project, credentials);
+
+        // Point our compose file at the env files and drop any hard-coded values
+        // left from older configs (environment: would override env_file)
+        const ownFile = files.find(file => isOurGeneratedFile(file));
+        if (ownFile) {
+            const doc = readComposeFile(ownFile);
+            const databaseEnv = getDatabaseEnv(project, credentials);
+            for (const [serviceName, filePath] of Object.entries(envFiles)) {
+                if (!getServiceNames(doc).includes(serviceName)) continue;
+                setServiceEnvFile(doc, serviceName, filePath, true);
+                for (const key of Object.keys(databaseEnv[serviceName])) {
+                    setServiceEnvironment(doc, serviceName, key, null);
+                }
+            }
+            writeComposeFile(ownFile, doc);
+        }
+
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// ========== Tunnel Settings ==========
+
+// Agent configs hold basic-auth credentials: kept out of the project, in an owner-only folder
+function getTunnelDir(projectId) {
+    return path.join(app.getPath('userData'), 'tunnel-configs', projectId);
+}
+
+// Stored with the basic-auth password encrypted
+function getTunnelSettings(projectId) {
+    const stored = (getStorageData().tunnelSettings || {})[projectId] || {};
+    const settings = normalizeTunnelSettings(stored);
+    settings.basicAuth = { ...settings.basicAuth, password: decryptSecret(settings.basicAuth.password) || '' };
+    return settings;
+}
+
+function saveTunnelSettings(projectId, settings) {
+    const normalized = normalizeTunnelSettings(settings);
+    const data = getStorageData();
+    data.tunnelSettings = {
+        ...(data.tunnelSettings || {}),
+        [projectId]: {
+            ...normalized,
+            basicAuth: {
+                username: normalized.basicAuth.username,
+                password: normalized.basicAuth.password ? encryptSecret(normalized.basicAuth.password) : ''
+            }
+        }
+    };
+    saveStorageData(data);
+}
+
+// Write the provider's agent config for the targets ([{ service, port }]) or, with `host`,
+// the one for its CLI on this machine. Null for providers that don't use a config file.
+function writeTunnelConfig(project, provider, targets, { host = false, apiPort = null } = {}) {
+    if (!provider.config) return null;
+
+    const tunnelDir = getTunnelDir(project.id);
+    fs.mkdirSync(tunnelDir, { recursive: true, mode: 0o700 });
+
+    // Sidecars run as their own user, so the file stays readable; the folder is not
+    const filePath = path.join(tunnelDir, host ? provider.config.hostFileName : provider.config.fileName);
+    const config = provider.config.build(targets, {
+        settings: getTunnelSettings(project.id),
+        credentials: getProviderCredentials(provider, project),
+        projectId: project.id,
+        host,
+        apiPort
+    });
+    fs.writeFileSync(filePath, `${GENERATED_MARKER}\n${config}`, { mode: 0o644 });
+    return filePath;
+}
+
+// Our own compose/override file and the tunnel sidecars in it, if the project has one
+function findOwnTunnelSidecars(project) {
+    if (!project.dockerDir) return null;
+    const ownFile = resolveComposeFiles(project.dockerDir, project.composeFiles).find(file => isOurGeneratedFile(file));
+    if (!ownFile) return null;
+
+    const doc = readComposeFile(ownFile);
+    return { file: ownFile, doc, sidecars: findTunnelSidecars(doc) };
+}
+
+// What the tunnel points at right now ([{ service, port }]). Sidecars carry their targets
+// in labels; older ngrok sidecars only have them in the agent config or, before tunnel
+// settings existed, in their `http <addr>` command.
+function getCurrentTargets(project, own) {
+    const labelled = own ? own.sidecars.flatMap(sidecar => sidecar.targets) : [];
+    if (labelled.length > 0) return labelled;
+
+    const { exposed } = getTunnelSettings(project.id);
+    if (exposed.length > 0) return exposed;
+
+    let endpoints = readConfigEndpoints(path.join(getTunnelDir(project.id), 'ngrok.yml'));
+    const sidecar = own && own.sidecars[0];
+    if (endpoints.length === 0 && sidecar) {
+        const command = String(own.doc.getIn(['services', sidecar.name, 'command']) || '');
+        if (command.startsWith('http ')) {
+            const addr = command.split(/\s+/)[1];
+            endpoints = [{ name: addr.split(':')[0], addr }];
+        }
+    }
+    if (endpoints.length > 0) {
+        return endpoints.map(({ name, addr }) => ({ service: name, port: parseInt(addr.split(':').pop()) }));
+    }
+
+    // Fully generated projects tunnel to their default unit
+    const generated = own && !(project.composeFiles && project.composeFiles.length > 0);
+    return generated ? getTunnelTargets(project, []) : [];
+}
+
+// Replace the tunnel sidecars in our own compose file with the provider's, pointed at
+// the targets. A published API port is kept so port checks keep matching.
+async function applyTunnelSidecars(project, own, provider, targets) {
+    const { doc, file, sidecars } = own;
+    const sidecarNames = sidecars.map(sidecar => sidecar.name);
+    const publishedPorts = getPortMappings(doc)
+        .filter(mapping => sidecarNames.includes(mapping.service) && mapping.hostPort)
+        .map(mapping => mapping.hostPort);
+    const kept = [...publishedPorts].sort((a, b) => a - b).slice(0, targets.length);
+    const added = await allocateApiPorts(targets.length - kept.length, kept);
+    if (!added) {
+        throw new Error('No free port for the tunnel API');
+    }
+    const apiPorts = [...kept, ...added];
+
+    sidecarNames.forEach(name => doc.deleteIn(['services', name]));
+
+    const services = createTunnelServices(provider, targets, {
+        apiPort: apiPorts[0],
+        apiPorts,
+        configPath: writeTunnelConfig(project, provider, targets),
+        credentials: getProviderCredentials(provider, project),
+        projectId: project.id
+    }, getServiceNames(doc));
+    Object.entries(services).forEach(([name, service]) => doc.setIn(['services', name], doc.createNode(service)));
+    writeComposeFile(file, doc);
+}
+
+// Services a tunnel can point at: everything in the project's compose files except
+// databases and the tunnel sidecars, with the container ports they listen on
+function getExposableServices(project) {
+    if (project.runMode === 'native') {
+        return getProjectServices(project).map(name => {
+            const item = project.structure.find((unit, index) => getUnitServiceName(unit, index) === name);
+            return { name, ports: [getUnitPort(item)] };
+        });
+    }
+    if (!project.dockerDir) return [];
+
+    const databaseImages = Object.values(databaseConfigs).map(config => config.image);
+    const services = new Map();
+    for (const file of resolveComposeFiles(project.dockerDir, project.composeFiles)) {
+        const doc = readComposeFile(file);
+        const sidecarNames = findTunnelSidecars(doc).map(sidecar => sidecar.name);
+        for (const service of listServices(doc)) {
+            if (sidecarNames.includes(service.name) || databaseImages.includes(service.image || '')) continue;
+            const ports = services.get(service.name)?.ports || [];
+            services.set(service.name, { name: service.name, ports: [...new Set([...ports, ...service.ports])] });
+        }
+    }
+    return [...services.values()];
+}
+
+ipcMain.handle('get-tunnel-settings', async (event, project) => {
+    try {
+        const settings = getTunnelSettings(project.id);
+        if (settings.exposed.length === 0 && project.dockerDir) {
+            settings.exposed = getCurrentTargets(project, findOwnTunnelSidecars(project));
+        } else if (settings.exposed.length === 0 && project.runMode === 'native') {
+            settings.exposed = getTunnelTargets(project, []);
+        }
+        const provider = getProjectTunnelProvider(project);
+
+        return {
+            success: true,
+            settings,
+            services: getExposableServices(project),
+            regions: NGROK_REGIONS,
+            oauthProviders: OAUTH_PROVIDERS,
+            provider: { id: provider.id, name: provider.name, supportsSettings: Boolean(provider.supportsSettings) }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('save-tunnel-settings', async (event, project, settings) => {
+    try {
+        const errors = validateTunnelSettings(settings);
+        const exposable = getExposableServices(project).map(service => service.name);
+        for (const { service } of settings.exposed || []) {
+            if (!exposable.includes(service)) errors.push(`Service "${service}" is not in this project`);
+        }
+        if (errors.length > 0) {
+            return { success: false, error: errors.join('\n') };
+        }
+        saveTunnelSettings(project.id, settings);
+
+        const own = findOwnTunnelSidecars(project);
+        const targets = settings.exposed && settings.exposed.length > 0
+            ? settings.exposed
+            : getCurrentTargets(project, own);
+
+        if (targets.length === 0) {
+            return {
+                success: true,
+                warning: 'Saved. This project runs its tunnel outside our config, so the settings apply to host tunnels only.'
+            };
+        }
+
+        // Rebuild the sidecars (older generated files start a bare ngrok tunnel)
+        // so they read the new config and wait for every exposed service
+        const provider = getProjectTunnelProvider(project);
+        if (own) {
+            await applyTunnelSidecars(project, own, provider, targets);
+        } else {
+            writeTunnelConfig(project, provider, targets);
+        }
+
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Get ports from docker-compose.yml with details
+ipcMain.handle('get-docker-ports', async (event, dockerDir, composeFiles) => {
+    try {
+        const files = resolveComposeFiles(dockerDir, composeFiles);
+        if (files.length === 0) {
+            return { success: false, error: 'docker-compose.yml not found' };
+        }
+
+        const mappings = files
+            .flatMap(file => getPortMappings(readComposeFile(file)))
+            .filter(m => m.hostPort);
+
+        // Find the Ngrok API port (mapped to container port 4040)
+        // Prefer the ngrok service itself; default to 4040 if not found explicitly
+        const ngrokApiMatch = mappings.find(m => m.service.includes('ngrok') && m.containerPort === 4040) ||
+            mappings.find(m => m.containerPort === 4040);
+        const ngrokApiPort = ngrokApiMatch ? ngrokApiMatch.hostPort : 4040;
+
+        return {
+            success: true,
+            ports: [...new Set(mappings.map(m => m.hostPort))], // Unique host ports
+            mappings: mappings.map(({ service, hostIp, hostPort, containerPort, protocol }) => ({ service, hostIp, hostPort, containerPort, protocol })),
+            ngrokApiPort // Explicitly return the port to query for Ngrok API
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// How often build progress is sent while output keeps coming
+const BUILD_PROGRESS_INTERVAL_MS = 250;
+
+// Services that compose builds rather than pulls
+function getBuildServiceNames(dockerDir, composeFiles) {
+    try {
+        const services = resolveComposeFiles(dockerDir, composeFiles).flatMap(file => listServices(readComposeFile(file)));
+        return [...new Set(services.filter(service => service.hasBuild).map(service => service.name))];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Feed a build's output to its tracker and send the progress, at most every interval
+function trackBuildProgress(projectId, child, tracker) {
+    let timer = null;
+    const send = () => {
+        clearTimeout(timer);
+        timer = null;
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('build-progress', { projectId, ...tracker.snapshot() });
+        }
+    };
+    for (const type of ['stdout', 'stderr']) {
+        const lines = createLineBuffer((chunk) => {
+            const changed = chunk.map(line => tracker.push(line)).some(Boolean);
+            if (changed && !timer) timer = setTimeout(send, BUILD_PROGRESS_INTERVAL_MS);
+        });
+        child[type].on('data', data => lines.push(data));
+        child[type].on('end', () => lines.flush());
+    }
+    send();
+    return send;
+}
+
+// Build Docker containers. The build is registered under the project, so builds of
+// different projects run side by side and can be stopped one at a time. BuildKit (with its
+// plain progress, so the output can be followed per service and step) is switched on for
+// engines that have it.
+ipcMain.handle('docker-build', async (event, dockerDir, composeFiles, projectId) => {
+    const engine = await currentEngine();
+    const command = composeCommand(engine, composeFileArgs(composeFiles), ['build']);
+    return new Promise((resolve) => {
+        const buildProcess = spawn(command, {
+            cwd: dockerDir,
+            shell: true,
+            detached: true,
+            windowsHide: true,
+            env: { ...process.env, ...buildEnv(engine) }
+        });
+        const entry = registerProcess(projectId, 'build', buildProcess);
+        const tracker = createBuildTracker(getBuildServiceNames(dockerDir, composeFiles));
+        streamComposeOutput(projectId, buildProcess, getComposeServiceNames(dockerDir, composeFiles));
+        const sendProgress = trackBuildProgress(projectId, buildProcess, tracker);
+
+        let finished = false;
+        const finish = (code, error = null) => {
+            if (finished) return;
+            finished = true;
+            // Stopped through cancel-build (or the app quitting), not a failed step
+            const cancelled = entry.stopped;
+            tracker.finish(code, cancelled, error);
+            sendProgress();
+            const { failure } = tracker.snapshot();
+            resolve({ success: code === 0 && !cancelled, code, cancelled, failure });
+        };
+
+        buildProcess.on('close', code => finish(code));
+        // The build never started (engine or shell missing)
+        buildProcess.on('error', (err) => {
+            emitLog(projectId, null, 'stderr', err.message);
+            finish(1, err.message);
+        });
+    });
+});
+
+// Stop a running build (Docker or native) and everything it started
+ipcMain.handle('cancel-build', async (event, projectId) => {
+    const wasBuilding = hasProcesses(projectId, 'build');
+    await stopProject(projectId, 'build');
+    return { success: true, cancelled: wasBuilding };
+});
+
+// Run Docker containers
+ipcMain.handle('docker-up', async (event, dockerDir, composeFiles, project) => {
+    // A previous `up` (or a log follower from a reopened app) would stream the same output twice
+    await stopProject(project.id, 'run');
+    await stopProject(project.id, 'logs');
+
+    // `up` builds images that are missing, so it gets the build environment too
+    const engine = await currentEngine();
+    const command = composeCommand(engine, composeFileArgs(composeFiles), ['up']);
+    return new Promise((resolve) => {
+        const runProcess = spawn(command, {
+            cwd: dockerDir,
+            shell: true,
+            detached: true,
+            windowsHide: true,
+            env: { ...getTunnelEnv(project), ...buildEnv(engine) }
+        });
+        registerProcess(project.id, 'run', runProcess);
+        streamComposeOutput(project.id, runProcess, getComposeServiceNames(dockerDir, composeFiles));
 
         runProcess.on('close', (code) => {
-            runProcess = null;
             resolve({ success: code === 0, code });
         });
 
@@ -749,182 +1626,826 @@ ipcMain.handle('docker-up', async (event, dockerDir) => {
     });
 });
 
-// Stop Docker containers
-ipcMain.handle('docker-down', async (event, dockerDir) => {
+async function composeDown(dockerDir, composeFiles) {
+    const command = await compose(composeFiles, ['down']);
     return new Promise((resolve) => {
-        exec('docker-compose down', { cwd: dockerDir }, (error) => {
-            if (runProcess) {
-                runProcess.kill();
-                runProcess = null;
-            }
-            resolve({ success: !error });
+        exec(command, { cwd: dockerDir }, (error) => {
+            resolve(!error);
         });
     });
+}
+
+// Stop Docker containers, then this project's attached `up` process (and only that one)
+ipcMain.handle('docker-down', async (event, dockerDir, composeFiles, projectId) => {
+    const success = await composeDown(dockerDir, composeFiles);
+    await stopProject(projectId, 'run');
+    await stopProject(projectId, 'logs');
+    return { success };
+});
+
+// Follow the logs of a compose project whose containers outlived the app's last session.
+// `since` is when the project was started, so the terminal picks up everything it missed;
+// without it the last lines of each service are shown.
+ipcMain.handle('attach-project-logs', async (event, project, since = null) => {
+    if (project.runMode === 'native' || !project.dockerDir) {
+        return { success: false, error: 'Only Docker projects have container logs' };
+    }
+    // Already streaming from `up` or an earlier attach
+    if (hasProcesses(project.id, 'run') || hasProcesses(project.id, 'logs')) {
+        return { success: true, attached: false };
+    }
+
+    const range = since ? ['--since', `"${since}"`] : ['--tail', '200'];
+    const engine = await currentEngine();
+    const command = composeCommand(engine, composeFileArgs(project.composeFiles), ['logs', '-f', ...noColorArgs(engine), ...range]);
+    const logsProcess = spawn(command, {
+        cwd: project.dockerDir,
+        shell: true,
+        detached: true,
+        windowsHide: true
+    });
+    registerProcess(project.id, 'logs', logsProcess);
+    streamComposeOutput(project.id, logsProcess, getComposeServiceNames(project.dockerDir, project.composeFiles));
+    return { success: true, attached: true };
+});
+
+// Output recorded for a project so far, oldest first
+ipcMain.handle('get-project-logs', async (event, projectId) => getBacklog(projectId));
+
+// Make sure the project's tunnel provider can run and that our compose file runs it:
+// switching providers (per project or the global default) swaps the sidecars here
+ipcMain.handle('prepare-tunnel', async (event, project) => {
+    try {
+        const provider = getProjectTunnelProvider(project);
+        const credentialError = checkTunnelCredentials(project, provider);
+        if (credentialError) {
+            return { success: false, error: credentialError };
+        }
+
+        const own = findOwnTunnelSidecars(project);
+        const current = own && own.sidecars.length > 0 ? own.sidecars[0].providerId : null;
+        if (own && current !== provider.id) {
+            const targets = getCurrentTargets(project, own);
+            if (targets.length > 0) await applyTunnelSidecars(project, own, provider, targets);
+        }
+
+        return { success: true, providerId: provider.id };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
 });
 
-// Get public ngrok URL
-ipcMain.handle('get-ngrok-url', async (event, apiPort = 4040) => {
+// Output of one compose service, for providers that log their public address
+async function getServiceLogs(dockerDir, composeFiles, serviceName) {
+    const engine = await currentEngine();
+    const command = composeCommand(engine, composeFileArgs(composeFiles), ['logs', ...noColorArgs(engine), '--tail', '200', serviceName]);
     return new Promise((resolve) => {
-        // Query the specific Ngrok Inspection API for this project
-        exec(`curl -s http://localhost:${apiPort}/api/tunnels`, (error, stdout) => {
-            if (error) {
-                console.error('Ngrok API Error:', error);
-                resolve({ success: false, error: error.message });
-                return;
-            }
-            try {
-                const data = JSON.parse(stdout);
-
-                console.log(`Fetching Ngrok URL from localhost:${apiPort}`);
-                console.log('Available Tunnels:', data.tunnels.map(t => ({
-                    public: t.public_url,
-                    addr: t.config ? t.config.addr : 'unknown'
-                })));
-
-                // Since we are querying the specific API for this project,
-                // any HTTP/HTTPS tunnel found is likely the correct one.
-                const tunnel = data.tunnels.find(t => t.proto === 'https') || data.tunnels[0];
-
-                if (tunnel) {
-                    console.log('Found matching tunnel:', tunnel.public_url);
-                    resolve({ success: true, url: tunnel.public_url });
-                } else {
-                    console.log(`No tunnel found on localhost:${apiPort}`);
-                    resolve({ success: false, error: 'No tunnel found' });
-                }
-            } catch (e) {
-                console.error('Ngrok parse error:', e);
-                resolve({ success: false, error: 'Failed to parse ngrok response' });
-            }
+        exec(command, { cwd: dockerDir, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+            resolve(`${stdout || ''}${stderr || ''}`);
         });
     });
+}
+
+// Get the public URLs, one per exposed service ({ service, url }), from whichever provider
+// the project's sidecars run. The first one follows the target order and is returned as `url`.
+ipcMain.handle('get-tunnel-urls', async (event, project) => {
+    try {
+        const files = resolveComposeFiles(project.dockerDir, project.composeFiles);
+        const docs = files.map(file => readComposeFile(file));
+        const mappings = docs.flatMap(doc => getPortMappings(doc)).filter(m => m.hostPort);
+
+        const own = findOwnTunnelSidecars(project);
+        const sidecars = docs.flatMap(doc => findTunnelSidecars(doc));
+        const provider = sidecars.length > 0 ? getTunnelProvider(sidecars[0].providerId) : getProjectTunnelProvider(project);
+        const targets = getCurrentTargets(project, own);
+
+        const urls = await provider.discoverUrls({
+            sidecars: sidecars.map(sidecar => ({
+                ...sidecar,
+                apiPort: (mappings.find(m => m.service === sidecar.name && m.containerPort === provider.apiContainerPort) || {}).hostPort
+            })),
+            targets,
+            credentials: getProviderCredentials(provider, project),
+            projectId: project.id,
+            logs: serviceName => getServiceLogs(project.dockerDir, files, serviceName),
+            publishedPort: target => (mappings.find(m => m.service === target.service && m.containerPort === target.port) || {}).hostPort
+        });
+
+        if (urls.length === 0) {
+            return { success: false, error: 'No tunnel found' };
+        }
+        return { success: true, url: urls[0].url, urls };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
 });
 
-// Use existing Docker config - just add ngrok
-// Use existing Docker config - inject/update ngrok service for isolation
-ipcMain.handle('setup-existing-docker', async (event, project) => {
+// List the services in a user's own compose file so the UI can pick what to expose
+ipcMain.handle('get-compose-services', async (event, projectPath) => {
     try {
-        const ngrokKey = getStorageData().ngrokKey;
-        if (!ngrokKey) {
-            return { success: false, error: 'Ngrok key not configured' };
-        }
-
-        const composePath = path.join(project.path, 'docker-compose.yml');
-        const composeYamlPath = path.join(project.path, 'docker-compose.yaml');
-        let targetPath = fs.existsSync(composePath) ? composePath :
-            fs.existsSync(composeYamlPath) ? composeYamlPath : null;
-
-        // If no compose file exists, we can't inject. Fallback to manual? 
-        // Actually the generator handles "no dockerfile" cases. 
-        // If "hasDockerfile" is true but no compose, we should probably generate one?
-        // For now, let's assume if they have one, we patch it.
-
-        if (targetPath) {
-            let content = fs.readFileSync(targetPath, 'utf8');
-
-            // Simple check if it's already got our random ngrok service
-            // A full YAML parser would be safer but let's try regex replacement first 
-            // to avoid adding heavy dependencies like 'js-yaml' if not needed.
-            // Actually, we should allow the user to overwrite.
-
-            // Wait, we don't want to break their config.
-            // But we need to ensure Ngrok runs on a unique port.
-            // Let's rely on the generateDockerFiles logic?
-            // No, that overwrites everything.
-
-            // Strategy: Read file. If "ngrok:" service exists, update its ports.
-            // If not, append it.
-            // Since we don't have a YAML parser loaded, and we want to be safe,
-            // let's just use the "start-ngrok-tunnel" sidecar approach but making sure 
-            // it uses a RANDOM port too to avoid local 4040 collisions.
-
-            // BUT the user's issue is likely that they have a stale docker-compose.yml 
-            // that WE generated previously (with port 4040).
-            // So we MUST detect if it's a file WE generated and regenerate it.
-
-            if (content.includes('generated by Auto_LocalToPublicServer')) {
-                // It's ours! We can safely overwrite/regenerate it.
-                // We'll return a special flag to tell frontend to call "generateDockerFiles" instead.
-                return { success: true, regenerate: true };
-            }
+        const composePath = findComposeFile(projectPath);
+        if (!composePath) {
+            return { success: false, error: 'No compose file found' };
+        }
+
+        return {
+            success: true,
+            composePath,
+            generatedByUs: isOurGeneratedFile(composePath),
+            services: listServices(readComposeFile(composePath))
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Use existing Docker config - layer a tunnel override file on top of the user's compose
+ipcMain.handle('setup-existing-docker', async (event, project, target) => {
+    try {
+        const provider = getProjectTunnelProvider(project);
+        const credentialError = checkTunnelCredentials(project, provider);
+        if (credentialError) {
+            return { success: false, error: credentialError };
+        }
+
+        const composePath = findComposeFile(project.path);
+
+        if (!composePath) {
+            // Only a Dockerfile - nothing to layer onto, tunnel from the host instead
+            return {
+                success: true,
+                dockerDir: project.path,
+                useSidecar: true, // Tell frontend to use start-host-tunnel
+                backendPort: project.backendPort || 8080
+            };
+        }
+
+        // A stale file WE generated previously can simply be regenerated
+        if (isOurGeneratedFile(composePath)) {
+            return { success: true, regenerate: true };
+        }
+
+        const doc = readComposeFile(composePath);
+        const serviceNames = getServiceNames(doc);
 
-            // If it's the user's own file, we implement the "Sidecar" approach (start-ngrok-tunnel).
-            // But we need to ensure start-ngrok-tunnel uses a RANDOM API port too.
+        if (!target || !serviceNames.includes(target.service)) {
+            return { success: false, error: 'Select which service to expose' };
         }
+        if (!target.port) {
+            return { success: false, error: `Select the port "${target.service}" listens on` };
+        }
+
+        // Pick a free API port (ngrok inspector, cloudflared metrics) so several projects can run side by side
+        const apiPorts = await allocateApiPorts(1);
+        if (!apiPorts) {
+            return { success: false, error: 'No free port for the tunnel API' };
+        }
+
+        // Remember the target: providers without a sidecar (mock) have nowhere else to keep it
+        const settings = getTunnelSettings(project.id);
+        if (settings.exposed.length === 0) saveTunnelSettings(project.id, { ...settings, exposed: [target] });
+
+        const override = generateTunnelOverride(serviceNames, provider, [target], {
+            apiPort: apiPorts[0],
+            apiPorts,
+            configPath: writeTunnelConfig(project, provider, [target]),
+            credentials: getProviderCredentials(provider, project),
+            projectId: project.id
+        });
+        const overridePath = path.join(getDockerDir(project.id), OVERRIDE_FILE_NAME);
+        fs.writeFileSync(overridePath, `${GENERATED_MARKER}\n${stringifyCompose(override)}`);
 
-        // Return success but indicate we should use the sidecar approach
-        // unless regex matched our header.
         return {
             success: true,
             dockerDir: project.path,
-            useSidecar: true, // Tell frontend to use start-ngrok-tunnel
-            backendPort: project.backendPort || 8080 // Default or extracted
+            composeFiles: [composePath, overridePath],
+            ngrokApiPort: apiPorts[0]
         };
-
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-// Start ngrok tunnel separately (for existing Docker projects)
-ipcMain.handle('start-ngrok-tunnel', async (event, port) => {
-    return new Promise((resolve) => {
-        const ngrokKey = getStorageData().ngrokKey;
-        if (!ngrokKey) {
-            resolve({ success: false, error: 'Ngrok key not configured' });
-            return;
+// projectId -> API ports of the project's host tunnel agents (ngrok inspector, cloudflared metrics)
+const hostTunnelPorts = new Map();
+
+// Start tunnels from this machine to local ports (for projects without a compose file and
+// native runs), one per target ({ service, port }). Providers with an agent config run every
+// target from one agent, the others one agent per target - like their sidecars. Each agent
+// gets its own free API port. onOutput receives the CLIs' output as it arrives.
+async function startHostTunnel(targets, project, onOutput = null) {
+    const provider = getProjectTunnelProvider(project);
+    const credentials = getProviderCredentials(provider, project);
+    const credentialError = provider.validateCredentials(credentials);
+    if (credentialError) {
+        return { success: false, error: credentialError };
+    }
+
+    // One set of host tunnels per project
+    await stopProject(project.id, 'tunnel');
+
+    const groups = provider.config ? [targets] : targets.map(target => [target]);
+    const apiPorts = provider.hostApiPort ? await allocateApiPorts(groups.length, [], provider.hostApiPort) : [];
+    if (!apiPorts) {
+        return { success: false, error: 'No free port for the tunnel API' };
+    }
+    hostTunnelPorts.set(project.id, apiPorts);
+
+    const configPath = writeTunnelConfig(project, provider, targets, { host: true, apiPort: apiPorts[0] });
+    const agents = groups.map((group, index) => ({
+        name: groups.length > 1 ? `${TUNNEL_NAME}_${group[0].service}` : TUNNEL_NAME,
+        providerId: provider.id,
+        targets: group,
+        apiPort: apiPorts[index] || null,
+        output: ''
+    }));
+    const context = {
+        sidecars: agents,
+        targets,
+        credentials,
+        projectId: project.id,
+        logs: async name => (agents.find(agent => agent.name === name) || {}).output || '',
+        publishedPort: target => target.port
+    };
+
+    const started = async (pid) => {
+        let urls = [];
+        try {
+            urls = await provider.discoverUrls(context);
+        } catch (e) {
+            // Not up yet
         }
+        return { success: true, url: urls.length > 0 ? urls[0].url : undefined, urls, pid };
+    };
 
-        const ngrokProcess = spawn('ngrok', ['http', port.toString()], {
-            shell: true,
-            detached: true
-        });
+    const commands = agents.map(agent => provider.hostCommand(agent.targets[0], { configPath, apiPort: agent.apiPort, credentials }));
+
+    // Nothing to run (mock provider)
+    if (commands.some(command => !command)) {
+        return started();
+    }
+
+    return new Promise((resolve) => {
+        const pids = agents.map((agent, index) => {
+            // Detached into its own process group so stopping it takes its children along
+            const tunnelProcess = spawn(commands[index].command, commands[index].args, {
+                shell: true,
+                detached: true,
+                windowsHide: true,
+                env: getTunnelEnv(project, provider)
+            });
 
-        ngrokProcess.on('error', (err) => {
-            resolve({ success: false, error: err.message });
+            const collect = (type) => (data) => {
+                agent.output += data.toString();
+                if (onOutput) onOutput(type, data.toString());
+            };
+            registerProcess(project.id, 'tunnel', tunnelProcess);
+            tunnelProcess.stdout.on('data', collect('stdout'));
+            tunnelProcess.stderr.on('data', collect('stderr'));
+
+            tunnelProcess.on('error', (err) => {
+                resolve({ success: false, error: err.message });
+            });
+            return tunnelProcess.pid;
         });
 
-        // Give ngrok time to start
+        // Give the tunnels time to start
         setTimeout(async () => {
-            try {
-                exec('curl -s http://localhost:4040/api/tunnels', (error, stdout) => {
-                    if (error) {
-                        resolve({ success: true, pid: ngrokProcess.pid });
-                        return;
-                    }
-                    try {
-                        const data = JSON.parse(stdout);
-                        const tunnel = data.tunnels.find(t => t.proto === 'https') || data.tunnels[0];
-                        if (tunnel) {
-                            resolve({ success: true, url: tunnel.public_url, pid: ngrokProcess.pid });
-                        } else {
-                            resolve({ success: true, pid: ngrokProcess.pid });
-                        }
-                    } catch (e) {
-                        resolve({ success: true, pid: ngrokProcess.pid });
-                    }
-                });
-            } catch (e) {
-                resolve({ success: true, pid: ngrokProcess.pid });
-            }
+            resolve(await started(pids[0]));
         }, 2000);
     });
+}
+
+ipcMain.handle('start-host-tunnel', async (event, port, project) => startHostTunnel([{ service: TUNNEL_NAME, port }], project));
+
+// Stop the project's host tunnel and everything it started
+ipcMain.handle('stop-host-tunnel', async (event, projectId) => {
+    await stopProject(projectId, 'tunnel');
+    return { success: true };
 });
 
-// Stop ngrok tunnel
-ipcMain.handle('stop-ngrok-tunnel', async (event, pid) => {
+// ========== Native Run ==========
+
+// Venvs and binaries for projects run without Docker. The source folders only get what
+// their own toolchain writes there anyway (node_modules, target/, build output).
+function getNativeDir(projectId) {
+    return path.join(app.getPath('userData'), 'native', projectId);
+}
+
+// The env editor's values for a service as a plain { KEY: value } map
+function getServiceVariables(projectId, service) {
+    const variables = getProjectEnv(projectId)[service] || [];
+    return Object.fromEntries(variables.filter(v => v.key).map(v => [v.key, v.value]));
+}
+
+// Databases are containers in Docker mode; natively the project has to bring its own
+function warnAboutDatabases(project) {
+    const databases = (project.databases || []).filter(db => db.image);
+    if (databases.length > 0) {
+        emitLog(project.id, null, 'stderr', `${databases.map(db => db.name).join(', ')} not started in native mode - set the connection settings in the Env editor`);
+    }
+}
+
+function runNativeStep(projectId, unit, command, variables) {
     return new Promise((resolve) => {
-        if (pid) {
-            try {
-                process.kill(pid);
-            } catch (e) {
-                // Process may already be dead
+        const child = spawn(command, {
+            cwd: unit.cwd,
+            env: buildProcessEnv(unit, variables),
+            shell: true,
+            detached: true,
+            windowsHide: true
+        });
+        registerProcess(projectId, 'build', child, { service: unit.service });
+        child.stdout.on('data', data => emitLog(projectId, unit.service, 'stdout', data));
+        child.stderr.on('data', data => emitLog(projectId, unit.service, 'stderr', data));
+        child.on('error', (err) => {
+            emitLog(projectId, unit.service, 'stderr', err.message);
+            resolve(1);
+        });
+        child.on('close', code => resolve(code));
+    });
+}
+
+// Install dependencies and build every unit, like `docker-compose build` does for containers
+ipcMain.handle('native-prepare', async (event, project) => {
+    try {
+        for (const unit of planNativeUnits(project, getNativeDir(project.id))) {
+            fs.mkdirSync(unit.stateDir, { recursive: true });
+            const variables = getServiceVariables(project.id, unit.service);
+            for (const step of unit.steps) {
+                emitLog(project.id, unit.service, 'stdout', `$ ${step}`);
+                const code = await runNativeStep(project.id, unit, step, variables);
+                if (code !== 0) {
+                    return { success: false, error: `${unit.service}: "${step}" failed with exit code ${code}` };
+                }
             }
         }
-        exec('pkill -f ngrok', () => {
-            resolve({ success: true });
+        warnAboutDatabases(project);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// projectId -> { service: exitCode } for units that exited without being stopped
+const nativeExits = new Map();
+// projectId -> { service: port } of the current native run
+const nativePorts = new Map();
+
+// Start every unit as a child process on a free port, then the host tunnel to the exposed one
+ipcMain.handle('native-start', async (event, project) => {
+    await stopProject(project.id);
+    nativeExits.set(project.id, {});
+
+    try {
+        const units = planNativeUnits(project, getNativeDir(project.id));
+
+        // Ports first, so a frontend can proxy to the port its backend really got
+        const ports = {};
+        for (const unit of units) {
+            let port = await findAvailablePort(unit.port);
+            while (port && Object.values(ports).includes(port)) port = await findAvailablePort(port + 1);
+            if (!port) throw new Error(`No free port near ${unit.port} for ${unit.service}`);
+            ports[unit.service] = port;
+        }
+        nativePorts.set(project.id, ports);
+        const backend = getBackendTarget(project);
+
+        warnAboutDatabases(project);
+        for (const unit of units) {
+            const port = ports[unit.service];
+
+            if (unit.staticDir) {
+                if (!fs.existsSync(unit.staticDir)) throw new Error(`${unit.service}: ${unit.staticDir} not found - process the project again to build it`);
+                const apiPort = unit.spa && backend ? ports[backend.service] : null;
+                const server = await startStaticServer({ root: unit.staticDir, port, spa: unit.spa, apiPort, ignoreRules: unit.ignoreRules });
+                registerHandle(project.id, 'run', {
+                    service: unit.service,
+                    stop: () => {
+                        server.close();
+                        server.closeAllConnections();
+                    }
+                });
+                emitLog(project.id, unit.service, 'stdout', `Serving ${unit.staticDir} on http://localhost:${port}${apiPort ? ` (/api/ -> ${apiPort})` : ''}`);
+                continue;
+            }
+
+            const command = resolveStartCommand(unit, port);
+            emitLog(project.id, unit.service, 'stdout', `$ ${command} (PORT=${port})`);
+
+            // Detached into its own process group so stopping takes the whole tree along
+            const child = spawn(command, {
+                cwd: unit.cwd,
+                env: buildProcessEnv(unit, getServiceVariables(project.id, unit.service), port),
+                shell: true,
+                detached: true,
+                windowsHide: true
+            });
+            const entry = registerProcess(project.id, 'run', child, { service: unit.service });
+            child.stdout.on('data', data => emitLog(project.id, unit.service, 'stdout', data));
+            child.stderr.on('data', data => emitLog(project.id, unit.service, 'stderr', data));
+            child.on('error', err => emitLog(project.id, unit.service, 'stderr', err.message));
+            child.on('close', (code) => {
+                if (entry.stopped) return;
+                emitLog(project.id, unit.service, 'stderr', `exited with code ${code}`);
+                nativeExits.set(project.id, { ...nativeExits.get(project.id), [unit.service]: code });
+            });
+        }
+
+        // Host tunnels to every exposed service, else the default one
+        const targets = getTunnelTargets(project, getTunnelSettings(project.id).exposed);
+        const unrun = targets.filter(target => !ports[target.service]);
+        if (unrun.length > 0) {
+            throw new Error(`Nothing runs natively for the exposed ${unrun.map(target => `"${target.service}"`).join(', ')} - pick another service to expose`);
+        }
+        const hostTargets = targets.map(target => ({ service: target.service, port: ports[target.service] }));
+        const tunnel = await startHostTunnel(hostTargets, project, (type, data) => emitLog(project.id, 'tunnel', type, data));
+        if (!tunnel.success) throw new Error(tunnel.error);
+
+        return {
+            success: true,
+            url: tunnel.url,
+            urls: tunnel.urls,
+            ports
+        };
+    } catch (error) {
+        await stopProject(project.id);
+        return { success: false, error: error.message };
+    }
+});
+
+// ========== Project Processes ==========
+
+// What a project has running: { projectId, running, build, run, tunnel, logs }
+ipcMain.handle('get-project-status', async (event, projectId) => getProjectStatus(projectId));
+
+ipcMain.handle('list-project-statuses', async () => listProjectStatuses());
+
+// Stop one project - everything, or only its build/run/tunnel/logs processes. Compose projects
+// also take their containers down, which stopping the attached `up` alone doesn't guarantee.
+ipcMain.handle('stop-project', async (event, project, kind = null) => {
+    try {
+        let success = true;
+        if ((!kind || kind === 'run') && project.runMode !== 'native' && project.dockerDir) {
+            success = await composeDown(project.dockerDir, project.composeFiles);
+        }
+        await stopProject(project.id, kind);
+        return { success, status: getProjectStatus(project.id) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// ========== Status Reconciler ==========
+
+// How often running projects are checked against what is actually running
+const RECONCILE_INTERVAL_MS = 15000;
+
+function execJson(command, cwd) {
+    return new Promise((resolve, reject) => {
+        exec(command, { cwd, timeout: 15000, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) reject(new Error((stderr || error.message).trim()));
+            else resolve(stdout);
         });
     });
+}
+
+// Every container of a compose project, stopped ones included:
+// [{ service, name, state, health, exitCode }]
+async function listComposeContainers(project) {
+    const engine = await currentEngine();
+    const files = composeFileArgs(project.composeFiles);
+    try {
+        return parseComposePs(await execJson(composeCommand(engine, files, ['ps', '--all', '--format', 'json']), project.dockerDir));
+    } catch (e) {
+        // docker-compose v1 and podman-compose have no JSON output; inspect the containers they list instead
+        const ids = (await execJson(composeCommand(engine, files, ['ps', '-a', '-q']), project.dockerDir)).split(/\s+/).filter(Boolean);
+        return ids.length > 0 ? parseInspect(await execJson(runtimeCommand(engine, ['inspect', ...ids]))) : [];
+    }
+}
+
+// Native units are running while their process is registered; the rest either exited
+// (with the code they exited with) or were never started
+function listNativeUnits(project) {
+    const running = getProjectStatus(project.id).run.map(entry => entry.service);
+    const exits = nativeExits.get(project.id) || {};
+    return planNativeUnits(project, getNativeDir(project.id)).map(({ service }) => {
+        if (running.includes(service)) return { service, name: null, state: 'running', health: null, exitCode: null };
+        if (service in exits) return { service, name: null, state: 'exited', health: null, exitCode: exits[service] };
+        return { service, name: null, state: 'created', health: null, exitCode: null };
+    });
+}
+
+// Whether the public URL still has a tunnel behind it: the project's tunnel sidecars, or
+// its host tunnel. Null when the project has neither (the URL goes with the project state).
+function isTunnelUp(project, services) {
+    if (project.runMode === 'native') {
+        return getProjectStatus(project.id).tunnel.length > 0 ? true : null;
+    }
+    const own = findOwnTunnelSidecars(project);
+    const sidecars = own ? own.sidecars.map(sidecar => sidecar.name) : [];
+    if (sidecars.length === 0) return getProjectStatus(project.id).tunnel.length > 0 ? true : null;
+    return services.some(service => sidecars.includes(service.service) && service.state === 'running');
+}
+
+// What a project is really doing:
+// { projectId, state, exitCode, active, tunnelUp, services, checkedAt, error }
+async function reconcileProject(project) {
+    const checkedAt = new Date().toISOString();
+    try {
+        const services = project.runMode === 'native'
+            ? listNativeUnits(project)
+            : (project.dockerDir ? await listComposeContainers(project) : []);
+        // Native units that never started don't make a project partially running
+        const counted = project.runMode === 'native' && getProjectStatus(project.id).run.length === 0 ? [] : services;
+        const { state, exitCode } = deriveProjectState(counted);
+        return { projectId: project.id, state, exitCode, active: isActiveState(state), tunnelUp: isTunnelUp(project, services), services, checkedAt, error: null };
+    } catch (error) {
+        // Docker not running (or restarting): none of the project's containers are up
+        return { projectId: project.id, state: 'stopped', exitCode: null, active: false, tunnelUp: null, services: [], checkedAt, error: error.message };
+    }
+}
+
+// The projects the app believes are running, checked one at a time
+async function reconcileRunningProjects() {
+    const projects = (getStorageData().projects || []).filter(project => project.status === 'running');
+    const states = [];
+    for (const project of projects) {
+        states.push(await reconcileProject(project));
+    }
+    return states;
+}
+
+let reconcileTimer = null;
+let reconciling = null;
+
+// Results go to the renderer, which owns the stored projects and applies them.
+// Overlapping requests share the check already in progress.
+function reconcileAndReport() {
+    if (!reconciling) {
+        reconciling = reconcileRunningProjects()
+            .then((states) => {
+                if (mainWindow && !mainWindow.isDestroyed()) {
+                    mainWindow.webContents.send('project-states', states);
+                }
+                return states;
+            })
+            .finally(() => {
+                reconciling = null;
+            });
+    }
+    return reconciling;
+}
+
+// Periodic checks; the renderer asks for the first one once it has loaded the projects
+function startStatusReconciler() {
+    if (reconcileTimer) return;
+    reconcileTimer = setInterval(() => {
+        if (mainWindow) reconcileAndReport();
+    }, RECONCILE_INTERVAL_MS);
+}
+
+ipcMain.handle('reconcile-projects', async () => reconcileAndReport());
+
+// ========== Readiness ==========
+
+function getReadiness(projectId) {
+    return normalizeReadiness((getStorageData().readinessProbes || {})[projectId]);
+}
+
+ipcMain.handle('get-readiness', async (event, project) => {
+    try {
+        return {
+            success: true,
+            config: getReadiness(project.id),
+            services: getExposableServices(project).map(service => service.name)
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('save-readiness', async (event, project, config) => {
+    const errors = validateReadiness(config);
+    if (errors.length > 0) {
+        return { success: false, error: errors.join('\n') };
+    }
+    const data = getStorageData();
+    data.readinessProbes = { ...(data.readinessProbes || {}), [project.id]: normalizeReadiness(config) };
+    saveStorageData(data);
+    return { success: true };
+});
+
+// The port on this machine a service answers on: the native unit's, or the host port
+// published for the container port the tunnel points at. Null when it isn't published.
+function getLocalPort(project, service) {
+    if (project.runMode === 'native') {
+        return (nativePorts.get(project.id) || {})[service] || null;
+    }
+    const target = getCurrentTargets(project, findOwnTunnelSidecars(project)).find(t => t.service === service);
+    const mappings = resolveComposeFiles(project.dockerDir, project.composeFiles)
+        .flatMap(file => getPortMappings(readComposeFile(file)))
+        .filter(mapping => mapping.service === service && mapping.hostPort);
+    const mapping = (target && mappings.find(m => m.containerPort === target.port)) || mappings[0];
+    return mapping ? mapping.hostPort : null;
+}
+
+// The service's own check, on this machine. { ok, detail, skipped }
+async function checkLocally(project, service, probe) {
+    if (probe.type === 'healthcheck' && project.runMode !== 'native') {
+        const container = (await listComposeContainers(project)).find(c => c.service === service);
+        if (!container) return { ok: false, detail: 'no container yet' };
+        if (container.state !== 'running') return { ok: false, detail: container.state };
+        // Without a healthcheck, running is all compose can tell
+        if (!container.health) return { ok: true, detail: 'running (no healthcheck defined)' };
+        return { ok: container.health === 'healthy', detail: container.health };
+    }
+
+    const port = getLocalPort(project, service);
+    if (!port) return { ok: true, skipped: true, detail: 'no port on this machine - checked through the tunnel only' };
+    if (probe.type === 'http') {
+        return checkHttp(`http://127.0.0.1:${port}${probe.path}`, probe.expectedStatus);
+    }
+    return checkTcp(port);
+}
+
+// The same service through its public URL. A URL behind OAuth or an IP policy answers
+// with the edge's redirect or denial instead, which still proves the tunnel is up.
+async function checkThroughTunnel(project, url, probe) {
+    const settings = getTunnelSettings(project.id);
+    const headers = { 'ngrok-skip-browser-warning': '1' };
+    if (settings.basicAuth.username) {
+        headers.Authorization = `Basic ${Buffer.from(`${settings.basicAuth.username}:${settings.basicAuth.password}`).toString('base64')}`;
+    }
+    const edgeProtected = Boolean(settings.oauth.provider) || settings.allowCidrs.length > 0 || settings.denyCidrs.length > 0;
+    const expectedStatus = probe.type === 'http' && !edgeProtected ? probe.expectedStatus : null;
+
+    const result = await checkHttp(new URL(probe.type === 'http' ? probe.path : '/', url).toString(), expectedStatus, headers);
+    // ngrok answers itself (with an error code) while the endpoint or upstream is unreachable
+    if (result.ok && !edgeProtected && result.headers && result.headers['ngrok-error-code']) {
+        return { ok: false, detail: `${result.detail} (${result.headers['ngrok-error-code']})` };
+    }
+    return result;
+}
+
+function sendReadiness(progress) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('readiness-progress', progress);
+    }
+}
+
+// Wait until every exposed service ({ service, url }) answers locally and then through its
+// tunnel, reporting each attempt. Gives up at the project's timeout or when it is stopped.
+ipcMain.handle('wait-for-ready', async (event, project, urls) => {
+    const config = getReadiness(project.id);
+    const startedAt = Date.now();
+    const deadline = startedAt + config.timeoutSeconds * 1000;
+    const shouldStop = () => !hasProcesses(project.id, 'run');
+
+    const waitForService = async ({ service, url }) => {
+        const probe = getProbe(config, service);
+        const report = (stage, state, result = {}, attempt = 0) => sendReadiness({
+            projectId: project.id,
+            service,
+            stage,
+            state,
+            attempt,
+            detail: result.detail || '',
+            elapsedMs: Date.now() - startedAt
+        });
+
+        if (probe.type === 'none') {
+            report('tunnel', 'ready', { detail: 'not checked' });
+            return { service, ready: true, detail: 'not checked' };
+        }
+
+        for (const stage of ['local', 'tunnel']) {
+            const check = stage === 'local'
+                ? () => checkLocally(project, service, probe).catch(error => ({ ok: false, detail: error.message }))
+                : () => checkThroughTunnel(project, url, probe);
+            const result = await waitFor(check, {
+                deadline,
+                shouldStop,
+                onAttempt: (attemptResult, attempt) => {
+                    if (!attemptResult.ok) report(stage, 'waiting', attemptResult, attempt);
+                }
+            });
+            if (!result.ok) {
+                const detail = result.timedOut ? `not ready after ${config.timeoutSeconds}s (${result.detail})` : result.detail;
+                report(stage, 'failed', { detail }, result.attempt);
+                emitLog(project.id, service, 'stderr', `Readiness: ${stage === 'local' ? 'service' : 'public URL'} ${detail}`);
+                return { service, ready: false, stage, detail };
+            }
+            report(stage, 'ready', result, result.attempt);
+            emitLog(project.id, service, 'stdout', `Readiness: ${stage === 'local' ? 'service' : 'public URL'} ${result.skipped ? 'skipped' : 'ready'} - ${result.detail}`);
+        }
+        return { service, ready: true, detail: '' };
+    };
+
+    const services = await Promise.all((urls || []).map(waitForService));
+    return { success: services.every(service => service.ready), services };
+});
+
+// ========== Request Inspector ==========
+
+// Inspection API ports of the project's ngrok agents: its sidecars' published 4040s, or
+// the ports its host agents were given. Other providers have no inspection API.
+function getInspectionPorts(project) {
+    const ngrok = getTunnelProvider('ngrok');
+    if (project.runMode === 'native' || !project.dockerDir) {
+        const hostTunnel = getProjectTunnelProvider(project).id === 'ngrok' && hasProcesses(project.id, 'tunnel');
+        return hostTunnel ? hostTunnelPorts.get(project.id) || [] : [];
+    }
+    const docs = resolveComposeFiles(project.dockerDir, project.composeFiles).map(file => readComposeFile(file));
+    const mappings = docs.flatMap(doc => getPortMappings(doc)).filter(m => m.hostPort);
+    return docs
+        .flatMap(doc => findTunnelSidecars(doc))
+        .filter(sidecar => sidecar.providerId === 'ngrok')
+        .map(sidecar => (mappings.find(m => m.service === sidecar.name && m.containerPort === ngrok.apiContainerPort) || {}).hostPort)
+        .filter(Boolean);
+}
+
+ipcMain.handle('list-tunnel-requests', async (event, project, limit = 100) => {
+    try {
+        const ports = getInspectionPorts(project);
+        if (ports.length === 0) {
+            return { success: true, available: false, requests: [] };
+        }
+        return { success: true, available: true, requests: await listRequests(ports, limit) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-tunnel-request', async (event, apiPort, id) => {
+    try {
+        return { success: true, request: await getRequest(apiPort, id) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('replay-tunnel-request', async (event, apiPort, id) => {
+    try {
+        await replayRequest(apiPort, id);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// ========== Tunnel Metrics ==========
+
+const METRICS_INTERVAL_MS = 5000;
+
+let metricsTimer = null;
+let sampling = false;
+
+// Running ngrok projects, one sample each; samples go to the metrics panels as they come
+async function sampleTunnelMetrics() {
+    const projects = (getStorageData().projects || []).filter(project => project.status === 'running');
+    for (const project of projects) {
+        let ports;
+        try {
+            ports = getInspectionPorts(project);
+        } catch (e) {
+            continue;
+        }
+        if (ports.length === 0) continue;
+
+        let result;
+        try {
+            result = recordSample(project.id, await listTunnels(ports));
+        } catch (error) {
+            result = recordSample(project.id, [], error.message);
+        }
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('tunnel-metrics', { projectId: project.id, ...result });
+        }
+    }
+}
+
+function startMetricsSampler() {
+    if (metricsTimer) return;
+    metricsTimer = setInterval(async () => {
+        if (sampling || !mainWindow) return;
+        sampling = true;
+        try {
+            await sampleTunnelMetrics();
+        } finally {
+            sampling = false;
+        }
+    }, METRICS_INTERVAL_MS);
+}
+
+// This session's samples and tunnel events for a project: { samples, events }
+ipcMain.handle('get-tunnel-metrics', async (event, projectId) => getHistory(projectId));
+
+// Registered processes are detached, so they would outlive the app without this
+app.on('before-quit', (event) => {
+    if (listProjectStatuses().length === 0) return;
+    event.preventDefault();
+    stopAll().finally(() => app.quit());
 });
 
 // ========== Port Conflict Detection ==========
@@ -982,28 +2503,50 @@ ipcMain.handle('check-port-in-use', async (event, port) => {
     });
 });
 
-// Find next available port
-ipcMain.handle('find-available-port', async (event, startPort) => {
-    const checkPort = (port) => {
-        return new Promise((resolve) => {
-            const isWindows = process.platform === 'win32';
-            const command = isWindows
-                ? `netstat -ano | findstr :${port}`
-                : `lsof -i :${port} -t`;
+// Check whether nothing is listening on a port
+function checkPortAvailable(port) {
+    return new Promise((resolve) => {
+        const isWindows = process.platform === 'win32';
+        const command = isWindows
+            ? `netstat -ano | findstr :${port}`
+            : `lsof -i :${port} -t`;
 
-            exec(command, (error, stdout) => {
-                resolve(!stdout || !stdout.trim());
-            });
+        exec(command, (error, stdout) => {
+            resolve(!stdout || !stdout.trim());
         });
-    };
+    });
+}
 
-    let port = startPort;
-    while (port < startPort + 100) {
-        const available = await checkPort(port);
-        if (available) {
-            return { success: true, port };
+// Find the first free port in [startPort, startPort + 100), or null
+async function findAvailablePort(startPort) {
+    for (let port = startPort; port < startPort + 100; port++) {
+        if (await checkPortAvailable(port)) {
+            return port;
         }
-        port++;
+    }
+    return null;
+}
+
+// `count` distinct free ports for tunnel APIs (ngrok inspector, cloudflared metrics), one
+// per agent, from `start` on (a random port in 4040-4140 by default). `taken` are ports
+// already assigned.
+async function allocateApiPorts(count, taken = [], start = Math.floor(Math.random() * 100) + 4040) {
+    const ports = [];
+    let next = start;
+    while (ports.length < count) {
+        const port = await findAvailablePort(next);
+        if (!port) return null;
+        if (!taken.includes(port)) ports.push(port);
+        next = port + 1;
+    }
+    return ports;
+}
+
+// Find next available port
+ipcMain.handle('find-available-port', async (event, startPort) => {
+    const port = await findAvailablePort(startPort);
+    if (port) {
+        return { success: true, port };
     }
     return { success: false, error: 'No available port found in range' };
 });
@@ -1052,6 +2595,32 @@ ipcMain.handle('cleanup-project-files', async (event, project) => {
             }
         }
 
+        // Env files and editor state from the env editor
+        if (project.id) {
+            const envDir = getEnvDir(project.id);
+            if (fs.existsSync(envDir)) {
+                fs.rmSync(envDir, { recursive: true, force: true });
+                deletedFiles.push(`[internal] ${envDir}`);
+            }
+            const data = getStorageData();
+            const tunnelDir = getTunnelDir(project.id);
+            if (fs.existsSync(tunnelDir)) {
+                fs.rmSync(tunnelDir, { recursive: true, force: true });
+                deletedFiles.push(`[internal] ${tunnelDir}`);
+            }
+            const nativeDir = getNativeDir(project.id);
+            if (fs.existsSync(nativeDir)) {
+                fs.rmSync(nativeDir, { recursive: true, force: true });
+                deletedFiles.push(`[internal] ${nativeDir}`);
+            }
+            clearBacklog(project.id);
+            clearHistory(project.id);
+            for (const key of ['projectEnv', 'dbCredentials', 'tunnelSettings', 'readinessProbes']) {
+                if (data[key] && data[key][project.id]) delete data[key][project.id];
+            }
+            saveStorageData(data);
+        }
+
         // 2. If temporary mode OR we have a list of generated files, delete them
         if (project.generatedFiles && Array.isArray(project.generatedFiles)) {
             for (const filePath of project.generatedFiles) {
@@ -1075,12 +2644,17 @@ ipcMain.handle('cleanup-project-files', async (event, project) => {
                 path.join(project.dockerDir, 'docker-compose.yaml'),
             ];
 
-            // Also check frontend/backend subdirs if they exist
-            const frontendDockerfile = path.join(project.dockerDir, 'frontend', 'Dockerfile');
-            const backendDockerfile = path.join(project.dockerDir, 'backend', 'Dockerfile');
+            // Also check every unit's folder (frontend/backend, apps/*, services/*, ...)
             const rootDockerfile = path.join(project.dockerDir, 'Dockerfile');
-
-            possibleFiles.push(frontendDockerfile, backendDockerfile, rootDockerfile);
+            const unitDockerfiles = (project.structure || []).map(item => path.join(item.path, 'Dockerfile'));
+            const dockerignores = [rootDockerfile, ...unitDockerfiles].map(file => `${file}.dockerignore`);
+            // Builds without BuildKit read the ignore rules from .containerignore in the build context
+            const containerignores = [
+                project.dockerDir,
+                ...(project.structure || []).flatMap(item => [item.path, getBuildContext(item)])
+            ].map(dir => path.join(dir, '.containerignore'));
+
+            possibleFiles.push(rootDockerfile, ...new Set(unitDockerfiles), ...new Set(dockerignores), ...new Set(containerignores));
 
             for (const filePath of possibleFiles) {
                 if (isOurGeneratedFile(filePath)) {
@@ -0,0 +1,296 @@
+/**
+ * Native Runner
+ * Runs a project's units straight on this machine instead of in containers: the install and
+ * build steps each Dockerfile template would run, the start command with its port and env,
+ * and a small static server standing in for nginx.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const {
+    getUnitServiceName,
+    getUnitPort,
+    resolveTemplate,
+    getDefaultStartCommand,
+    DEFAULT_PACKAGE_MANAGER,
+    getPackageManagerCommands
+} = require('./dockerGenerator.cjs');
+const { SENSITIVE_PATTERNS, getIgnoreRules, compileRules, isExcluded } = require('./buildContext.cjs');
+
+const isWindows = process.platform === 'win32';
+
+// Ports below 1024 (nginx's 80) need root outside a container
+const UNPRIVILEGED_OFFSET = 8000;
+
+// ========== Plans ==========
+
+// Install with the unit's own package manager. A plain install still honours the
+// lockfile and, unlike `npm ci`, keeps the node_modules the developer already has.
+function nodeSteps(tech, build) {
+    const commands = getPackageManagerCommands(tech.packageManager || DEFAULT_PACKAGE_MANAGER);
+    return build ? [commands.installNoLock, `${commands.run} build`] : [commands.installNoLock];
+}
+
+const pythonInstallCommands = {
+    pip: 'pip install -r requirements.txt',
+    pipenv: 'pip install pipenv && pipenv install --deploy',
+    poetry: 'pip install poetry && poetry install --no-root --only main',
+    pyproject: 'pip install .'
+};
+
+function venvBin(venvDir) {
+    return path.join(venvDir, isWindows ? 'Scripts' : 'bin');
+}
+
+// The jar a Maven/Gradle build produced: the scanned name when it exists, else the runnable one
+function findJar(unit) {
+    const dir = path.join(unit.cwd, unit.template === 'java_gradle' ? path.join('build', 'libs') : 'target');
+    if (unit.entrypoint && !unit.entrypoint.includes('*') && fs.existsSync(path.join(dir, unit.entrypoint))) {
+        return path.join(dir, unit.entrypoint);
+    }
+    const jars = fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(name => name.endsWith('.jar') && !/-(plain|sources|javadoc)\.jar$/.test(name))
+        : [];
+    return jars.length > 0 ? path.join(dir, jars[0]) : null;
+}
+
+// What running one unit natively takes:
+//   { service, template, cwd, stateDir, steps, command, entrypoint, staticDir, spa, ignoreRules, port, env, pathPrefix }
+// stateDir holds what must not end up in the user's folder (the Python venv, the Go binary).
+// ignoreRules are the .dockerignore rules of a unit served from its own folder.
+function planUnit(item, service, stateDir) {
+    const tech = resolveTemplate((item.techStacks && item.techStacks[0]) || { name: 'Unknown' });
+    const unit = {
+        service,
+        template: tech.template,
+        cwd: item.path,
+        stateDir,
+        steps: [],
+        command: item.startCommand || getDefaultStartCommand(tech),
+        entrypoint: item.entrypoint || null,
+        staticDir: null,
+        spa: false,
+        ignoreRules: [],
+        port: getUnitPort(item),
+        env: {},
+        pathPrefix: []
+    };
+    if (unit.port < 1024) unit.port += UNPRIVILEGED_OFFSET;
+
+    switch (tech.template) {
+        case 'nodejs':
+            unit.steps = nodeSteps(tech, tech.framework === 'nextjs' || tech.framework === 'nestjs');
+            break;
+        case 'node_ssr':
+            unit.steps = nodeSteps(tech, true);
+            unit.env = { NODE_ENV: 'production' };
+            break;
+        case 'spa':
+            unit.steps = nodeSteps(tech, true);
+            unit.staticDir = path.join(item.path, tech.outputDir || 'dist');
+            unit.spa = true;
+            break;
+        case 'static':
+            // nginx only gets what the build context lets through
+            unit.staticDir = item.path;
+            unit.ignoreRules = getIgnoreRules(item.path, tech);
+            break;
+        case 'python': {
+            const venvDir = path.join(stateDir, 'venv');
+            if (!fs.existsSync(venvDir)) unit.steps.push(`${isWindows ? 'python' : 'python3'} -m venv "${venvDir}"`);
+            unit.steps.push(pythonInstallCommands[tech.buildTool] || pythonInstallCommands.pip);
+            unit.env = { VIRTUAL_ENV: venvDir, PYTHONUNBUFFERED: '1' };
+            unit.pathPrefix = [venvBin(venvDir)];
+            break;
+        }
+        case 'go': {
+            const binary = path.join(stateDir, isWindows ? 'main.exe' : 'main');
+            unit.steps = [`go build -o "${binary}" ${unit.entrypoint || '.'}`];
+            unit.command = unit.command.replace(/^\.\/main\b/, `"${binary}"`);
+            break;
+        }
+        case 'java_maven':
+            unit.steps = [`${tech.buildTool === 'mvnw' ? (isWindows ? 'mvnw.cmd' : './mvnw') : 'mvn'} package -DskipTests`];
+            break;
+        case 'java_gradle':
+            unit.steps = [`${tech.buildTool === 'gradlew' ? (isWindows ? 'gradlew.bat' : './gradlew') : 'gradle'} build -x test`];
+            break;
+        case 'php':
+            if (fs.existsSync(path.join(item.path, 'composer.json'))) unit.steps = ['composer install'];
+            break;
+        case 'rust':
+            // The start command names the binary; cargo leaves it in target/release
+            unit.steps = ['cargo build --release'];
+            unit.pathPrefix = [path.join(item.path, 'target', 'release')];
+            break;
+        default:
+            break;
+    }
+
+    return unit;
+}
+
+// One plan per runnable unit; shared libraries have nothing to start
+function planNativeUnits(project, stateRoot) {
+    return project.structure
+        .map((item, index) => ({ item, service: getUnitServiceName(item, index) }))
+        .filter(({ item }) => item.type !== 'library')
+        .map(({ item, service }) => planUnit(item, service, path.join(stateRoot, service)));
+}
+
+// The command to spawn, with the port filled in ($PORT doesn't expand in cmd.exe)
+function resolveStartCommand(unit, port) {
+    let command = String(unit.command || '').replace(/\$\{?PORT\}?/g, String(port));
+    if (unit.template === 'java_maven' || unit.template === 'java_gradle') {
+        const jar = findJar(unit);
+        if (!jar) throw new Error(`${unit.service}: no jar found - build the project first`);
+        command = command.replace(/\bapp\.jar\b/, `"${jar}"`);
+    }
+    return command;
+}
+
+// process.env plus the env editor's values, the port and the unit's own toolchain paths
+function buildProcessEnv(unit, variables = {}, port = null) {
+    const env = { ...process.env, ...variables, ...unit.env };
+    if (port) env.PORT = String(port);
+    if (unit.pathPrefix.length > 0) {
+        const key = Object.keys(env).find(name => name.toUpperCase() === 'PATH') || 'PATH';
+        env[key] = [...unit.pathPrefix, env[key]].filter(Boolean).join(path.delimiter);
+    }
+    return env;
+}
+
+// ========== Static Server ==========
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.wasm': 'application/wasm'
+};
+
+// /api/ is forwarded with the prefix stripped, like the nginx proxy_pass in the spa template
+function proxyToApi(req, res, apiPort) {
+    const upstream = http.request({
+        host: '127.0.0.1',
+        port: apiPort,
+        method: req.method,
+        path: req.url.slice('/api'.length),
+        headers: req.headers
+    }, (response) => {
+        res.writeHead(response.statusCode, response.headers);
+        response.pipe(res);
+    });
+    upstream.on('error', () => {
+        if (!res.headersSent) res.writeHead(502, { 'Content-Type': 'text/plain' });
+        res.end('Bad gateway');
+    });
+    req.pipe(upstream);
+}
+
+// WebSocket upgrades on /api/ are passed through as raw sockets
+function proxyUpgrade(req, socket, head, apiPort) {
+    const upstream = net.connect(apiPort, '127.0.0.1', () => {
+        const headers = [];
+        for (let i = 0; i < req.rawHeaders.length; i += 2) headers.push(`${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}`);
+        upstream.write(`${req.method} ${req.url.slice('/api'.length)} HTTP/1.1\r\n${headers.join('\r\n')}\r\n\r\n`);
+        upstream.write(head);
+        socket.pipe(upstream).pipe(socket);
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('error', () => upstream.destroy());
+}
+
+// Files the image would never contain: hidden paths (except .well-known), secrets and
+// anything the unit's ignore rules exclude. relativePath uses forward slashes.
+function isHidden(relativePath, compiled) {
+    if (relativePath.split('/').some(segment => segment.startsWith('.') && segment !== '.well-known')) return true;
+    if (SENSITIVE_PATTERNS.some(pattern => pattern.test(relativePath))) return true;
+    return isExcluded(relativePath, compiled);
+}
+
+// Serve a folder the way the nginx templates do: index.html for directories, the SPA
+// fallback for unknown paths (spa only) and the /api/ proxy when there is a backend.
+// Hidden files answer 404 like missing ones.
+function startStaticServer({ root, port, spa = false, apiPort = null, ignoreRules = [] }) {
+    const rootDir = path.resolve(root);
+    const compiled = compileRules(ignoreRules);
+    const hidden = filePath => isHidden(path.relative(rootDir, filePath).split(path.sep).join('/'), compiled);
+
+    const server = http.createServer((req, res) => {
+        if (apiPort && req.url.startsWith('/api/')) {
+            proxyToApi(req, res, apiPort);
+            return;
+        }
+
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (e) {
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+
+        let filePath = path.join(rootDir, path.normalize(pathname));
+        if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+        if (filePath !== rootDir && hidden(filePath)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+        if (!fs.existsSync(filePath) && spa) {
+            filePath = path.join(rootDir, 'index.html');
+        }
+        if (!fs.existsSync(filePath) || hidden(filePath)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        fs.createReadStream(filePath).pipe(res);
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+        if (apiPort && req.url.startsWith('/api/')) {
+            proxyUpgrade(req, socket, head, apiPort);
+        } else {
+            socket.destroy();
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => resolve(server));
+    });
+}
+
+module.exports = {
+    planNativeUnits,
+    resolveStartCommand,
+    buildProcessEnv,
+    startStaticServer
+};
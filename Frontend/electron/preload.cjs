@@ -15,20 +15,83 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Ngrok
     checkNgrokConfigured: () => ipcRenderer.invoke('check-ngrok-configured'),
     setupNgrokKey: (key) => ipcRenderer.invoke('setup-ngrok-key', key),
-    getNgrokKey: () => ipcRenderer.invoke('get-ngrok-key'),
+    hasNgrokKey: (profileId) => ipcRenderer.invoke('has-ngrok-key', profileId),
+    listNgrokProfiles: () => ipcRenderer.invoke('list-ngrok-profiles'),
+    saveNgrokProfile: (profile) => ipcRenderer.invoke('save-ngrok-profile', profile),
+    removeNgrokProfile: (profileId) => ipcRenderer.invoke('remove-ngrok-profile', profileId),
+    setDefaultNgrokProfile: (profileId) => ipcRenderer.invoke('set-default-ngrok-profile', profileId),
+    // Tunnel Providers
+    listTunnelProviders: () => ipcRenderer.invoke('list-tunnel-providers'),
+    saveTunnelProvider: (providerId, values) => ipcRenderer.invoke('save-tunnel-provider', providerId, values),
+    setDefaultTunnelProvider: (providerId) => ipcRenderer.invoke('set-default-tunnel-provider', providerId),
+    checkTunnelProvider: (project) => ipcRenderer.invoke('check-tunnel-provider', project),
+    prepareTunnel: (project) => ipcRenderer.invoke('prepare-tunnel', project),
+    // Container Engine
+    getContainerEngine: () => ipcRenderer.invoke('get-container-engine'),
+    setContainerEngine: (engineId) => ipcRenderer.invoke('set-container-engine', engineId),
     // Docker
     generateDockerFiles: (project) => ipcRenderer.invoke('generate-docker-files', project),
     applyDockerToProject: (project, dockerDir) => ipcRenderer.invoke('apply-docker-to-project', project, dockerDir),
-    dockerBuild: (dockerDir) => ipcRenderer.invoke('docker-build', dockerDir),
-    dockerUp: (dockerDir) => ipcRenderer.invoke('docker-up', dockerDir),
-    dockerDown: (dockerDir) => ipcRenderer.invoke('docker-down', dockerDir),
-    getNgrokUrl: (apiPort) => ipcRenderer.invoke('get-ngrok-url', apiPort),
-    onDockerOutput: (callback) => ipcRenderer.on('docker-output', (event, data) => callback(data)),
-    removeDockerOutputListener: () => ipcRenderer.removeAllListeners('docker-output'),
+    dockerBuild: (dockerDir, composeFiles, projectId) => ipcRenderer.invoke('docker-build', dockerDir, composeFiles, projectId),
+    dockerUp: (dockerDir, composeFiles, project) => ipcRenderer.invoke('docker-up', dockerDir, composeFiles, project),
+    dockerDown: (dockerDir, composeFiles, projectId) => ipcRenderer.invoke('docker-down', dockerDir, composeFiles, projectId),
+    cancelBuild: (projectId) => ipcRenderer.invoke('cancel-build', projectId),
+    onBuildProgress: (callback) => {
+        const listener = (event, progress) => callback(progress);
+        ipcRenderer.on('build-progress', listener);
+        return () => ipcRenderer.removeListener('build-progress', listener);
+    },
+    getTunnelUrls: (project) => ipcRenderer.invoke('get-tunnel-urls', project),
+    onDockerOutput: (callback) => {
+        const listener = (event, entry) => callback(entry);
+        ipcRenderer.on('docker-output', listener);
+        return () => ipcRenderer.removeListener('docker-output', listener);
+    },
+    attachProjectLogs: (project, since) => ipcRenderer.invoke('attach-project-logs', project, since),
+    getProjectLogs: (projectId) => ipcRenderer.invoke('get-project-logs', projectId),
+    listTunnelRequests: (project, limit) => ipcRenderer.invoke('list-tunnel-requests', project, limit),
+    getTunnelRequest: (apiPort, id) => ipcRenderer.invoke('get-tunnel-request', apiPort, id),
+    replayTunnelRequest: (apiPort, id) => ipcRenderer.invoke('replay-tunnel-request', apiPort, id),
+    getTunnelMetrics: (projectId) => ipcRenderer.invoke('get-tunnel-metrics', projectId),
+    onTunnelMetrics: (callback) => {
+        const listener = (event, update) => callback(update);
+        ipcRenderer.on('tunnel-metrics', listener);
+        return () => ipcRenderer.removeListener('tunnel-metrics', listener);
+    },
+    // Native Run
+    nativePrepare: (project) => ipcRenderer.invoke('native-prepare', project),
+    nativeStart: (project) => ipcRenderer.invoke('native-start', project),
+    // Project Processes
+    getProjectStatus: (projectId) => ipcRenderer.invoke('get-project-status', projectId),
+    listProjectStatuses: () => ipcRenderer.invoke('list-project-statuses'),
+    stopProject: (project, kind) => ipcRenderer.invoke('stop-project', project, kind),
+    reconcileProjects: () => ipcRenderer.invoke('reconcile-projects'),
+    getReadiness: (project) => ipcRenderer.invoke('get-readiness', project),
+    saveReadiness: (project, config) => ipcRenderer.invoke('save-readiness', project, config),
+    waitForReady: (project, urls) => ipcRenderer.invoke('wait-for-ready', project, urls),
+    onReadinessProgress: (callback) => {
+        const listener = (event, progress) => callback(progress);
+        ipcRenderer.on('readiness-progress', listener);
+        return () => ipcRenderer.removeListener('readiness-progress', listener);
+    },
+    onProjectStates: (callback) => {
+        const listener = (event, states) => callback(states);
+        ipcRenderer.on('project-states', listener);
+        return () => ipcRenderer.removeListener('project-states', listener);
+    },
     // Existing Docker
-    setupExistingDocker: (project) => ipcRenderer.invoke('setup-existing-docker', project),
-    startNgrokTunnel: (port) => ipcRenderer.invoke('start-ngrok-tunnel', port),
-    stopNgrokTunnel: (pid) => ipcRenderer.invoke('stop-ngrok-tunnel', pid),
+    analyzeBuildContext: (project) => ipcRenderer.invoke('analyze-build-context', project),
+    getProjectEnv: (project) => ipcRenderer.invoke('get-project-env', project),
+    importEnvFile: (filePath) => ipcRenderer.invoke('import-env-file', filePath),
+    saveProjectEnv: (project, services) => ipcRenderer.invoke('save-project-env', project, services),
+    getDbCredentials: (project) => ipcRenderer.invoke('get-db-credentials', project),
+    rotateDbCredentials: (project) => ipcRenderer.invoke('rotate-db-credentials', project),
+    getTunnelSettings: (project) => ipcRenderer.invoke('get-tunnel-settings', project),
+    saveTunnelSettings: (project, settings) => ipcRenderer.invoke('save-tunnel-settings', project, settings),
+    getComposeServices: (projectPath) => ipcRenderer.invoke('get-compose-services', projectPath),
+    setupExistingDocker: (project, target) => ipcRenderer.invoke('setup-existing-docker', project, target),
+    startHostTunnel: (port, project) => ipcRenderer.invoke('start-host-tunnel', port, project),
+    stopHostTunnel: (projectId) => ipcRenderer.invoke('stop-host-tunnel', projectId),
     // Port Conflict Detection
     checkPortInUse: (port) => ipcRenderer.invoke('check-port-in-use', port),
     findAvailablePort: (startPort) => ipcRenderer.invoke('find-available-port', startPort),
@@ -36,8 +99,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     checkPortInUse: (port) => ipcRenderer.invoke('check-port-in-use', port),
     findAvailablePort: (startPort) => ipcRenderer.invoke('find-available-port', startPort),
     killPortProcess: (port) => ipcRenderer.invoke('kill-port-process', port),
-    updateDockerPorts: (dockerDir, portMappings) => ipcRenderer.invoke('update-docker-ports', dockerDir, portMappings),
-    getDockerPorts: (dockerDir) => ipcRenderer.invoke('get-docker-ports', dockerDir),
+    updateDockerPorts: (dockerDir, portMappings, composeFiles) => ipcRenderer.invoke('update-docker-ports', dockerDir, portMappings, composeFiles),
+    getDockerPorts: (dockerDir, composeFiles) => ipcRenderer.invoke('get-docker-ports', dockerDir, composeFiles),
+    updateDockerEnv: (dockerDir, serviceName, variables) => ipcRenderer.invoke('update-docker-env', dockerDir, serviceName, variables),
     // Cleanup
     cleanupProjectFiles: (project) => ipcRenderer.invoke('cleanup-project-files', project),
 });
@@ -0,0 +1,146 @@
+/**
+ * Process Registry
+ * Every process LocalDeploy starts, filed under the project it belongs to and the job it
+ * does there (build, run, tunnel, or following the logs of containers that are already
+ * running). Projects can run side by side, and stopping one only
+ * ever signals the processes registered under its own ID.
+ */
+
+const { exec } = require('child_process');
+
+const PROCESS_KINDS = ['build', 'run', 'tunnel', 'logs'];
+
+// projectId -> [{ id, kind, service, pid, startedAt, stopped, stop }]
+const registry = new Map();
+let nextEntryId = 1;
+
+// ========== Cleanup ==========
+
+function isGroupAlive(pid) {
+    try {
+        process.kill(-pid, 0);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Stop a detached process and everything it started. Shells, package-manager scripts and
+// compose spawn children of their own, so the whole group/tree is signalled; anything
+// still alive after a grace period is killed.
+function killProcessTree(pid, graceMs = 3000) {
+    return new Promise((resolve) => {
+        if (!pid) {
+            resolve();
+            return;
+        }
+        if (process.platform === 'win32') {
+            exec(`taskkill /pid ${pid} /T /F`, () => resolve());
+            return;
+        }
+        try {
+            process.kill(-pid, 'SIGTERM');
+        } catch (e) {
+            // Process may already be dead
+            resolve();
+            return;
+        }
+
+        const startedAt = Date.now();
+        const timer = setInterval(() => {
+            if (!isGroupAlive(pid)) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() - startedAt >= graceMs) {
+                clearInterval(timer);
+                try {
+                    process.kill(-pid, 'SIGKILL');
+                } catch (e) {
+                    // Exited in between
+                }
+                resolve();
+            }
+        }, 200);
+    });
+}
+
+// ========== Registry ==========
+
+function removeEntry(projectId, entry) {
+    const entries = (registry.get(projectId) || []).filter(e => e !== entry);
+    if (entries.length > 0) {
+        registry.set(projectId, entries);
+    } else {
+        registry.delete(projectId);
+    }
+}
+
+function addEntry(projectId, kind, { service = null, pid = null, stop }) {
+    if (!projectId) throw new Error('Processes must belong to a project');
+    if (!PROCESS_KINDS.includes(kind)) throw new Error(`Unknown process kind "${kind}"`);
+
+    const entry = { id: nextEntryId++, kind, service, pid, startedAt: new Date().toISOString(), stopped: false, stop };
+    registry.set(projectId, [...(registry.get(projectId) || []), entry]);
+    return entry;
+}
+
+// Track a child process. It must be spawned with `detached: true` so it leads its own
+// process group and can be stopped as a tree. The entry drops out once the process exits.
+function registerProcess(projectId, kind, child, { service = null } = {}) {
+    const entry = addEntry(projectId, kind, { service, pid: child.pid, stop: () => killProcessTree(child.pid) });
+    child.once('close', () => removeEntry(projectId, entry));
+    child.once('error', () => removeEntry(projectId, entry));
+    return entry;
+}
+
+// Track something that isn't a child process (a server the app runs itself)
+function registerHandle(projectId, kind, { service = null, stop }) {
+    return addEntry(projectId, kind, { service, stop: async () => stop() });
+}
+
+// Stop a project's processes: all of them, or only one kind. Entries are marked before
+// they're signalled, so exit handlers can tell a requested stop from a crash.
+async function stopProject(projectId, kind = null) {
+    const entries = (registry.get(projectId) || []).filter(entry => !kind || entry.kind === kind);
+    entries.forEach((entry) => {
+        entry.stopped = true;
+        removeEntry(projectId, entry);
+    });
+    await Promise.all(entries.map(entry => entry.stop()));
+}
+
+async function stopAll() {
+    await Promise.all([...registry.keys()].map(projectId => stopProject(projectId)));
+}
+
+function hasProcesses(projectId, kind = null) {
+    return (registry.get(projectId) || []).some(entry => !kind || entry.kind === kind);
+}
+
+// Serializable snapshot: { projectId, running, build, run, tunnel, logs } with [{ id, service, pid, startedAt }] each
+function getProjectStatus(projectId) {
+    const entries = registry.get(projectId) || [];
+    const status = { projectId, running: entries.some(entry => entry.kind === 'run') };
+    for (const kind of PROCESS_KINDS) {
+        status[kind] = entries
+            .filter(entry => entry.kind === kind)
+            .map(({ id, service, pid, startedAt }) => ({ id, service, pid, startedAt }));
+    }
+    return status;
+}
+
+function listProjectStatuses() {
+    return [...registry.keys()].map(projectId => getProjectStatus(projectId));
+}
+
+module.exports = {
+    PROCESS_KINDS,
+    killProcessTree,
+    registerProcess,
+    registerHandle,
+    stopProject,
+    stopAll,
+    hasProcesses,
+    getProjectStatus,
+    listProjectStatuses
+};
@@ -0,0 +1,1387 @@
+/**
+ * Project Scanner
+ * Discovers deployable units (by manifest files and workspace definitions) and
+ * detects their tech stack, databases and default ports
+ */
+
+const path = require('path');
+const fs = require('fs');
+const YAML = require('yaml');
+const {
+    GENERATED_MARKER,
+    getTemplatePort,
+    servesWithNginx,
+    getDefaultStartCommand,
+    defaultRuntimeVersions,
+    getRuntimeName,
+    getBaseImages
+} = require('./dockerGenerator.cjs');
+
+// ========== Detection ==========
+
+// Detect databases from a directory
+function detectDatabases(dirPath) {
+    const files = fs.readdirSync(dirPath);
+    const databases = [];
+
+    const addDb = (name, icon, image) => {
+        if (!databases.find(d => d.name === name)) {
+            databases.push({ name, icon, image });
+        }
+    };
+
+    // ========== Node.js (package.json) ==========
+    if (files.includes('package.json')) {
+        try {
+            const pkgPath = path.join(dirPath, 'package.json');
+            const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+            const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+
+            if (deps['mysql'] || deps['mysql2']) addDb('MySQL', '🐬', 'mysql:8');
+            if (deps['pg'] || deps['postgres'] || deps['postgresql']) addDb('PostgreSQL', '🐘', 'postgres:15');
+            if (deps['mongoose'] || deps['mongodb']) addDb('MongoDB', '🍃', 'mongo:6');
+            if (deps['redis'] || deps['ioredis']) addDb('Redis', '🔴', 'redis:7');
+            if (deps['sqlite3'] || deps['better-sqlite3']) addDb('SQLite', '📁', null);
+        } catch (e) { /* ignore */ }
+    }
+
+    // ========== Python (requirements.txt, pyproject.toml) ==========
+    const pythonFiles = ['requirements.txt', 'pyproject.toml', 'Pipfile'];
+    for (const pyFile of pythonFiles) {
+        if (files.includes(pyFile)) {
+            try {
+                const content = fs.readFileSync(path.join(dirPath, pyFile), 'utf8').toLowerCase();
+                if (content.includes('mysqlclient') || content.includes('pymysql') || content.includes('mysql-connector')) addDb('MySQL', '🐬', 'mysql:8');
+                if (content.includes('psycopg') || content.includes('asyncpg') || content.includes('pg8000')) addDb('PostgreSQL', '🐘', 'postgres:15');
+                if (content.includes('pymongo') || content.includes('motor')) addDb('MongoDB', '🍃', 'mongo:6');
+                if (content.includes('redis') || content.includes('aioredis')) addDb('Redis', '🔴', 'redis:7');
+                if (content.includes('sqlite') || content.includes('aiosqlite') || content.includes('sqlalchemy')) addDb('SQLite', '📁', null);
+            } catch (e) { /* ignore */ }
+        }
+    }
+
+    // ========== Go (go.mod) ==========
+    if (files.includes('go.mod')) {
+        try {
+            const content = fs.readFileSync(path.join(dirPath, 'go.mod'), 'utf8').toLowerCase();
+            if (content.includes('mysql') || content.includes('go-sql-driver')) addDb('MySQL', '🐬', 'mysql:8');
+            if (content.includes('pq') || content.includes('pgx') || content.includes('lib/pq')) addDb('PostgreSQL', '🐘', 'postgres:15');
+            if (content.includes('mongo')) addDb('MongoDB', '🍃', 'mongo:6');
+            if (content.includes('redis') || content.includes('go-redis')) addDb('Redis', '🔴', 'redis:7');
+            if (content.includes('sqlite') || content.includes('go-sqlite3') || content.includes('mattn')) addDb('SQLite', '📁', null);
+            // GORM drivers
+            if (content.includes('gorm.io/driver/mysql')) addDb('MySQL', '🐬', 'mysql:8');
+            if (content.includes('gorm.io/driver/postgres')) addDb('PostgreSQL', '🐘', 'postgres:15');
+            if (content.includes('gorm.io/driver/sqlite')) addDb('SQLite', '📁', null);
+        } catch (e) { /* ignore */ }
+    }
+
+    // ========== Java (pom.xml, build.gradle) ==========
+    if (files.includes('pom.xml')) {
+        try {
+            const content = fs.readFileSync(path.join(dirPath, 'pom.xml'), 'utf8').toLowerCase();
+            if (content.includes('mysql-connector') || content.includes('mysql:mysql')) addDb('MySQL', '🐬', 'mysql:8');
+            if (content.includes('postgresql') || content.includes('org.postgresql')) addDb('PostgreSQL', '🐘', 'postgres:15');
+            if (content.includes('mongodb') || content.includes('mongo-java-driver')) addDb('MongoDB', '🍃', 'mongo:6');
+            if (content.includes('jedis') || content.includes('lettuce') || content.includes('spring-data-redis')) addDb('Redis', '🔴', 'redis:7');
+            if (content.includes('sqlite') || content.includes('xerial')) addDb('SQLite', '📁', null);
+        } catch (e) { /* ignore */ }
+    }
+    if (files.includes('build.gradle') || files.includes('build.gradle.kts')) {
+        try {
+            const gradleFile = files.includes('build.gradle') ? 'build.gradle' : 'build.gradle.kts';
+            const content = fs.readFileSync(path.join(dirPath, gradleFile), 'utf8').toLowerCase();
+            if (content.includes('mysql-connector') || content.includes('mysql:mysql')) addDb('MySQL', '🐬', 'mysql:8');
+            if (content.includes('postgresql') || content.includes('org.postgresql')) addDb('PostgreSQL', '🐘', 'postgres:15');
+            if (content.includes('mongodb') || content.includes('mongo')) addDb('MongoDB', '🍃', 'mongo:6');
+            if (content.includes('jedis') || content.includes('lettuce') || content.includes('redis')) addDb('Redis', '🔴', 'redis:7');
+            if (content.includes('sqlite') || content.includes('xerial')) addDb('SQLite', '📁', null);
+        } catch (e) { /* ignore */ }
+    }
+
+    // ========== PHP (composer.json) ==========
+    if (files.includes('composer.json')) {
+        try {
+            const content = fs.readFileSync(path.join(dirPath, 'composer.json'), 'utf8').toLowerCase();
+            if (content.includes('mysql') || content.includes('pdo_mysql') || content.includes('doctrine/dbal')) addDb('MySQL', '🐬', 'mysql:8');
+            if (content.includes('postgresql') || content.includes('pdo_pgsql') || content.includes('pgsql')) addDb('PostgreSQL', '🐘', 'postgres:15');
+            if (content.includes('mongodb') || content.includes('mongo')) addDb('MongoDB', '🍃', 'mongo:6');
+            if (content.includes('predis') || content.includes('phpredis') || content.includes('redis')) addDb('Redis', '🔴', 'redis:7');
+            if (content.includes('sqlite') || content.includes('pdo_sqlite')) addDb('SQLite', '📁', null);
+        } catch (e) { /* ignore */ }
+    }
+
+    // ========== Rust (Cargo.toml) ==========
+    if (files.includes('Cargo.toml')) {
+        try {
+            const content = fs.readFileSync(path.join(dirPath, 'Cargo.toml'), 'utf8').toLowerCase();
+            if (content.includes('mysql') || content.includes('sqlx') && content.includes('mysql')) addDb('MySQL', '🐬', 'mysql:8');
+            if (content.includes('postgres') || content.includes('tokio-postgres') || content.includes('sqlx') && content.includes('postgres')) addDb('PostgreSQL', '🐘', 'postgres:15');
+            if (content.includes('mongodb')) addDb('MongoDB', '🍃', 'mongo:6');
+            if (content.includes('redis')) addDb('Redis', '🔴', 'redis:7');
+            if (content.includes('sqlite') || content.includes('rusqlite') || content.includes('sqlx') && content.includes('sqlite')) addDb('SQLite', '📁', null);
+        } catch (e) { /* ignore */ }
+    }
+
+    return databases;
+}
+
+// Helpers for reading manifests without throwing
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function readText(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+        return '';
+    }
+}
+
+// Build a tech stack entry. template selects the Dockerfile in dockerGenerator,
+// confidence is 'high' | 'medium' | 'low' and reasons explain the evidence used.
+function techStack(name, type, icon, details = {}) {
+    return { name, type, icon, confidence: 'high', reasons: [], ...details };
+}
+
+// Read build.outDir / outputDir style settings from a JS config file
+function readConfigOutputDir(dirPath, files, prefix, key) {
+    const configFile = files.find(f => f.startsWith(`${prefix}.config.`));
+    if (!configFile) return null;
+    const match = readText(path.join(dirPath, configFile)).match(new RegExp(`${key}\\s*:\\s*['"\`]([^'"\`]+)['"\`]`));
+    return match ? { configFile, outputDir: match[1].replace(/^\.\//, '') } : { configFile, outputDir: null };
+}
+
+// Angular writes to angular.json's outputPath; the v17+ application builder adds /browser
+function readAngularOutputDir(dirPath) {
+    const config = readJson(path.join(dirPath, 'angular.json'));
+    if (!config || !config.projects) return null;
+
+    const projectName = config.defaultProject || Object.keys(config.projects)[0];
+    const build = projectName && config.projects[projectName].architect && config.projects[projectName].architect.build;
+    if (!build) return null;
+
+    const outputPath = build.options && build.options.outputPath;
+    const base = typeof outputPath === 'string' ? outputPath : (outputPath && outputPath.base) || `dist/${projectName}`;
+    const isApplicationBuilder = /:application$/.test(build.builder || '');
+    return isApplicationBuilder ? `${base}/browser` : base;
+}
+
+// Node.js ecosystem: meta-frameworks first, then SPA bundlers, then servers
+function detectNodeStack(dirPath, files) {
+    const pkg = readJson(path.join(dirPath, 'package.json'));
+    if (!pkg) {
+        return techStack('Node.js', 'unknown', '📦', { template: 'nodejs', confidence: 'low', reasons: ['package.json could not be parsed'] });
+    }
+
+    const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+    const has = (name) => Boolean(deps[name]);
+    const dependsOn = (name) => `package.json depends on ${name}`;
+    const configFile = (prefix) => files.find(f => f.startsWith(`${prefix}.config.`));
+    const withConfig = (reasons, prefix) => configFile(prefix) ? [...reasons, `${configFile(prefix)} found`] : reasons;
+
+    if (has('next')) {
+        return techStack('Next.js', 'fullstack', '⚡', {
+            framework: 'nextjs', buildTool: 'next', outputDir: '.next', template: 'nodejs',
+            reasons: withConfig([dependsOn('next')], 'next')
+        });
+    }
+
+    if (has('nuxt') || has('nuxt3')) {
+        return techStack('Nuxt', 'fullstack', '💚', {
+            framework: 'nuxt', buildTool: 'nuxi', outputDir: '.output', template: 'node_ssr',
+            reasons: withConfig([dependsOn('nuxt')], 'nuxt')
+        });
+    }
+
+    if (has('@remix-run/react')) {
+        const viaVite = has('vite') && Boolean(configFile('vite'));
+        return techStack('Remix', 'fullstack', '💿', {
+            framework: 'remix', buildTool: viaVite ? 'vite' : 'remix', outputDir: 'build', template: 'node_ssr',
+            reasons: [dependsOn('@remix-run/react'), viaVite ? 'built through the Remix Vite plugin' : 'built with the Remix compiler']
+        });
+    }
+
+    if (has('@sveltejs/kit')) {
+        if (has('@sveltejs/adapter-static')) {
+            return techStack('SvelteKit (static)', 'frontend', '🔥', {
+                framework: 'sveltekit', buildTool: 'vite', outputDir: 'build', template: 'spa',
+                reasons: [dependsOn('@sveltejs/kit'), 'uses @sveltejs/adapter-static']
+            });
+        }
+        const hasNodeAdapter = has('@sveltejs/adapter-node');
+        return techStack('SvelteKit', 'fullstack', '🔥', {
+            framework: 'sveltekit', buildTool: 'vite', outputDir: 'build', template: 'node_ssr',
+            confidence: hasNodeAdapter ? 'high' : 'medium',
+            reasons: [dependsOn('@sveltejs/kit'), hasNodeAdapter ? 'uses @sveltejs/adapter-node' : 'no node adapter installed - add @sveltejs/adapter-node for the container build']
+        });
+    }
+
+    if (has('astro')) {
+        if (has('@astrojs/node')) {
+            return techStack('Astro (SSR)', 'fullstack', '🚀', {
+                framework: 'astro', buildTool: 'astro', outputDir: 'dist', template: 'node_ssr',
+                reasons: withConfig([dependsOn('astro'), 'uses @astrojs/node adapter'], 'astro')
+            });
+        }
+        const config = readConfigOutputDir(dirPath, files, 'astro', 'outDir');
+        return techStack('Astro', 'frontend', '🚀', {
+            framework: 'astro', buildTool: 'astro', outputDir: (config && config.outputDir) || 'dist', template: 'spa',
+            reasons: withConfig([dependsOn('astro'), 'no SSR adapter - static output'], 'astro')
+        });
+    }
+
+    if (has('@angular/core')) {
+        const outputDir = readAngularOutputDir(dirPath);
+        return techStack('Angular', 'frontend', '🅰️', {
+            framework: 'angular', buildTool: 'angular-cli', outputDir: outputDir || 'dist', template: 'spa',
+            confidence: outputDir ? 'high' : 'medium',
+            reasons: [dependsOn('@angular/core'), outputDir ? `angular.json outputPath → ${outputDir}` : 'angular.json not readable - assuming dist']
+        });
+    }
+
+    if (has('@nestjs/core') || has('nestjs')) {
+        return techStack('NestJS', 'backend', '🐱', {
+            framework: 'nestjs', buildTool: 'nest', outputDir: 'dist', template: 'nodejs',
+            reasons: [dependsOn('@nestjs/core')]
+        });
+    }
+
+    // Single-page apps: identify the UI library and the bundler that decides the output folder
+    const uiLibrary = has('react') ? { name: 'React', icon: '⚛️', dep: 'react' } :
+        has('vue') ? { name: 'Vue.js', icon: '💚', dep: 'vue' } :
+            has('svelte') ? { name: 'Svelte', icon: '🔥', dep: 'svelte' } : null;
+
+    if (has('react-scripts')) {
+        return techStack('React (CRA)', 'frontend', '⚛️', {
+            framework: 'react', buildTool: 'react-scripts', outputDir: 'build', template: 'spa',
+            reasons: [dependsOn('react-scripts'), 'Create React App builds to build/']
+        });
+    }
+
+    if (has('vite') || configFile('vite')) {
+        const config = readConfigOutputDir(dirPath, files, 'vite', 'outDir');
+        const reasons = [dependsOn('vite')];
+        if (config) reasons.push(config.outputDir ? `${config.configFile} sets build.outDir → ${config.outputDir}` : `${config.configFile} found`);
+        return techStack(uiLibrary ? `${uiLibrary.name} (Vite)` : 'Vite', 'frontend', uiLibrary ? uiLibrary.icon : '⚡', {
+            framework: uiLibrary ? uiLibrary.dep : 'vanilla', buildTool: 'vite', outputDir: (config && config.outputDir) || 'dist', template: 'spa',
+            reasons: uiLibrary ? [dependsOn(uiLibrary.dep), ...reasons] : reasons
+        });
+    }
+
+    if (has('@vue/cli-service')) {
+        const config = readConfigOutputDir(dirPath, files, 'vue', 'outputDir');
+        return techStack('Vue.js (Vue CLI)', 'frontend', '💚', {
+            framework: 'vue', buildTool: 'vue-cli', outputDir: (config && config.outputDir) || 'dist', template: 'spa',
+            reasons: [dependsOn('@vue/cli-service')]
+        });
+    }
+
+    if (uiLibrary) {
+        return techStack(uiLibrary.name, 'frontend', uiLibrary.icon, {
+            framework: uiLibrary.dep, buildTool: 'npm', outputDir: 'dist', template: 'spa', confidence: 'medium',
+            reasons: [dependsOn(uiLibrary.dep), 'no recognised bundler - assuming the build writes to dist/']
+        });
+    }
+
+    const servers = [['express', 'Express', '🚀'], ['fastify', 'Fastify', '⚡'], ['koa', 'Koa', '🌿'], ['@hapi/hapi', 'Hapi', '🟠']];
+    const server = servers.find(([dep]) => has(dep));
+    if (server) {
+        return techStack(server[1], 'backend', server[2], {
+            framework: server[0], buildTool: 'npm', template: 'nodejs',
+            reasons: [dependsOn(server[0])]
+        });
+    }
+
+    return techStack('Node.js', 'backend', '📦', {
+        framework: 'node', buildTool: 'npm', template: 'nodejs', confidence: 'low',
+        reasons: ['package.json without a recognised framework']
+    });
+}
+
+// Python: framework from dependencies, build tool from the manifest that lists them
+function detectPythonStack(dirPath, files) {
+    const manifests = ['requirements.txt', 'pyproject.toml', 'Pipfile'].filter(f => files.includes(f));
+    const content = manifests.map(f => readText(path.join(dirPath, f))).join('\n').toLowerCase();
+    const mentions = (name) => new RegExp(`(^|[\\s"'\\[,])${name}([\\s"'\\]=<>~!;,\\[]|$)`, 'm').test(content);
+
+    const pyproject = readText(path.join(dirPath, 'pyproject.toml'));
+    const buildTool = files.includes('requirements.txt') ? 'pip' :
+        files.includes('Pipfile') ? 'pipenv' :
+            /\[tool\.poetry\]/.test(pyproject) ? 'poetry' : 'pyproject';
+    const buildReason = `dependencies from ${buildTool === 'pip' ? 'requirements.txt' : buildTool === 'pipenv' ? 'Pipfile' : 'pyproject.toml'}`;
+
+    if (files.includes('manage.py') || mentions('django')) {
+        return techStack('Django', 'backend', '🐍', {
+            framework: 'django', buildTool, template: 'python',
+            reasons: [...(files.includes('manage.py') ? ['manage.py found'] : []), ...(mentions('django') ? ['depends on django'] : []), buildReason]
+        });
+    }
+    if (mentions('fastapi')) {
+        return techStack('FastAPI', 'backend', '⚡', {
+            framework: 'fastapi', buildTool, template: 'python',
+            reasons: ['depends on fastapi', buildReason]
+        });
+    }
+    if (mentions('flask')) {
+        return techStack('Flask', 'backend', '🧪', {
+            framework: 'flask', buildTool, template: 'python',
+            reasons: ['depends on flask', buildReason]
+        });
+    }
+    return techStack('Python', 'backend', '🐍', {
+        framework: 'python', buildTool, template: 'python', confidence: 'low',
+        reasons: ['no recognised web framework in dependencies', buildReason]
+    });
+}
+
+// Java: Maven vs Gradle (and whether a wrapper script is committed), Spring Boot or plain
+function detectJavaStack(dirPath, files) {
+    const isMaven = files.includes('pom.xml');
+    const buildFile = isMaven ? 'pom.xml' : files.includes('build.gradle.kts') ? 'build.gradle.kts' : 'build.gradle';
+    const content = readText(path.join(dirPath, buildFile));
+    const isSpring = /spring-boot|org\.springframework\.boot/.test(content);
+
+    const wrapper = isMaven ? files.includes('mvnw') : files.includes('gradlew');
+    const buildTool = isMaven ? (wrapper ? 'mvnw' : 'maven') : (wrapper ? 'gradlew' : 'gradle');
+    const reasons = [`${buildFile} found`, wrapper ? `${isMaven ? 'mvnw' : 'gradlew'} wrapper found` : `no wrapper - using the ${isMaven ? 'Maven' : 'Gradle'} image`];
+    if (isSpring) reasons.unshift(`${buildFile} uses spring-boot`);
+
+    return techStack(isSpring ? 'Spring Boot' : 'Java', 'backend', isSpring ? '🍃' : '☕', {
+        framework: isSpring ? 'spring-boot' : 'java', buildTool,
+        outputDir: isMaven ? 'target' : 'build/libs',
+        template: isMaven ? 'java_maven' : 'java_gradle',
+        confidence: isSpring ? 'high' : 'medium',
+        reasons
+    });
+}
+
+// PHP: Laravel / Symfony from composer requirements
+function detectPhpStack(dirPath, files) {
+    const composer = readJson(path.join(dirPath, 'composer.json')) || {};
+    const require = { ...composer.require, ...composer['require-dev'] };
+
+    if (require['laravel/framework'] || files.includes('artisan')) {
+        return techStack('Laravel', 'backend', '🔺', {
+            framework: 'laravel', buildTool: 'composer', template: 'php',
+            reasons: [require['laravel/framework'] ? 'composer.json requires laravel/framework' : 'artisan found']
+        });
+    }
+    if (require['symfony/framework-bundle']) {
+        return techStack('Symfony', 'backend', '🎼', {
+            framework: 'symfony', buildTool: 'composer', template: 'php',
+            reasons: ['composer.json requires symfony/framework-bundle']
+        });
+    }
+    return techStack('PHP', 'backend', '🐘', {
+        framework: 'php', buildTool: 'composer', template: 'php', confidence: 'medium',
+        reasons: ['composer.json without a recognised framework']
+    });
+}
+
+// ========== Package Manager ==========
+
+// Lockfile each package manager writes, in precedence order
+const NODE_LOCKFILES = [
+    { file: 'pnpm-lock.yaml', name: 'pnpm' },
+    { file: 'yarn.lock', name: 'yarn' },
+    { file: 'bun.lock', name: 'bun' },
+    { file: 'bun.lockb', name: 'bun' },
+    { file: 'package-lock.json', name: 'npm' },
+    { file: 'npm-shrinkwrap.json', name: 'npm' }
+];
+
+// Config files the install step needs next to package.json
+const NODE_INSTALL_CONFIG_FILES = ['.npmrc', '.yarnrc', '.yarnrc.yml', 'bunfig.toml'];
+
+// Files at a JS workspace root the install needs besides the lockfile
+const NODE_WORKSPACE_FILES = ['pnpm-workspace.yaml'];
+
+// The JS workspace (npm/yarn/pnpm) that lists dirPath as a member:
+// { root, dir, manifests } with dir and the members' package.json paths relative to root
+function findNodeWorkspace(dirPath) {
+    let parent = path.dirname(dirPath);
+    for (let depth = 0; depth < MAX_DEPTH && parent !== path.dirname(parent); depth++) {
+        const files = listDir(parent).map(e => e.name);
+        const patterns = readWorkspacePatterns(parent, files.filter(f => f === 'package.json' || f === 'pnpm-workspace.yaml'));
+        if (patterns.length > 0) {
+            const excluded = new Set(patterns.filter(p => p.startsWith('!')).flatMap(p => expandWorkspacePattern(parent, p.slice(1))));
+            const members = [...new Set(patterns.filter(p => !p.startsWith('!')).flatMap(p => expandWorkspacePattern(parent, p)))]
+                .filter(member => !excluded.has(member) && fs.existsSync(path.join(member, 'package.json')));
+            if (!members.includes(dirPath)) return null;
+            const toPosix = (target) => path.relative(parent, target).split(path.sep).join('/');
+            return {
+                root: parent,
+                dir: toPosix(dirPath),
+                manifests: members.map(member => `${toPosix(member)}/package.json`).sort()
+            };
+        }
+        parent = path.dirname(parent);
+    }
+    return null;
+}
+
+// Detect npm/yarn/pnpm/bun from the packageManager field and lockfiles.
+// Workspace members keep their lockfile at the workspace root; they are built from the root
+// (workspace is set) so the lockfile and sibling packages are in the build context.
+// Other folders only check their parents for the manager.
+function detectPackageManager(dirPath, files) {
+    const pkg = readJson(path.join(dirPath, 'package.json')) || {};
+    const workspace = findNodeWorkspace(dirPath);
+    const rootFiles = workspace ? listDir(workspace.root).map(e => e.name) : files;
+    const lockfile = NODE_LOCKFILES.find(l => rootFiles.includes(l.file)) || null;
+
+    let declared = typeof pkg.packageManager === 'string' ? pkg.packageManager : null;
+    let inherited = null;
+
+    if (workspace && !declared) {
+        const rootPkg = readJson(path.join(workspace.root, 'package.json'));
+        if (rootPkg && typeof rootPkg.packageManager === 'string') {
+            declared = rootPkg.packageManager;
+            inherited = { dir: workspace.root, lockfile: null };
+        }
+    } else if (!declared && !lockfile) {
+        let parent = path.dirname(dirPath);
+        for (let depth = 0; depth < MAX_DEPTH && parent !== path.dirname(parent); depth++) {
+            const parentPkg = readJson(path.join(parent, 'package.json'));
+            const parentLock = NODE_LOCKFILES.find(l => fs.existsSync(path.join(parent, l.file)));
+            if ((parentPkg && typeof parentPkg.packageManager === 'string') || parentLock) {
+                declared = parentPkg && typeof parentPkg.packageManager === 'string' ? parentPkg.packageManager : null;
+                inherited = { dir: parent, lockfile: parentLock ? parentLock.name : null };
+                break;
+            }
+            parent = path.dirname(parent);
+        }
+    }
+
+    const [declaredName, declaredVersion] = declared ? declared.split('+')[0].split('@') : [null, null];
+    const name = declaredName || (lockfile && lockfile.name) || (inherited && inherited.lockfile) || 'npm';
+
+    let source = 'default (no lockfile or packageManager field)';
+    if (declaredName) source = `packageManager field (${declared.split('+')[0]})${inherited ? ` in ${path.basename(inherited.dir)}/package.json` : ''}`;
+    else if (lockfile) source = `${lockfile.file} found${workspace ? ` at the workspace root` : ''}`;
+    else if (inherited) source = `lockfile in ${path.basename(inherited.dir)}/`;
+
+    // Yarn 2+ ("berry") has different install flags and no --production
+    const yarnBerry = name === 'yarn' && (rootFiles.includes('.yarnrc.yml') || Boolean(declaredVersion && parseInt(declaredVersion) >= 2));
+    const usableLockfile = lockfile && lockfile.name === name ? lockfile.file : null;
+
+    return {
+        name,
+        version: declaredVersion || null,
+        lockfile: usableLockfile,
+        installFiles: [
+            'package.json',
+            ...(usableLockfile ? [usableLockfile] : []),
+            ...(workspace ? NODE_WORKSPACE_FILES.filter(f => rootFiles.includes(f)) : []),
+            ...NODE_INSTALL_CONFIG_FILES.filter(f => rootFiles.includes(f))
+        ],
+        workspace,
+        yarnBerry,
+        source
+    };
+}
+
+// ========== Runtime Versions ==========
+
+// Node release codenames used by .nvmrc (lts/iron etc.)
+const NODE_LTS_CODENAMES = {
+    argon: '4', boron: '6', carbon: '8', dubnium: '10', erbium: '12',
+    fermium: '14', gallium: '16', hydrogen: '18', iron: '20', jod: '22', krypton: '24'
+};
+
+function compareVersions(a, b) {
+    const pa = a.split('.').map(Number);
+    const pb = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+// Turn a version constraint ("^18.17", ">=3.10", "~8.2.0", "18.x || 20.x") into an image version.
+// Lower-bound-only ranges keep the default when it qualifies; otherwise the named version
+// is trimmed to `precision` parts (major for Node/Java, major.minor for Python/PHP/Go).
+function resolveConstraint(constraint, defaultVersion, precision) {
+    if (!constraint) return null;
+    const alternatives = String(constraint).split('||').map(a => a.trim()).filter(Boolean);
+    const last = alternatives[alternatives.length - 1] || '';
+    const versions = (last.match(/\d+(?:\.\d+)*/g) || []);
+    if (versions.length === 0) return null;
+
+    const trim = version => version.split('.').slice(0, precision).join('.');
+    const lowerBoundOnly = /^>=?/.test(last) && !/</.test(last);
+    if (lowerBoundOnly) {
+        return compareVersions(defaultVersion, trim(versions[0])) >= 0 ? defaultVersion : trim(versions[0]);
+    }
+    return trim(versions[0]);
+}
+
+function runtimeVersion(version, source) {
+    return version ? { version, source } : null;
+}
+
+function detectNodeVersion(dirPath) {
+    for (const name of ['.nvmrc', '.node-version']) {
+        const value = readText(path.join(dirPath, name)).trim().replace(/^v/, '');
+        if (!value) continue;
+        const codename = value.match(/^lts\/(\w+)/);
+        if (codename && NODE_LTS_CODENAMES[codename[1].toLowerCase()]) {
+            return runtimeVersion(NODE_LTS_CODENAMES[codename[1].toLowerCase()], name);
+        }
+        // Exact versions ("18.17.1") are valid image tags; anything else pins the major
+        if (/^\d+(\.\d+\.\d+)?$/.test(value)) return runtimeVersion(value, name);
+        const major = value.match(/^(\d+)/);
+        if (major) return runtimeVersion(major[1], name);
+    }
+    const pkg = readJson(path.join(dirPath, 'package.json')) || {};
+    if (pkg.engines && pkg.engines.node) {
+        return runtimeVersion(resolveConstraint(pkg.engines.node, defaultRuntimeVersions.node, 1), `engines.node (${pkg.engines.node})`);
+    }
+    return null;
+}
+
+function detectPythonVersion(dirPath) {
+    const pinned = readText(path.join(dirPath, '.python-version')).trim().split('\n')[0];
+    const pinnedVersion = pinned.match(/^(\d+\.\d+)/);
+    if (pinnedVersion) return runtimeVersion(pinnedVersion[1], '.python-version');
+
+    const runtimeTxt = readText(path.join(dirPath, 'runtime.txt')).match(/python-(\d+\.\d+)/);
+    if (runtimeTxt) return runtimeVersion(runtimeTxt[1], 'runtime.txt');
+
+    const pyproject = readText(path.join(dirPath, 'pyproject.toml'));
+    const requires = pyproject.match(/^requires-python\s*=\s*["']([^"']+)["']/m);
+    if (requires) {
+        return runtimeVersion(resolveConstraint(requires[1], defaultRuntimeVersions.python, 2), `requires-python (${requires[1]})`);
+    }
+    const poetry = pyproject.match(/\[tool\.poetry\.dependencies\][^[]*?^python\s*=\s*["']([^"']+)["']/m);
+    if (poetry) {
+        return runtimeVersion(resolveConstraint(poetry[1], defaultRuntimeVersions.python, 2), `tool.poetry python (${poetry[1]})`);
+    }
+    const pipfile = readText(path.join(dirPath, 'Pipfile')).match(/^python_version\s*=\s*["']([\d.]+)["']/m);
+    if (pipfile) return runtimeVersion(pipfile[1], 'Pipfile python_version');
+    return null;
+}
+
+// toolchain directive wins over the go directive (it names the exact release to build with)
+function detectGoVersion(dirPath) {
+    const goMod = readText(path.join(dirPath, 'go.mod'));
+    const toolchain = goMod.match(/^toolchain\s+go(\d+\.\d+(?:\.\d+)?)/m);
+    if (toolchain) return runtimeVersion(toolchain[1], 'go.mod toolchain');
+    const directive = goMod.match(/^go\s+(\d+\.\d+)/m);
+    if (directive) return runtimeVersion(directive[1], 'go.mod go directive');
+    return null;
+}
+
+function detectRustVersion(dirPath) {
+    const toml = readText(path.join(dirPath, 'rust-toolchain.toml')).match(/channel\s*=\s*"([^"]+)"/);
+    const legacy = readText(path.join(dirPath, 'rust-toolchain')).trim();
+    const channel = toml ? toml[1] : legacy.split('\n')[0];
+    const source = toml ? 'rust-toolchain.toml' : 'rust-toolchain';
+
+    if (/^\d+\.\d+/.test(channel)) return runtimeVersion(channel, source);
+    if (channel === 'stable') return runtimeVersion('1', `${source} (stable)`);
+
+    // rust-version is a minimum supported version
+    const msrv = readText(path.join(dirPath, 'Cargo.toml')).match(/^rust-version\s*=\s*"([\d.]+)"/m);
+    if (msrv) {
+        return runtimeVersion(resolveConstraint(`>=${msrv[1]}`, defaultRuntimeVersions.rust, 2), `Cargo.toml rust-version (${msrv[1]})`);
+    }
+    return null;
+}
+
+// "1.8" style releases mean Java 8
+function normalizeJavaVersion(version) {
+    return version.startsWith('1.') ? version.slice(2) : version.split('.')[0];
+}
+
+function detectJavaVersion(dirPath, tech) {
+    if (tech.template === 'java_maven') {
+        const pom = readText(path.join(dirPath, 'pom.xml'));
+        for (const tag of ['maven.compiler.release', 'release', 'java.version', 'maven.compiler.target', 'maven.compiler.source']) {
+            const match = pom.match(new RegExp(`<${tag.replace(/\./g, '\\.')}>\\s*([\\d.]+)\\s*</`));
+            if (match) return runtimeVersion(normalizeJavaVersion(match[1]), `pom.xml <${tag}>`);
+        }
+        return null;
+    }
+
+    const gradle = readText(path.join(dirPath, 'build.gradle')) + readText(path.join(dirPath, 'build.gradle.kts'));
+    const patterns = [
+        { pattern: /JavaLanguageVersion\.of\(\s*(\d+)\s*\)/, source: 'Gradle toolchain languageVersion' },
+        { pattern: /(?:source|target)Compatibility\s*=\s*(?:JavaVersion\.VERSION_([\d_]+)|['"]?([\d.]+)['"]?)/, source: 'Gradle sourceCompatibility' },
+        { pattern: /jvmToolchain\(\s*(\d+)\s*\)/, source: 'Kotlin jvmToolchain' }
+    ];
+    for (const { pattern, source } of patterns) {
+        const match = gradle.match(pattern);
+        if (match) return runtimeVersion(normalizeJavaVersion((match[1] || match[2]).replace(/_/g, '.')), source);
+    }
+    return null;
+}
+
+function detectPhpVersion(dirPath) {
+    const composer = readJson(path.join(dirPath, 'composer.json')) || {};
+    const platform = composer.config && composer.config.platform && composer.config.platform.php;
+    if (platform) return runtimeVersion(String(platform).split('.').slice(0, 2).join('.'), 'composer.json config.platform.php');
+    const required = composer.require && composer.require.php;
+    if (required) {
+        return runtimeVersion(resolveConstraint(required, defaultRuntimeVersions.php, 2), `composer.json require.php (${required})`);
+    }
+    return null;
+}
+
+// Pinned toolchain version for a tech stack: { name, version, source, pinned }
+function detectRuntimeVersion(dirPath, tech) {
+    const name = getRuntimeName(tech);
+    if (!name) return null;
+
+    let detected = null;
+    switch (name) {
+        case 'node': detected = detectNodeVersion(dirPath); break;
+        case 'python': detected = detectPythonVersion(dirPath); break;
+        case 'go': detected = detectGoVersion(dirPath); break;
+        case 'rust': detected = detectRustVersion(dirPath); break;
+        case 'java': detected = detectJavaVersion(dirPath, tech); break;
+        case 'php': detected = detectPhpVersion(dirPath); break;
+    }
+
+    if (detected) return { name, ...detected, pinned: true };
+    return { name, version: defaultRuntimeVersions[name], source: 'default', pinned: false };
+}
+
+// Detect tech stack from a directory
+function detectTechStack(dirPath) {
+    const files = fs.readdirSync(dirPath);
+    const techStacks = [];
+
+    // Check for package.json
+    if (files.includes('package.json')) {
+        techStacks.push({ ...detectNodeStack(dirPath, files), packageManager: detectPackageManager(dirPath, files) });
+    }
+
+    // Check for Go
+    if (files.includes('go.mod')) {
+        const goMod = readText(path.join(dirPath, 'go.mod'));
+        const routers = ['gin-gonic/gin', 'labstack/echo', 'gofiber/fiber', 'go-chi/chi', 'gorilla/mux'].filter(r => goMod.includes(r));
+        techStacks.push(techStack('Go', 'backend', '🐹', {
+            framework: routers.length > 0 ? routers[0].split('/')[1] : 'net/http', buildTool: 'go', template: 'go',
+            reasons: ['go.mod found', ...routers.map(r => `go.mod requires ${r}`)]
+        }));
+    }
+
+    // Check for Python
+    if (files.includes('requirements.txt') || files.includes('pyproject.toml') || files.includes('Pipfile')) {
+        techStacks.push(detectPythonStack(dirPath, files));
+    }
+
+    // Check for Rust
+    if (files.includes('Cargo.toml')) {
+        techStacks.push(techStack('Rust', 'backend', '🦀', {
+            framework: 'rust', buildTool: 'cargo', outputDir: 'target/release', template: 'rust',
+            reasons: ['Cargo.toml found']
+        }));
+    }
+
+    // Check for Java
+    if (files.includes('pom.xml') || files.includes('build.gradle') || files.includes('build.gradle.kts')) {
+        techStacks.push(detectJavaStack(dirPath, files));
+    }
+
+    // Check for PHP
+    if (files.includes('composer.json')) {
+        techStacks.push(detectPhpStack(dirPath, files));
+    }
+
+    // Check for static HTML
+    if (files.includes('index.html') && techStacks.length === 0) {
+        techStacks.push(techStack('Static HTML', 'frontend', '📄', {
+            framework: 'static', template: 'static', confidence: 'medium',
+            reasons: ['index.html without a build manifest']
+        }));
+    }
+
+    // Check for Dockerfile
+    if (files.includes('Dockerfile') || files.includes('docker-compose.yml') || files.includes('docker-compose.yaml')) {
+        techStacks.push({ name: 'Docker', type: 'containerized', icon: '🐳' });
+    }
+
+    if (techStacks.length === 0) {
+        return [{ name: 'Unknown', type: 'unknown', icon: '❓', confidence: 'low', reasons: ['no manifest files found'] }];
+    }
+
+    // Pin toolchain versions and record the base images the generated Dockerfile will use
+    return techStacks.map(tech => {
+        if (!tech.template) return tech;
+        const runtime = detectRuntimeVersion(dirPath, tech);
+        const pinned = runtime ? { ...tech, runtime } : tech;
+        return { ...pinned, baseImages: getBaseImages(pinned) };
+    });
+}
+
+// Helper to get default port based on tech stack
+function getDefaultPort(techStacks, type) {
+    const primary = techStacks && techStacks[0];
+    if (primary && primary.template) return getTemplatePort(primary);
+
+    if (type === 'backend') return 8080;
+    if (type === 'frontend') {
+        if (primary && servesWithNginx(primary)) {
+            return 80;
+        }
+        return 3000;
+    }
+    return 3000; // fallback
+}
+
+// ========== Start Command Inference ==========
+
+// Python files worth searching for an app object (skips virtualenvs and tests)
+function listPythonModules(dirPath, depth = 0) {
+    if (depth > 2) return [];
+    return listDir(dirPath).flatMap(entry => {
+        if (entry.isDirectory()) {
+            if (isIgnoredDir(entry.name) || entry.name === 'tests') return [];
+            return listPythonModules(path.join(dirPath, entry.name), depth + 1);
+        }
+        return entry.name.endsWith('.py') ? [path.join(dirPath, entry.name)] : [];
+    });
+}
+
+// "app/main.py" -> "app.main"
+function toPythonModule(rootPath, filePath) {
+    return path.relative(rootPath, filePath).replace(/\.py$/, '').split(path.sep).join('.');
+}
+
+// Find `name = FastAPI(...)` / `name = Flask(...)` or a create_app() factory
+function findPythonApp(dirPath, className) {
+    const candidates = listPythonModules(dirPath)
+        .sort((a, b) => a.split(path.sep).length - b.split(path.sep).length);
+
+    for (const filePath of candidates) {
+        const content = readText(filePath);
+        const assignment = content.match(new RegExp(`^(\\w+)\\s*(?::\\s*\\w+\\s*)?=\\s*${className}\\(`, 'm'));
+        if (assignment) return { module: toPythonModule(dirPath, filePath), target: assignment[1], file: filePath };
+        if (new RegExp(`\\b${className}\\(`).test(content) && /^def create_app\(/m.test(content)) {
+            return { module: toPythonModule(dirPath, filePath), target: 'create_app()', file: filePath };
+        }
+    }
+    return null;
+}
+
+// The `web:` process from a Heroku-style Procfile
+function readProcfileCommand(dirPath) {
+    const match = readText(path.join(dirPath, 'Procfile')).match(/^web:\s*(.+)$/m);
+    return match ? match[1].trim() : null;
+}
+
+function inferNodeStart(dirPath, tech) {
+    const pkg = readJson(path.join(dirPath, 'package.json')) || {};
+    const scripts = pkg.scripts || {};
+
+    if (tech.template === 'node_ssr' && tech.framework !== 'remix') {
+        return null; // SSR builds run their own output (see dockerGenerator)
+    }
+    // The single-stage nodejs image has the project's package manager; SSR runtimes only have npm
+    const pm = tech.template === 'nodejs' && tech.packageManager ? tech.packageManager.name : 'npm';
+
+    if (tech.framework === 'nestjs' && scripts['start:prod']) {
+        return { startCommand: `${pm} run start:prod`, entrypoint: 'dist/main.js', source: 'package.json scripts.start:prod' };
+    }
+    if (scripts.start) {
+        return { startCommand: `${pm} start`, entrypoint: null, source: `package.json scripts.start (${scripts.start})` };
+    }
+    if (pkg.main && fs.existsSync(path.join(dirPath, pkg.main))) {
+        return { startCommand: `node ${pkg.main}`, entrypoint: pkg.main, source: 'package.json main' };
+    }
+    const entryFile = ['server.js', 'index.js', 'app.js', 'main.js', 'src/server.js', 'src/index.js']
+        .find(f => fs.existsSync(path.join(dirPath, f)));
+    if (entryFile) {
+        return { startCommand: `node ${entryFile}`, entrypoint: entryFile, source: `${entryFile} found (no start script)` };
+    }
+    return null;
+}
+
+function inferPythonStart(dirPath, tech) {
+    const procfile = readProcfileCommand(dirPath);
+    if (procfile) {
+        return { startCommand: procfile, entrypoint: null, source: 'Procfile web process' };
+    }
+
+    const deps = ['requirements.txt', 'pyproject.toml', 'Pipfile'].map(f => readText(path.join(dirPath, f))).join('\n').toLowerCase();
+    const hasGunicorn = deps.includes('gunicorn');
+
+    if (tech.framework === 'django') {
+        const wsgi = listPythonModules(dirPath).find(f => path.basename(f) === 'wsgi.py');
+        if (hasGunicorn && wsgi) {
+            const module = toPythonModule(dirPath, wsgi);
+            return { startCommand: `gunicorn ${module} --bind 0.0.0.0:$PORT`, entrypoint: module, source: `gunicorn dependency + ${path.relative(dirPath, wsgi)}` };
+        }
+        return null;
+    }
+
+    if (tech.framework === 'fastapi') {
+        const found = findPythonApp(dirPath, 'FastAPI');
+        if (found) {
+            const appRef = `${found.module}:${found.target.replace('()', '')}`;
+            const factory = found.target.endsWith('()') ? ' --factory' : '';
+            return { startCommand: `uvicorn ${appRef}${factory} --host 0.0.0.0 --port $PORT`, entrypoint: appRef, source: `FastAPI app in ${path.relative(dirPath, found.file)}` };
+        }
+    }
+
+    if (tech.framework === 'flask') {
+        const found = findPythonApp(dirPath, 'Flask');
+        if (found) {
+            const appRef = `${found.module}:${found.target}`;
+            return hasGunicorn
+                ? { startCommand: `gunicorn '${appRef}' --bind 0.0.0.0:$PORT`, entrypoint: appRef, source: `Flask app in ${path.relative(dirPath, found.file)} served by gunicorn` }
+                : { startCommand: `flask --app '${appRef}' run --host 0.0.0.0 --port $PORT`, entrypoint: appRef, source: `Flask app in ${path.relative(dirPath, found.file)}` };
+        }
+    }
+
+    // [project.scripts] / [tool.poetry.scripts] console entry points
+    const scripts = readText(path.join(dirPath, 'pyproject.toml')).match(/\[(?:project|tool\.poetry)\.scripts\]\s*\n\s*([\w-]+)\s*=/);
+    if (scripts) {
+        return { startCommand: scripts[1], entrypoint: scripts[1], source: 'pyproject.toml scripts' };
+    }
+
+    const mainFile = ['app.py', 'main.py', 'server.py', 'run.py'].find(f => fs.existsSync(path.join(dirPath, f)));
+    if (mainFile) {
+        return { startCommand: `python ${mainFile}`, entrypoint: mainFile, source: `${mainFile} found` };
+    }
+    return null;
+}
+
+// Main package: cmd/<name>/main.go (preferring server/api/web/module name) or the module root
+function inferGoStart(dirPath) {
+    const moduleName = (readText(path.join(dirPath, 'go.mod')).match(/^module\s+(\S+)/m) || [])[1] || '';
+    const commands = listDir(path.join(dirPath, 'cmd'))
+        .filter(e => e.isDirectory() && fs.existsSync(path.join(dirPath, 'cmd', e.name, 'main.go')))
+        .map(e => e.name);
+
+    if (commands.length > 0) {
+        const preferred = [path.basename(moduleName), 'server', 'api', 'web', 'app'];
+        const name = preferred.find(p => commands.includes(p)) || commands[0];
+        const others = commands.length > 1 ? ` (also: ${commands.filter(c => c !== name).join(', ')})` : '';
+        return { startCommand: './main', entrypoint: `./cmd/${name}`, source: `cmd/${name}/main.go${others}` };
+    }
+    if (fs.existsSync(path.join(dirPath, 'main.go'))) {
+        return { startCommand: './main', entrypoint: '.', source: 'main.go at module root' };
+    }
+    return null;
+}
+
+// Binary name: first [[bin]] target, else the package name
+function inferRustStart(dirPath) {
+    const cargo = readText(path.join(dirPath, 'Cargo.toml'));
+    const bin = cargo.match(/\[\[bin\]\][^[]*?name\s*=\s*"([^"]+)"/);
+    const pkg = cargo.match(/\[package\][^[]*?name\s*=\s*"([^"]+)"/);
+    const name = bin ? bin[1] : pkg ? pkg[1] : null;
+    if (!name) return null;
+    return { startCommand: name, entrypoint: name, source: bin ? 'Cargo.toml [[bin]] name' : 'Cargo.toml package name' };
+}
+
+// Jar file name from Maven finalName / artifactId-version or Gradle project name-version
+function inferJavaStart(dirPath, tech) {
+    let jarName = null;
+    let source = null;
+
+    if (tech.template === 'java_maven') {
+        const pom = readText(path.join(dirPath, 'pom.xml'))
+            .replace(/<parent>[\s\S]*?<\/parent>/, '')
+            .replace(/<dependencies>[\s\S]*?<\/dependencies>/g, '')
+            .replace(/<plugins>[\s\S]*?<\/plugins>/g, '');
+        const finalName = pom.match(/<finalName>([^<$]+)<\/finalName>/);
+        const artifactId = pom.match(/<artifactId>([^<]+)<\/artifactId>/);
+        const version = pom.match(/<version>([^<$]+)<\/version>/);
+        if (finalName) {
+            jarName = `${finalName[1]}.jar`;
+            source = 'pom.xml finalName';
+        } else if (artifactId && version) {
+            jarName = `${artifactId[1]}-${version[1]}.jar`;
+            source = 'pom.xml artifactId + version';
+        }
+    } else {
+        const settings = readText(path.join(dirPath, 'settings.gradle')) + readText(path.join(dirPath, 'settings.gradle.kts'));
+        const build = readText(path.join(dirPath, 'build.gradle')) + readText(path.join(dirPath, 'build.gradle.kts'));
+        const name = settings.match(/rootProject\.name\s*=\s*['"]([^'"]+)['"]/);
+        const version = build.match(/^version\s*=\s*['"]([^'"]+)['"]/m);
+        if (name) {
+            jarName = version ? `${name[1]}-${version[1]}.jar` : `${name[1]}.jar`;
+            source = version ? 'settings.gradle rootProject.name + build.gradle version' : 'settings.gradle rootProject.name';
+        }
+    }
+
+    if (!jarName) return null;
+    return { startCommand: 'java -jar app.jar', entrypoint: jarName, source };
+}
+
+// Infer how a unit starts: { startCommand, entrypoint, startCommandSource }.
+// Falls back to the template's default command when nothing specific is found.
+function inferStartCommand(dirPath, tech) {
+    if (!tech || !tech.template || servesWithNginx(tech)) {
+        return { startCommand: null, entrypoint: null, startCommandSource: null };
+    }
+
+    let inferred = null;
+    switch (tech.template) {
+        case 'nodejs':
+        case 'node_ssr': inferred = inferNodeStart(dirPath, tech); break;
+        case 'python': inferred = inferPythonStart(dirPath, tech); break;
+        case 'go': inferred = inferGoStart(dirPath); break;
+        case 'rust': inferred = inferRustStart(dirPath); break;
+        case 'java_maven':
+        case 'java_gradle': inferred = inferJavaStart(dirPath, tech); break;
+        case 'php': inferred = readProcfileCommand(dirPath) ? { startCommand: readProcfileCommand(dirPath), entrypoint: null, source: 'Procfile web process' } : null; break;
+    }
+
+    if (inferred) {
+        return { startCommand: inferred.startCommand, entrypoint: inferred.entrypoint, startCommandSource: inferred.source };
+    }
+    return { startCommand: getDefaultStartCommand(tech), entrypoint: null, startCommandSource: `default for ${tech.name}` };
+}
+
+// ========== Port Inference ==========
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.py', '.go', '.rs', '.java', '.kt', '.php'];
+const MAX_SOURCE_FILES = 300;
+const MAX_SOURCE_SIZE = 200 * 1024;
+
+// Port literals in server code: listen(4000), PORT || 4000, app.run(port=5001), ":8081"...
+const SOURCE_PORT_PATTERNS = [
+    { pattern: /\.listen\(\s*(\d{2,5})\b/, label: 'listen() call' },
+    { pattern: /\bPORT\b['"\]]*\s*(?:\|\||\?\?|or)\s*['"]?(\d{2,5})\b/, label: 'PORT fallback' },
+    { pattern: /\bos\.(?:environ\.get|getenv)\(\s*['"]PORT['"]\s*,\s*['"]?(\d{2,5})/, label: 'PORT fallback' },
+    { pattern: /\.run\([^)]*\bport\s*=\s*(\d{2,5})/, label: 'run(port=...)' },
+    { pattern: /(?:ListenAndServe|Listen|\.Run|\.Start|bind)\(\s*"[^"]*:(\d{2,5})"/, label: 'listen address' },
+    { pattern: /SocketAddr::from\(\(\s*\[[^\]]*\]\s*,\s*(\d{2,5})\s*\)\)/, label: 'SocketAddr' },
+    { pattern: /^\s*(?:const|let|var)?\s*PORT\s*(?::\s*\w+\s*)?=\s*(\d{2,5})\b/m, label: 'PORT constant' }
+];
+
+// Port flags in a shell command: --port 5001, -p 4000, runserver 0.0.0.0:9000, --bind :8000, -S host:8000
+function findCommandPort(command) {
+    if (!command) return null;
+    const match = command.match(/(?:--port[= ]|-p\s+|runserver\s+(?:[\d.]+:)?|--bind[= ](?:[\w.]*:)?|-b\s+(?:[\w.]*:)?|-S\s+[\w.]*:)(\d{2,5})\b/);
+    return match ? parseInt(match[1]) : null;
+}
+
+function isValidPort(port) {
+    return Number.isInteger(port) && port > 0 && port <= 65535;
+}
+
+// Source files near the unit root, shallowest first
+function listSourceFiles(dirPath, depth = 0, files = []) {
+    if (depth > 3 || files.length >= MAX_SOURCE_FILES) return files;
+    const entries = listDir(dirPath);
+    entries.forEach(entry => {
+        if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name)) && !/\.(test|spec|config)\.|\.d\.ts$/.test(entry.name)) {
+            files.push(path.join(dirPath, entry.name));
+        }
+    });
+    entries.forEach(entry => {
+        if (entry.isDirectory() && !isIgnoredDir(entry.name) && !['test', 'tests', '__tests__', 'migrations'].includes(entry.name)) {
+            listSourceFiles(path.join(dirPath, entry.name), depth + 1, files);
+        }
+    });
+    return files.slice(0, MAX_SOURCE_FILES);
+}
+
+function findSourcePorts(dirPath) {
+    const evidence = [];
+    for (const filePath of listSourceFiles(dirPath)) {
+        try {
+            if (fs.statSync(filePath).size > MAX_SOURCE_SIZE) continue;
+        } catch (e) {
+            continue;
+        }
+        const content = readText(filePath);
+        for (const { pattern, label } of SOURCE_PORT_PATTERNS) {
+            const match = content.match(pattern);
+            if (match) {
+                evidence.push({ port: parseInt(match[1]), source: `${label} in ${path.relative(dirPath, filePath).split(path.sep).join('/')}` });
+                break;
+            }
+        }
+        if (evidence.length >= 3) break;
+    }
+    return evidence;
+}
+
+// PORT=... from the project's env files
+function findEnvPort(dirPath) {
+    for (const name of ['.env', '.env.local', '.env.development', '.env.example']) {
+        const match = readText(path.join(dirPath, name)).match(/^\s*(?:export\s+)?PORT\s*=\s*['"]?(\d{2,5})/m);
+        if (match) return { port: parseInt(match[1]), source: `PORT in ${name}` };
+    }
+    return null;
+}
+
+// EXPOSE in a Dockerfile the user wrote themselves
+function findDockerfilePort(dirPath) {
+    const content = readText(path.join(dirPath, 'Dockerfile'));
+    if (!content || content.includes(GENERATED_MARKER)) return null;
+    const match = content.match(/^\s*EXPOSE\s+(\d{2,5})/mi);
+    return match ? { port: parseInt(match[1]), source: 'EXPOSE in existing Dockerfile' } : null;
+}
+
+// Spring Boot server.port (properties or YAML, including ${PORT:8081} placeholders)
+function findSpringPort(dirPath) {
+    const resources = path.join(dirPath, 'src', 'main', 'resources');
+    const properties = readText(path.join(resources, 'application.properties'))
+        .match(/^\s*server\.port\s*[=:]\s*(?:\$\{\w+:)?(\d{2,5})/m);
+    if (properties) return { port: parseInt(properties[1]), source: 'server.port in application.properties' };
+
+    for (const name of ['application.yml', 'application.yaml']) {
+        const content = readText(path.join(resources, name));
+        if (!content) continue;
+        try {
+            const docs = YAML.parseAllDocuments(content).map(doc => doc.toJSON() || {});
+            const value = docs.map(doc => doc.server && doc.server.port).find(v => v !== undefined);
+            const match = value !== undefined && String(value).match(/(?:\$\{\w+:)?(\d{2,5})/);
+            if (match) return { port: parseInt(match[1]), source: `server.port in ${name}` };
+        } catch (e) {
+            // Malformed YAML - ignore
+        }
+    }
+    return null;
+}
+
+// server.port / preview.port in vite.config
+function findVitePort(dirPath) {
+    for (const name of ['vite.config.ts', 'vite.config.js', 'vite.config.mjs', 'vite.config.mts']) {
+        const content = readText(path.join(dirPath, name));
+        const match = content.match(/(server|preview)\s*:\s*\{[^}]*?\bport\s*:\s*(\d{2,5})/);
+        if (match) return { port: parseInt(match[2]), source: `${match[1]}.port in ${name}` };
+    }
+    return null;
+}
+
+// Ports passed on the command line by package.json scripts or the Procfile
+function findScriptPort(dirPath) {
+    const scripts = (readJson(path.join(dirPath, 'package.json')) || {}).scripts || {};
+    for (const name of ['start', 'start:prod', 'serve', 'preview']) {
+        const port = findCommandPort(scripts[name]);
+        if (port) return { port, source: `package.json scripts.${name}` };
+    }
+    const procfilePort = findCommandPort(readProcfileCommand(dirPath));
+    return procfilePort ? { port: procfilePort, source: 'Procfile web process' } : null;
+}
+
+// Propose the internal port a unit listens on: { port, portSource, portEvidence: [{ port, source }] }.
+// Evidence is ordered by trust; the first entry wins and the template default is the fallback.
+function inferPort(dirPath, techStacks, type, startCommand) {
+    const tech = techStacks && techStacks[0];
+    const defaultPort = getDefaultPort(techStacks, type);
+
+    const commandPort = findCommandPort(startCommand);
+    const candidates = [
+        commandPort ? { port: commandPort, source: 'start command' } : null,
+        findScriptPort(dirPath),
+        findDockerfilePort(dirPath),
+        tech && tech.framework === 'spring-boot' ? findSpringPort(dirPath) : null,
+        findVitePort(dirPath),
+        findEnvPort(dirPath),
+        ...findSourcePorts(dirPath)
+    ].filter(candidate => candidate && isValidPort(candidate.port));
+
+    const evidence = candidates.filter((candidate, index) =>
+        index === candidates.findIndex(c => c.port === candidate.port && c.source === candidate.source)
+    );
+
+    // nginx always serves the build on its own port; dev-server ports are only informational
+    if (tech && servesWithNginx(tech)) {
+        return { port: defaultPort, portSource: 'nginx serves the built files', portEvidence: evidence };
+    }
+
+    if (evidence.length === 0) {
+        return { port: defaultPort, portSource: tech && tech.template ? `default for ${tech.name}` : 'default', portEvidence: [] };
+    }
+    return { port: evidence[0].port, portSource: evidence[0].source, portEvidence: evidence };
+}
+
+// ========== Discovery ==========
+
+// Manifests that mark a directory as a deployable unit
+const MANIFEST_FILES = [
+    'package.json', 'go.mod', 'requirements.txt', 'pyproject.toml', 'Pipfile',
+    'Cargo.toml', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'composer.json'
+];
+
+// Dependency, build output and tooling folders never contain units of their own
+const IGNORED_DIRS = new Set([
+    'node_modules', 'vendor', 'venv', '__pycache__', 'dist', 'build', 'target',
+    'out', 'coverage', 'bin', 'obj'
+]);
+
+const MAX_DEPTH = 4;
+
+// Names docker-compose services can't take because the generator uses them
+const RESERVED_SERVICE_NAMES = ['my', 'mysql', 'postgre', 'postgres', 'mongo', 'mongodb', 'redis', 'ngrok'];
+
+function listDir(dirPath) {
+    try {
+        return fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (e) {
+        return [];
+    }
+}
+
+function isIgnoredDir(name) {
+    return name.startsWith('.') || IGNORED_DIRS.has(name);
+}
+
+function hasManifest(files) {
+    return MANIFEST_FILES.some(f => files.includes(f));
+}
+
+// Workspace member patterns from npm/yarn, pnpm, go.work and Cargo workspaces
+function readWorkspacePatterns(dirPath, files) {
+    const patterns = [];
+
+    if (files.includes('package.json')) {
+        try {
+            const pkg = JSON.parse(fs.readFileSync(path.join(dirPath, 'package.json'), 'utf8'));
+            const workspaces = Array.isArray(pkg.workspaces) ? pkg.workspaces : (pkg.workspaces && pkg.workspaces.packages) || [];
+            patterns.push(...workspaces);
+        } catch (e) { /* ignore */ }
+    }
+
+    if (files.includes('pnpm-workspace.yaml')) {
+        try {
+            const config = YAML.parse(fs.readFileSync(path.join(dirPath, 'pnpm-workspace.yaml'), 'utf8'));
+            patterns.push(...((config && config.packages) || []));
+        } catch (e) { /* ignore */ }
+    }
+
+    if (files.includes('go.work')) {
+        try {
+            const content = fs.readFileSync(path.join(dirPath, 'go.work'), 'utf8');
+            const block = content.match(/^use\s*\(([\s\S]*?)\)/m);
+            if (block) patterns.push(...block[1].split('\n').map(l => l.replace(/\/\/.*$/, '').trim()).filter(Boolean));
+            for (const match of content.matchAll(/^use\s+([^\s(]+)/gm)) patterns.push(match[1]);
+        } catch (e) { /* ignore */ }
+    }
+
+    if (files.includes('Cargo.toml')) {
+        try {
+            const content = fs.readFileSync(path.join(dirPath, 'Cargo.toml'), 'utf8');
+            const members = content.match(/\[workspace\][\s\S]*?members\s*=\s*\[([\s\S]*?)\]/);
+            if (members) patterns.push(...[...members[1].matchAll(/["']([^"']+)["']/g)].map(m => m[1]));
+        } catch (e) { /* ignore */ }
+    }
+
+    return patterns.filter(p => typeof p === 'string');
+}
+
+// Expand a workspace glob ("apps/*", "packages/**", "services/api") to directories
+function expandWorkspacePattern(rootPath, pattern) {
+    const segments = pattern.replace(/^\.\//, '').split('/').filter(s => s && s !== '.');
+    const results = [];
+
+    const walk = (dirPath, index, depth) => {
+        if (index === segments.length) {
+            results.push(dirPath);
+            return;
+        }
+        if (depth > MAX_DEPTH * 2) return;
+
+        const segment = segments[index];
+        const subdirs = () => listDir(dirPath).filter(e => e.isDirectory() && !isIgnoredDir(e.name));
+
+        if (segment === '**') {
+            walk(dirPath, index + 1, depth);
+            subdirs().forEach(e => walk(path.join(dirPath, e.name), index, depth + 1));
+        } else if (segment.includes('*')) {
+            const regex = new RegExp(`^${segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+            subdirs().filter(e => regex.test(e.name)).forEach(e => walk(path.join(dirPath, e.name), index + 1, depth + 1));
+        } else if (fs.existsSync(path.join(dirPath, segment))) {
+            walk(path.join(dirPath, segment), index + 1, depth + 1);
+        }
+    };
+
+    walk(rootPath, 0, 0);
+    return results;
+}
+
+// Recursively find every directory that holds a manifest.
+// Returns [{ path, workspace }] where workspace is the owning workspace root (if any)
+function discoverUnits(rootPath) {
+    const units = new Map();
+
+    const addUnit = (dirPath, workspace) => {
+        if (!units.has(dirPath)) units.set(dirPath, { path: dirPath, workspace });
+    };
+
+    const visit = (dirPath, depth, workspace) => {
+        const entries = listDir(dirPath);
+        const files = entries.filter(e => e.isFile()).map(e => e.name);
+        const patterns = readWorkspacePatterns(dirPath, files);
+
+        // A unit owns its whole subtree (nested Go packages, src/ folders, ...)
+        if (patterns.length === 0 && dirPath !== rootPath && hasManifest(files)) {
+            addUnit(dirPath, workspace);
+            return;
+        }
+        if (depth >= MAX_DEPTH) return;
+
+        // Workspace roots orchestrate their members and are not deployable themselves
+        let members = [];
+        if (patterns.length > 0) {
+            const excluded = new Set(patterns.filter(p => p.startsWith('!')).flatMap(p => expandWorkspacePattern(dirPath, p.slice(1))));
+            members = patterns.filter(p => !p.startsWith('!'))
+                .flatMap(p => expandWorkspacePattern(dirPath, p))
+                .filter(member => !excluded.has(member) && member !== dirPath && hasManifest(listDir(member).map(e => e.name)));
+            members.forEach(member => addUnit(member, dirPath));
+        }
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || isIgnoredDir(entry.name)) continue;
+            const subPath = path.join(dirPath, entry.name);
+            // Folders holding workspace members were already enumerated above
+            if (members.some(m => m === subPath || m.startsWith(subPath + path.sep))) continue;
+            visit(subPath, depth + 1, workspace);
+        }
+    };
+
+    visit(rootPath, 0, null);
+    return [...units.values()];
+}
+
+// Unique, compose-safe service name for a unit ("apps/web" -> "web", clashes -> "apps-web")
+function createServiceName(rootPath, unitPath, takenNames) {
+    const slug = (value) => value.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'app';
+    const relative = path.relative(rootPath, unitPath).split(path.sep).filter(Boolean);
+
+    let name = slug(relative.length > 0 ? relative[relative.length - 1] : 'app');
+    for (let i = relative.length - 2; i >= 0 && (takenNames.has(name) || RESERVED_SERVICE_NAMES.includes(name)); i--) {
+        name = `${slug(relative[i])}-${name}`;
+    }
+
+    const base = name;
+    for (let suffix = 2; takenNames.has(name) || RESERVED_SERVICE_NAMES.includes(name); suffix++) {
+        name = `${base}-${suffix}`;
+    }
+
+    takenNames.add(name);
+    return name;
+}
+
+// Workspace packages without anything to start (shared ui/utils) are libraries
+function isLibraryUnit(unitPath, techStacks) {
+    const primary = techStacks[0];
+    if (!primary || !fs.existsSync(path.join(unitPath, 'package.json'))) return false;
+    if (!['frontend', 'backend', 'fullstack', 'unknown'].includes(primary.type)) return false;
+
+    try {
+        const pkg = JSON.parse(fs.readFileSync(path.join(unitPath, 'package.json'), 'utf8'));
+        const scripts = pkg.scripts || {};
+        return !scripts.start && !scripts.dev && !scripts.serve && !scripts.preview && !pkg.bin;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Role of a unit: by tech stack first, then folder naming conventions
+function detectRole(unitPath, techStacks, inWorkspace) {
+    if (inWorkspace && isLibraryUnit(unitPath, techStacks)) return 'library';
+
+    const primaryType = techStacks[0] && techStacks[0].type;
+    if (primaryType === 'frontend' || primaryType === 'fullstack') return 'frontend';
+    if (primaryType === 'backend') return 'backend';
+
+    const name = path.basename(unitPath).toLowerCase();
+    if (/front|client|web|ui|site/.test(name)) return 'frontend';
+    return 'backend';
+}
+
+// Scan project structure
+function scanProject(projectPath) {
+    const result = {
+        path: projectPath,
+        name: path.basename(projectPath),
+        structure: [],
+        databases: [],
+        hasDockerfile: fs.existsSync(path.join(projectPath, 'Dockerfile')) ||
+            fs.existsSync(path.join(projectPath, 'docker-compose.yml'))
+    };
+
+    const units = discoverUnits(projectPath);
+
+    // A root manifest next to sub-units is only kept when it is an app itself
+    // (Django/Go/etc. root), not a plain package.json running scripts for the others
+    const rootFiles = listDir(projectPath).map(e => e.name);
+    if (hasManifest(rootFiles) && readWorkspacePatterns(projectPath, rootFiles).length === 0) {
+        const rootTech = detectTechStack(projectPath);
+        if (units.length === 0 || !['Node.js', 'Unknown'].includes(rootTech[0].name)) {
+            units.unshift({ path: projectPath, workspace: null });
+        }
+    }
+
+    const takenNames = new Set();
+    const isSingleRoot = units.length === 0 || (units.length === 1 && units[0].path === projectPath);
+
+    if (isSingleRoot) {
+        // No recognizable units - treat the root as one service (static sites etc.)
+        const rootDatabases = detectDatabases(projectPath);
+        const techStacks = detectTechStack(projectPath);
+        const start = inferStartCommand(projectPath, techStacks[0]);
+        result.structure.push({
+            name: path.basename(projectPath),
+            type: 'root',
+            path: projectPath,
+            relativePath: '.',
+            serviceName: createServiceName(projectPath, projectPath, takenNames),
+            techStacks: techStacks,
+            databases: rootDatabases,
+            ...inferPort(projectPath, techStacks, 'root', start.startCommand),
+            ...start
+        });
+        result.databases.push(...rootDatabases);
+    } else {
+        for (const unit of units) {
+            const techStacks = detectTechStack(unit.path);
+            const databases = detectDatabases(unit.path);
+            const role = detectRole(unit.path, techStacks, Boolean(unit.workspace));
+            const start = inferStartCommand(unit.path, techStacks[0]);
+
+            result.structure.push({
+                name: unit.path === projectPath ? path.basename(projectPath) : path.relative(projectPath, unit.path).split(path.sep).join('/'),
+                type: role,
+                path: unit.path,
+                relativePath: path.relative(projectPath, unit.path).split(path.sep).join('/') || '.',
+                serviceName: createServiceName(projectPath, unit.path, takenNames),
+                workspace: unit.workspace ? path.relative(projectPath, unit.workspace) || '.' : undefined,
+                techStacks: techStacks,
+                databases: databases,
+                ...inferPort(unit.path, techStacks, role, start.startCommand),
+                ...start
+            });
+            // Merge databases to project level
+            result.databases.push(...databases);
+        }
+    }
+
+    // Deduplicate databases at project level
+    result.databases = result.databases.filter((db, index, self) =>
+        index === self.findIndex(d => d.name === db.name)
+    );
+
+    return result;
+}
+
+module.exports = {
+    MANIFEST_FILES,
+    detectDatabases,
+    detectTechStack,
+    detectPackageManager,
+    detectRuntimeVersion,
+    getDefaultPort,
+    discoverUnits,
+    inferStartCommand,
+    inferPort,
+    scanProject
+};
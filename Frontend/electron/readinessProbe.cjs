@@ -0,0 +1,144 @@
+/**
+ * Readiness Probes
+ * Per-service checks that decide when a started project is actually serving: an HTTP
+ * request with an expected status, a TCP connect, or the container's own healthcheck.
+ * The public URL is only handed out once the service answers through the tunnel too.
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const PROBE_TYPES = ['http', 'tcp', 'healthcheck', 'none'];
+
+// expectedStatus null = anything below 500 (a 404 on / still means the app is up)
+const DEFAULT_PROBE = { type: 'http', path: '/', expectedStatus: null };
+
+const DEFAULT_READINESS = {
+    timeoutSeconds: 120,
+    probes: {} // service -> probe; services without one get DEFAULT_PROBE
+};
+
+// A single request or connect attempt
+const ATTEMPT_TIMEOUT_MS = 5000;
+
+// ========== Config ==========
+
+function normalizeProbe(probe = {}) {
+    const expected = probe.expectedStatus === '' || probe.expectedStatus === undefined ? null : probe.expectedStatus;
+    return {
+        type: PROBE_TYPES.includes(probe.type) ? probe.type : DEFAULT_PROBE.type,
+        path: probe.path ? `/${String(probe.path).replace(/^\/+/, '')}` : DEFAULT_PROBE.path,
+        expectedStatus: expected === null ? null : parseInt(expected)
+    };
+}
+
+function normalizeReadiness(config = {}) {
+    const probes = Object.fromEntries(
+        Object.entries(config.probes || {}).map(([service, probe]) => [service, normalizeProbe(probe)])
+    );
+    return {
+        timeoutSeconds: parseInt(config.timeoutSeconds) || DEFAULT_READINESS.timeoutSeconds,
+        probes
+    };
+}
+
+// Returns a list of problems; empty when the config can be saved
+function validateReadiness(config) {
+    const errors = [];
+    const timeout = Number(config.timeoutSeconds);
+    if (!Number.isInteger(timeout) || timeout < 5 || timeout > 1800) {
+        errors.push('Timeout must be between 5 and 1800 seconds');
+    }
+    for (const [service, probe] of Object.entries(config.probes || {})) {
+        if (!PROBE_TYPES.includes(probe.type)) errors.push(`${service}: unknown probe type "${probe.type}"`);
+        if (probe.type === 'http' && probe.expectedStatus !== null && probe.expectedStatus !== undefined && probe.expectedStatus !== '') {
+            const status = Number(probe.expectedStatus);
+            if (!Number.isInteger(status) || status < 100 || status > 599) errors.push(`${service}: expected status must be an HTTP status code`);
+        }
+    }
+    return errors;
+}
+
+function getProbe(config, service) {
+    return normalizeProbe(config.probes[service] || DEFAULT_PROBE);
+}
+
+// ========== Checks ==========
+
+function statusMatches(status, expectedStatus) {
+    return expectedStatus === null ? status < 500 : status === expectedStatus;
+}
+
+// One GET without following redirects: { status, headers } or { error }
+function httpRequest(url, headers = {}) {
+    return new Promise((resolve) => {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (e) {
+            resolve({ error: `Invalid URL ${url}` });
+            return;
+        }
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.get(target, { headers, timeout: ATTEMPT_TIMEOUT_MS }, (res) => {
+            res.resume();
+            resolve({ status: res.statusCode, headers: res.headers });
+        });
+        req.on('timeout', () => req.destroy(new Error('timed out')));
+        req.on('error', err => resolve({ error: err.code || err.message }));
+    });
+}
+
+// { ok, detail } for an HTTP probe
+async function checkHttp(url, expectedStatus, headers = {}) {
+    const response = await httpRequest(url, headers);
+    if (response.error) return { ok: false, detail: response.error };
+    return {
+        ok: statusMatches(response.status, expectedStatus),
+        detail: `HTTP ${response.status}`,
+        status: response.status,
+        headers: response.headers
+    };
+}
+
+// { ok, detail } for a TCP connect
+function checkTcp(port, host = '127.0.0.1') {
+    return new Promise((resolve) => {
+        const socket = net.connect({ port, host });
+        const done = (ok, detail) => {
+            socket.destroy();
+            resolve({ ok, detail });
+        };
+        socket.setTimeout(ATTEMPT_TIMEOUT_MS, () => done(false, 'timed out'));
+        socket.once('connect', () => done(true, `port ${port} open`));
+        socket.once('error', err => done(false, err.code || err.message));
+    });
+}
+
+// Retry check() until it passes, the deadline passes or shouldStop() says so.
+// onAttempt(result, attempt) sees every attempt. Returns the last result.
+async function waitFor(check, { deadline, intervalMs = 2000, onAttempt = null, shouldStop = null }) {
+    let attempt = 0;
+    for (;;) {
+        attempt++;
+        const result = await check();
+        if (onAttempt) onAttempt(result, attempt);
+        if (result.ok) return { ...result, attempt };
+        if (shouldStop && shouldStop()) return { ok: false, detail: 'stopped', attempt };
+        if (Date.now() + intervalMs > deadline) return { ...result, ok: false, timedOut: true, attempt };
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = {
+    PROBE_TYPES,
+    DEFAULT_PROBE,
+    normalizeReadiness,
+    validateReadiness,
+    getProbe,
+    statusMatches,
+    checkHttp,
+    checkTcp,
+    waitFor
+};
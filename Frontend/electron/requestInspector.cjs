@@ -0,0 +1,141 @@
+/**
+ * Request Inspector
+ * Reads the traffic an ngrok agent captured from its inspection API (/api/requests/http)
+ * and replays requests through it, and reads the agent's tunnels with their metrics.
+ * Every sidecar or host agent has its own API port.
+ */
+
+const http = require('http');
+
+// Bodies are shown as text; anything larger is cut
+const MAX_BODY_BYTES = 64 * 1024;
+
+// ========== Agent API ==========
+
+function apiRequest(port, method, apiPath, body = null, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+        const payload = body ? JSON.stringify(body) : null;
+        const request = http.request({
+            host: '127.0.0.1',
+            port,
+            method,
+            path: apiPath,
+            timeout,
+            headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+        }, (response) => {
+            let text = '';
+            response.on('data', chunk => { text += chunk; });
+            response.on('end', () => {
+                if (response.statusCode >= 400) {
+                    reject(new Error(`Inspection API on port ${port} answered ${response.statusCode}`));
+                    return;
+                }
+                try {
+                    resolve(text ? JSON.parse(text) : null);
+                } catch (e) {
+                    reject(new Error(`Unexpected response from the inspection API on port ${port}`));
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error(`No inspection API on port ${port}`)));
+        request.on('error', reject);
+        if (payload) request.write(payload);
+        request.end();
+    });
+}
+
+// ========== Records ==========
+
+// Config tunnels are named after their service ("web" or "web (http)")
+function serviceOf(tunnelName) {
+    return String(tunnelName || '').replace(/ \(https?\)$/, '') || null;
+}
+
+function firstHeader(headers, name) {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+    const value = key ? headers[key] : null;
+    return String((Array.isArray(value) ? value[0] : value) || '').split(',')[0].trim() || null;
+}
+
+// The body of a raw HTTP message (base64 in the API), as text when it looks like text
+function parseBody(raw) {
+    if (!raw) return { body: '', size: 0, binary: false, truncated: false };
+    const message = Buffer.from(raw, 'base64');
+    const separator = message.indexOf('\r\n\r\n');
+    const bytes = separator === -1 ? Buffer.alloc(0) : message.subarray(separator + 4);
+    const shown = bytes.subarray(0, MAX_BODY_BYTES);
+    const binary = shown.includes(0);
+    return {
+        body: binary ? '' : shown.toString('utf8'),
+        size: bytes.length,
+        binary,
+        truncated: bytes.length > MAX_BODY_BYTES
+    };
+}
+
+// List row: { id, apiPort, service, method, path, status, durationMs, clientIp, start }
+function summarizeRequest(record, apiPort) {
+    const request = record.request || {};
+    const response = record.response || null;
+    return {
+        id: record.id,
+        apiPort,
+        service: serviceOf(record.tunnel_name),
+        method: request.method || '',
+        path: request.uri || record.uri || '',
+        status: response ? response.status_code : null, // null = no response yet
+        durationMs: record.duration ? Math.round(record.duration / 1e6) : null,
+        clientIp: firstHeader(request.headers, 'x-forwarded-for') || record.remote_addr || '',
+        start: record.start || null
+    };
+}
+
+// Detail view: the summary plus headers and bodies of both sides
+function describeRequest(record, apiPort) {
+    const request = record.request || {};
+    const response = record.response || null;
+    return {
+        ...summarizeRequest(record, apiPort),
+        request: { headers: request.headers || {}, ...parseBody(request.raw) },
+        response: response ? { headers: response.headers || {}, ...parseBody(response.raw) } : null
+    };
+}
+
+// ========== Operations ==========
+
+// Newest first, across every agent the project runs
+async function listRequests(apiPorts, limit = 100) {
+    const lists = await Promise.all(apiPorts.map(async (port) => {
+        const data = await apiRequest(port, 'GET', `/api/requests/http?limit=${limit}`);
+        return ((data && data.requests) || []).map(record => summarizeRequest(record, port));
+    }));
+    return lists.flat()
+        .sort((a, b) => String(b.start).localeCompare(String(a.start)))
+        .slice(0, limit);
+}
+
+async function getRequest(apiPort, id) {
+    return describeRequest(await apiRequest(apiPort, 'GET', `/api/requests/http/${encodeURIComponent(id)}`), apiPort);
+}
+
+// Send the captured request through its tunnel again; it shows up as a new entry
+async function replayRequest(apiPort, id) {
+    const record = await apiRequest(apiPort, 'GET', `/api/requests/http/${encodeURIComponent(id)}`);
+    await apiRequest(apiPort, 'POST', '/api/requests/http', { id, tunnel_name: record.tunnel_name });
+}
+
+// Every tunnel of every agent, with the agent's metrics (/api/tunnels)
+async function listTunnels(apiPorts) {
+    const lists = await Promise.all(apiPorts.map(async (port) => {
+        const data = await apiRequest(port, 'GET', '/api/tunnels');
+        return (data && data.tunnels) || [];
+    }));
+    return lists.flat();
+}
+
+module.exports = {
+    listTunnels,
+    listRequests,
+    getRequest,
+    replayRequest
+};
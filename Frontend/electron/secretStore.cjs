@@ -0,0 +1,73 @@
+/**
+ * Secret Store
+ * Encrypts values kept in app-data.json with Electron's safeStorage (OS keychain,
+ * DPAPI or libsecret) and generates random credentials.
+ */
+
+const crypto = require('crypto');
+const { safeStorage } = require('electron');
+
+// Prefixes tell stored values apart; "plain:" is only written when no keyring is available
+const ENCRYPTED_PREFIX = 'enc:';
+const PLAIN_PREFIX = 'plain:';
+
+function isEncryptionAvailable() {
+    try {
+        return safeStorage.isEncryptionAvailable();
+    } catch (e) {
+        return false;
+    }
+}
+
+function encryptSecret(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (isEncryptionAvailable()) {
+        return ENCRYPTED_PREFIX + safeStorage.encryptString(text).toString('base64');
+    }
+    console.warn('safeStorage is unavailable - storing secret without OS encryption');
+    return PLAIN_PREFIX + Buffer.from(text, 'utf8').toString('base64');
+}
+
+// Returns null when the value can't be decrypted (e.g. app data copied from another machine)
+function decryptSecret(stored) {
+    if (typeof stored !== 'string') return null;
+    try {
+        if (stored.startsWith(ENCRYPTED_PREFIX)) {
+            return safeStorage.decryptString(Buffer.from(stored.slice(ENCRYPTED_PREFIX.length), 'base64'));
+        }
+        if (stored.startsWith(PLAIN_PREFIX)) {
+            return Buffer.from(stored.slice(PLAIN_PREFIX.length), 'base64').toString('utf8');
+        }
+    } catch (e) {
+        console.error('Could not decrypt stored secret:', e.message);
+    }
+    return null;
+}
+
+function decryptJson(stored) {
+    const text = decryptSecret(stored);
+    if (text === null) return null;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return null;
+    }
+}
+
+function isEncrypted(stored) {
+    return typeof stored === 'string' && stored.startsWith(ENCRYPTED_PREFIX);
+}
+
+// URL-safe so passwords can go straight into connection strings
+function generatePassword(bytes = 18) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+module.exports = {
+    isEncryptionAvailable,
+    encryptSecret,
+    decryptSecret,
+    decryptJson,
+    isEncrypted,
+    generatePassword
+};
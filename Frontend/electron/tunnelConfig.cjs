@@ -0,0 +1,185 @@
+/**
+ * Tunnel Config
+ * Validates per-project tunnel settings and turns them into an ngrok agent config
+ * file (one named tunnel per exposed service) for the compose sidecar and the host ngrok CLI.
+ */
+
+const fs = require('fs');
+const YAML = require('yaml');
+
+// Tunnel name for host tunnels, which have no compose service to be named after
+const TUNNEL_NAME = 'localdeploy';
+
+// Where the config is mounted inside the ngrok sidecar
+const CONTAINER_CONFIG_PATH = '/etc/ngrok/localdeploy.yml';
+
+const NGROK_REGIONS = ['us', 'eu', 'ap', 'au', 'sa', 'jp', 'in'];
+
+const OAUTH_PROVIDERS = ['google', 'github', 'microsoft', 'gitlab', 'linkedin', 'twitch', 'amazon', 'facebook'];
+
+const DEFAULT_TUNNEL_SETTINGS = {
+    domain: '',
+    region: '',
+    basicAuth: { username: '', password: '' },
+    oauth: { provider: '', allowEmails: [], allowDomains: [] },
+    allowCidrs: [],
+    denyCidrs: [],
+    requestHeaders: { add: [], remove: [] }, // add: [{ name, value }], remove: [name]
+    responseHeaders: { add: [], remove: [] },
+    hostHeader: '', // '', 'rewrite' or a fixed host
+    exposed: [] // [{ service, port }]; empty = the default target
+};
+
+// ========== Validation ==========
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/i;
+const IPV4_CIDR_PATTERN = /^(\d{1,3}\.){3}\d{1,3}\/(\d|[12]\d|3[0-2])$/;
+const IPV6_CIDR_PATTERN = /^[0-9a-f:]+\/(\d{1,2}|1[01]\d|12[0-8])$/i;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const SERVICE_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+// Fill in missing keys so older stored settings keep working as the shape grows
+function normalizeTunnelSettings(settings = {}) {
+    return {
+        ...DEFAULT_TUNNEL_SETTINGS,
+        ...settings,
+        basicAuth: { ...DEFAULT_TUNNEL_SETTINGS.basicAuth, ...(settings.basicAuth || {}) },
+        oauth: { ...DEFAULT_TUNNEL_SETTINGS.oauth, ...(settings.oauth || {}) },
+        requestHeaders: { ...DEFAULT_TUNNEL_SETTINGS.requestHeaders, ...(settings.requestHeaders || {}) },
+        responseHeaders: { ...DEFAULT_TUNNEL_SETTINGS.responseHeaders, ...(settings.responseHeaders || {}) }
+    };
+}
+
+function isValidCidr(cidr) {
+    if (IPV4_CIDR_PATTERN.test(cidr)) {
+        return cidr.split('/')[0].split('.').every(octet => parseInt(octet) <= 255);
+    }
+    return IPV6_CIDR_PATTERN.test(cidr);
+}
+
+// Returns a list of problems; empty when the settings can be written
+function validateTunnelSettings(settings) {
+    const s = normalizeTunnelSettings(settings);
+    const errors = [];
+
+    if (s.domain && !DOMAIN_PATTERN.test(s.domain)) {
+        errors.push(`"${s.domain}" is not a valid domain`);
+    }
+    if (s.region && !NGROK_REGIONS.includes(s.region)) {
+        errors.push(`Unknown region "${s.region}"`);
+    }
+
+    const { username, password } = s.basicAuth;
+    if (username || password) {
+        if (!username || username.includes(':')) errors.push('Basic auth needs a username without ":"');
+        if (password.length < 8 || password.length > 128) errors.push('Basic auth passwords must be 8-128 characters');
+    }
+
+    if (s.oauth.provider) {
+        if (!OAUTH_PROVIDERS.includes(s.oauth.provider)) errors.push(`Unknown OAuth provider "${s.oauth.provider}"`);
+        if (username) errors.push('Use either basic auth or OAuth, not both');
+    }
+
+    for (const cidr of [...s.allowCidrs, ...s.denyCidrs]) {
+        if (!isValidCidr(cidr)) errors.push(`"${cidr}" is not a valid CIDR (e.g. 203.0.113.0/24)`);
+    }
+
+    for (const headers of [s.requestHeaders, s.responseHeaders]) {
+        for (const name of [...headers.add.map(h => h.name), ...headers.remove]) {
+            if (!HEADER_NAME_PATTERN.test(name)) errors.push(`"${name}" is not a valid header name`);
+        }
+    }
+
+    for (const { service, port } of s.exposed) {
+        if (!SERVICE_NAME_PATTERN.test(service || '')) errors.push(`"${service}" is not a valid service name`);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) errors.push(`Pick the port "${service}" listens on`);
+    }
+
+    return errors;
+}
+
+// ========== Agent Config ==========
+
+function headerRules(headers) {
+    const rules = {};
+    if (headers.add.length > 0) rules.add = headers.add.map(h => `${h.name}: ${h.value}`);
+    if (headers.remove.length > 0) rules.remove = headers.remove;
+    return Object.keys(rules).length > 0 ? rules : undefined;
+}
+
+// Access rules and headers shared by every endpoint of the project
+function buildTunnelOptions(s) {
+    const tunnel = {};
+    if (s.basicAuth.username) tunnel.basic_auth = [`${s.basicAuth.username}:${s.basicAuth.password}`];
+    if (s.oauth.provider) {
+        tunnel.oauth = { provider: s.oauth.provider };
+        if (s.oauth.allowEmails.length > 0) tunnel.oauth.allow_emails = s.oauth.allowEmails;
+        if (s.oauth.allowDomains.length > 0) tunnel.oauth.allow_domains = s.oauth.allowDomains;
+    }
+    if (s.allowCidrs.length > 0 || s.denyCidrs.length > 0) {
+        tunnel.ip_restriction = {};
+        if (s.allowCidrs.length > 0) tunnel.ip_restriction.allow_cidrs = s.allowCidrs;
+        if (s.denyCidrs.length > 0) tunnel.ip_restriction.deny_cidrs = s.denyCidrs;
+    }
+    const requestHeader = headerRules(s.requestHeaders);
+    if (requestHeader) tunnel.request_header = requestHeader;
+    const responseHeader = headerRules(s.responseHeaders);
+    if (responseHeader) tunnel.response_header = responseHeader;
+    if (s.hostHeader) tunnel.host_header = s.hostHeader;
+    return tunnel;
+}
+
+// Compose targets ([{ service, port }]) as agent config endpoints named after their service
+function targetsToEndpoints(targets) {
+    return targets.map(({ service, port }) => ({ name: service, addr: `${service}:${port}` }));
+}
+
+// ngrok agent config (format version 2) with one tunnel per endpoint ({ name, addr }).
+// A reserved domain can only serve one tunnel, so it goes to the first endpoint.
+// The authtoken is left out on purpose - it comes from NGROK_AUTHTOKEN in the environment.
+function buildNgrokConfig(settings, { endpoints, webAddr }) {
+    const s = normalizeTunnelSettings(settings);
+    const options = buildTunnelOptions(s);
+
+    const tunnels = {};
+    endpoints.forEach(({ name, addr }, index) => {
+        tunnels[name] = { proto: 'http', addr: String(addr) };
+        if (index === 0 && s.domain) tunnels[name].domain = s.domain;
+        Object.assign(tunnels[name], options);
+    });
+
+    const config = { version: '2' };
+    if (s.region) config.region = s.region;
+    if (webAddr) config.web_addr = webAddr;
+    config.tunnels = tunnels;
+
+    return YAML.stringify(config);
+}
+
+// The endpoints a previously written config points at ([{ name, addr }]), so settings
+// can be re-saved without knowing how the project is run
+function readConfigEndpoints(filePath) {
+    try {
+        const config = YAML.parse(fs.readFileSync(filePath, 'utf8'));
+        return Object.entries(config?.tunnels || {}).map(([name, tunnel]) => ({
+            // Single-tunnel configs used a fixed name; the service is the address host
+            name: name === TUNNEL_NAME ? String(tunnel.addr).split(':')[0] : name,
+            addr: String(tunnel.addr)
+        }));
+    } catch (e) {
+        return [];
+    }
+}
+
+module.exports = {
+    TUNNEL_NAME,
+    CONTAINER_CONFIG_PATH,
+    NGROK_REGIONS,
+    OAUTH_PROVIDERS,
+    DEFAULT_TUNNEL_SETTINGS,
+    normalizeTunnelSettings,
+    validateTunnelSettings,
+    targetsToEndpoints,
+    buildNgrokConfig,
+    readConfigEndpoints
+};
@@ -0,0 +1,90 @@
+/**
+ * Tunnel Metrics
+ * Samples of what the ngrok agents report for a project's tunnels (connections, request
+ * rate, latency percentiles), kept for the app session, plus the moments a tunnel went
+ * down, came back or was reconnected by its agent.
+ */
+
+// 4 hours at one sample every 5 seconds
+const MAX_SAMPLES = 2880;
+const MAX_EVENTS = 200;
+
+// projectId -> { samples: [...], events: [...] }
+const histories = new Map();
+
+// ========== Samples ==========
+
+// The agent reports durations in nanoseconds
+function toMs(ns) {
+    return ns ? Math.round(ns / 1e5) / 10 : 0;
+}
+
+// All of a project's tunnels as one: counts and rates add up, latency is the slowest tunnel's
+function summarizeTunnels(tunnels) {
+    const metrics = tunnels.map(tunnel => tunnel.metrics || {});
+    const sum = (group, key) => metrics.reduce((total, m) => total + ((m[group] && m[group][key]) || 0), 0);
+    const max = (group, key) => Math.max(0, ...metrics.map(m => (m[group] && m[group][key]) || 0));
+    return {
+        urls: tunnels.map(tunnel => tunnel.public_url).filter(Boolean).sort(),
+        connections: { total: sum('conns', 'count'), open: sum('conns', 'gauge') },
+        requests: { total: sum('http', 'count'), perMinute: Math.round(sum('http', 'rate1') * 60 * 10) / 10 },
+        latency: {
+            p50: toMs(max('http', 'p50')),
+            p90: toMs(max('http', 'p90')),
+            p95: toMs(max('http', 'p95')),
+            p99: toMs(max('http', 'p99'))
+        }
+    };
+}
+
+// What changed since the previous sample: the tunnel dropped, came back, or the agent
+// reconnected in between (new URLs, or counters starting over)
+function detectEvent(previous, sample) {
+    if (!previous) return sample.up ? null : 'down';
+    if (previous.up && !sample.up) return 'down';
+    if (!previous.up && sample.up) return 'up';
+    if (!sample.up) return null;
+    const urlsChanged = previous.urls.join(' ') !== sample.urls.join(' ');
+    const countersReset = sample.connections.total < previous.connections.total || sample.requests.total < previous.requests.total;
+    return urlsChanged || countersReset ? 'reconnected' : null;
+}
+
+// Add a sample from the agents' tunnels (or the error reading them).
+// Returns { sample, event } where event is null when nothing changed.
+function recordSample(projectId, tunnels, error = null) {
+    const history = histories.get(projectId) || { samples: [], events: [] };
+    const up = !error && tunnels.length > 0;
+    const sample = {
+        time: new Date().toISOString(),
+        up,
+        error: error || (up ? null : 'No tunnels'),
+        ...summarizeTunnels(up ? tunnels : [])
+    };
+
+    const type = detectEvent(history.samples[history.samples.length - 1], sample);
+    const event = type ? { time: sample.time, type, detail: type === 'down' ? sample.error : sample.urls.join(', ') } : null;
+
+    history.samples.push(sample);
+    if (history.samples.length > MAX_SAMPLES) history.samples.splice(0, history.samples.length - MAX_SAMPLES);
+    if (event) {
+        history.events.push(event);
+        if (history.events.length > MAX_EVENTS) history.events.splice(0, history.events.length - MAX_EVENTS);
+    }
+    histories.set(projectId, history);
+    return { sample, event };
+}
+
+function getHistory(projectId) {
+    const history = histories.get(projectId) || { samples: [], events: [] };
+    return { samples: [...history.samples], events: [...history.events] };
+}
+
+function clearHistory(projectId) {
+    histories.delete(projectId);
+}
+
+module.exports = {
+    recordSample,
+    getHistory,
+    clearHistory
+};
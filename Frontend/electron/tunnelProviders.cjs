@@ -0,0 +1,414 @@
+/**
+ * Tunnel Providers
+ * Everything that differs between tunnel services: the CLI the dependency check looks for,
+ * the credentials they need, the compose sidecars that run them, the command used for
+ * host tunnels, and how the public URLs are found once they're up.
+ *
+ * A provider is a plain object:
+ *   id, name, description
+ *   cli / install         - binary for the dependency check, install commands per platform
+ *   fields                - credentials set up in the Tunnels tab ({ key, label, placeholder, secret, required })
+ *   validateCredentials   - (credentials) => error message or null
+ *   env                   - (credentials) => variables the sidecars/CLI read secrets from
+ *   config                - optional agent config file written into the project's tunnel folder
+ *   createServices        - (targets, options) => compose services to add
+ *   hostCommand           - (target, options) => { command, args } for tunnels from the host, or null
+ *   discoverUrls          - (context) => Promise<[{ service, url }]>
+ * Stopping needs nothing provider specific: sidecars go down with the project and host
+ * tunnels are stopped by their process group.
+ */
+
+const http = require('http');
+const { getServiceNames } = require('./composeFile.cjs');
+const { TUNNEL_NAME, CONTAINER_CONFIG_PATH, targetsToEndpoints, buildNgrokConfig } = require('./tunnelConfig.cjs');
+
+const DEFAULT_PROVIDER_ID = 'ngrok';
+
+// Labels marking our sidecars and what they tunnel to ("service:port,service:port")
+const PROVIDER_LABEL = 'localdeploy.tunnel';
+const TARGETS_LABEL = 'localdeploy.tunnel.targets';
+
+// ========== Helpers ==========
+
+function getJson(url, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+        const request = http.get(url, { timeout }, (response) => {
+            let body = '';
+            response.on('data', chunk => { body += chunk; });
+            response.on('end', () => {
+                try {
+                    resolve(JSON.parse(body));
+                } catch (e) {
+                    reject(new Error(`Unexpected response from ${url}`));
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error(`No response from ${url}`)));
+        request.on('error', reject);
+    });
+}
+
+const ANSI_PATTERN = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, 'g');
+
+function stripAnsi(text) {
+    return String(text || '').replace(ANSI_PATTERN, '');
+}
+
+function formatTargets(targets) {
+    return targets.map(({ service, port }) => `${service}:${port}`).join(',');
+}
+
+function parseTargets(value) {
+    return String(value || '').split(',').filter(Boolean).map(entry => {
+        const [service, port] = entry.split(':');
+        return { service, port: parseInt(port) };
+    });
+}
+
+function sidecarLabels(providerId, targets) {
+    return { [PROVIDER_LABEL]: providerId, [TARGETS_LABEL]: formatTargets(targets) };
+}
+
+// Error naming the required credential fields that are still empty
+function requireFields(provider, credentials) {
+    const missing = provider.fields.filter(field => field.required && !credentials[field.key]);
+    if (missing.length === 0) return null;
+    return `${provider.name} needs ${missing.map(field => field.label).join(', ')} - set it up in the Tunnels tab`;
+}
+
+// "host" or "host:port" with a fallback port
+function splitServer(server, defaultPort) {
+    const [host, port] = String(server).split(':');
+    return { host, port: parseInt(port) || defaultPort };
+}
+
+// ========== ngrok ==========
+
+const ngrok = {
+    id: 'ngrok',
+    name: 'ngrok',
+    description: 'Hosted HTTPS tunnels with reserved domains, auth and IP rules',
+    cli: 'ngrok',
+    install: {
+        linux: 'wget -qO- https://bin.equinox.io/c/bNyj1mQVY4c/ngrok-v3-stable-linux-amd64.tgz | sudo tar xvz -C /usr/local/bin',
+        win32: 'winget install ngrok.ngrok',
+        page: 'https://ngrok.com/download'
+    },
+    fields: [], // Auth tokens are managed as ngrok profiles
+    apiContainerPort: 4040,
+    hostApiPort: 4040, // Where the search for a free host agent port starts
+    supportsSettings: true,
+
+    validateCredentials: credentials => (credentials.authtoken ? null : 'Ngrok key not configured'),
+
+    // The authtoken only ever travels through the environment
+    env: credentials => ({ NGROK_AUTHTOKEN: credentials.authtoken }),
+
+    config: {
+        fileName: 'ngrok.yml',
+        hostFileName: 'ngrok.host.yml',
+        // Inside the container the inspector must listen on all interfaces; host agents
+        // get their own port so projects don't fight over 4040
+        build: (targets, { settings, host, apiPort }) => buildNgrokConfig(settings, {
+            endpoints: host ? targets.map(({ service, port }) => ({ name: service, addr: port })) : targetsToEndpoints(targets),
+            webAddr: host ? (apiPort ? `localhost:${apiPort}` : null) : '0.0.0.0:4040'
+        })
+    },
+
+    // One sidecar starting every tunnel in the agent config; without a config only
+    // the first target can be tunneled
+    createServices(targets, { apiPort, configPath }) {
+        const service = {
+            image: 'ngrok/ngrok:latest',
+            command: `http ${targets[0].service}:${targets[0].port}`,
+            environment: ['NGROK_AUTHTOKEN'],
+            ports: [`${apiPort}:4040`], // Map host port to container's 4040
+            depends_on: targets.map(target => target.service),
+            labels: sidecarLabels('ngrok', targets)
+        };
+        if (configPath) {
+            service.command = `start --all --config ${CONTAINER_CONFIG_PATH}`;
+            service.volumes = [`${configPath}:${CONTAINER_CONFIG_PATH}:ro`];
+        }
+        return { ngrok: service };
+    },
+
+    hostCommand: (target, { configPath }) => ({
+        command: 'ngrok',
+        args: configPath ? ['start', '--all', '--config', `"${configPath}"`] : ['http', String(target.port)]
+    }),
+
+    // One URL per service from the inspection API, preferring https, in target order
+    async discoverUrls({ sidecars, targets }) {
+        const apiPort = (sidecars[0] && sidecars[0].apiPort) || ngrok.hostApiPort;
+        const data = await getJson(`http://localhost:${apiPort}/api/tunnels`);
+
+        // Config tunnels are named after their service; CLI tunnels only have the address
+        const serviceOf = (tunnel) => {
+            if (tunnel.name && tunnel.name !== TUNNEL_NAME && tunnel.name !== 'command_line') {
+                return tunnel.name.replace(/ \(http\)$/, '');
+            }
+            const addr = (tunnel.config && tunnel.config.addr) || '';
+            return addr.replace(/^\w+:\/\//, '').split(':')[0] || 'app';
+        };
+
+        const byService = new Map();
+        for (const tunnel of data.tunnels || []) {
+            const service = serviceOf(tunnel);
+            if (!byService.has(service) || tunnel.proto === 'https') {
+                byService.set(service, tunnel.public_url);
+            }
+        }
+
+        const order = targets.map(target => target.service);
+        const rank = (service) => (order.includes(service) ? order.indexOf(service) : order.length);
+        return [...byService.entries()]
+            .map(([service, url]) => ({ service, url }))
+            .sort((a, b) => rank(a.service) - rank(b.service));
+    }
+};
+
+// ========== Cloudflare Quick Tunnels ==========
+
+function quickTunnelArgs(origin, metricsAddr) {
+    return ['tunnel', '--no-autoupdate', '--metrics', metricsAddr, '--url', origin];
+}
+
+const cloudflared = {
+    id: 'cloudflared',
+    name: 'Cloudflare Quick Tunnel',
+    description: 'Random trycloudflare.com URLs, no account needed',
+    cli: 'cloudflared',
+    install: {
+        linux: 'curl -fsSL -o /tmp/cloudflared https://github.com/cloudflare/cloudflared/releases/latest/download/cloudflared-linux-amd64 && sudo install /tmp/cloudflared /usr/local/bin/cloudflared',
+        win32: 'winget install Cloudflare.cloudflared',
+        page: 'https://developers.cloudflare.com/cloudflare-one/connections/connect-networks/downloads/'
+    },
+    fields: [],
+    apiContainerPort: 2000,
+    hostApiPort: 20241, // Where the search for a free host agent port starts
+
+    validateCredentials: () => null,
+    env: () => ({}),
+
+    // A quick tunnel serves one origin, so every target gets its own connector, each with
+    // its own free metrics port when the caller allocated them
+    createServices(targets, { apiPort, apiPorts }) {
+        return Object.fromEntries(targets.map((target, index) => [`cloudflared_${target.service}`, {
+            image: 'cloudflare/cloudflared:latest',
+            command: quickTunnelArgs(`http://${target.service}:${target.port}`, '0.0.0.0:2000').join(' '),
+            ports: [`${(apiPorts && apiPorts[index]) || apiPort + index}:2000`],
+            depends_on: [target.service],
+            labels: sidecarLabels('cloudflared', [target])
+        }]));
+    },
+
+    hostCommand: (target, { apiPort }) => ({
+        command: 'cloudflared',
+        args: quickTunnelArgs(`http://localhost:${target.port}`, `localhost:${apiPort}`)
+    }),
+
+    // The metrics server reports the hostname the tunnel was given
+    async discoverUrls({ sidecars }) {
+        const urls = await Promise.all(sidecars.map(async (sidecar) => {
+            const data = await getJson(`http://localhost:${sidecar.apiPort}/quicktunnel`);
+            return data.hostname ? { service: sidecar.targets[0].service, url: `https://${data.hostname}` } : null;
+        }));
+        return urls.filter(Boolean);
+    }
+};
+
+// ========== bore ==========
+
+const bore = {
+    id: 'bore',
+    name: 'bore',
+    description: 'Plain TCP ports on your own bore server',
+    cli: 'bore',
+    install: {
+        linux: 'curl -fsSL https://github.com/ekzhang/bore/releases/download/v0.5.2/bore-v0.5.2-x86_64-unknown-linux-musl.tar.gz | sudo tar xz -C /usr/local/bin',
+        page: 'https://github.com/ekzhang/bore/releases'
+    },
+    fields: [
+        { key: 'server', label: 'Server', placeholder: 'bore.example.com', required: true },
+        { key: 'secret', label: 'Secret', placeholder: 'Shared secret, if the server has one', secret: true }
+    ],
+
+    validateCredentials: credentials => requireFields(bore, credentials),
+    env: credentials => (credentials.secret ? { BORE_SECRET: credentials.secret } : {}),
+
+    createServices(targets, { credentials }) {
+        return Object.fromEntries(targets.map(target => [`bore_${target.service}`, {
+            image: 'ekzhang/bore:latest',
+            command: `local ${target.port} --local-host ${target.service} --to ${credentials.server}`,
+            environment: ['BORE_SECRET'],
+            depends_on: [target.service],
+            labels: sidecarLabels('bore', [target])
+        }]));
+    },
+
+    hostCommand: (target, { credentials }) => ({
+        command: 'bore',
+        args: ['local', String(target.port), '--to', credentials.server]
+    }),
+
+    // The server picks the public port; the client logs "listening at host:port"
+    async discoverUrls({ sidecars, logs }) {
+        const urls = await Promise.all(sidecars.map(async (sidecar) => {
+            const matches = [...stripAnsi(await logs(sidecar.name)).matchAll(/listening at (\S+)/g)];
+            return matches.length > 0
+                ? { service: sidecar.targets[0].service, url: `http://${matches[matches.length - 1][1]}` }
+                : null;
+        }));
+        return urls.filter(Boolean);
+    }
+};
+
+// ========== frp ==========
+
+// Subdomains include the project id so projects sharing a server don't collide
+function frpProxyName(target, projectId) {
+    return `${target.service}-${projectId || 'app'}`.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+}
+
+function frpUrl(target, credentials, projectId) {
+    const port = parseInt(credentials.httpPort) || 80;
+    return `http://${frpProxyName(target, projectId)}.${credentials.domain}${port === 80 ? '' : `:${port}`}`;
+}
+
+// frpc.toml with one http proxy per target; the token is read from FRP_TOKEN at startup
+function buildFrpConfig(targets, { credentials, projectId, host }) {
+    const server = splitServer(credentials.server, 7000);
+    const lines = [
+        `serverAddr = ${JSON.stringify(server.host)}`,
+        `serverPort = ${server.port}`,
+        'auth.token = "{{ .Envs.FRP_TOKEN }}"'
+    ];
+    for (const target of targets) {
+        const name = frpProxyName(target, projectId);
+        lines.push(
+            '',
+            '[[proxies]]',
+            `name = ${JSON.stringify(name)}`,
+            'type = "http"',
+            `localIP = ${JSON.stringify(host ? '127.0.0.1' : target.service)}`,
+            `localPort = ${target.port}`,
+            `subdomain = ${JSON.stringify(name)}`
+        );
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+const frp = {
+    id: 'frp',
+    name: 'frp',
+    description: 'HTTP subdomains on your own frps server',
+    cli: 'frpc',
+    install: {
+        page: 'https://github.com/fatedier/frp/releases'
+    },
+    fields: [
+        { key: 'server', label: 'Server', placeholder: 'frp.example.com:7000', required: true },
+        { key: 'domain', label: 'Subdomain host', placeholder: 'tunnels.example.com', required: true },
+        { key: 'token', label: 'Auth token', placeholder: 'Token configured on frps', secret: true },
+        { key: 'httpPort', label: 'Public HTTP port', placeholder: '80' }
+    ],
+
+    validateCredentials: credentials => requireFields(frp, credentials),
+    env: credentials => ({ FRP_TOKEN: credentials.token || '' }),
+
+    config: {
+        fileName: 'frpc.toml',
+        hostFileName: 'frpc.host.toml',
+        build: buildFrpConfig
+    },
+
+    createServices(targets, { configPath }) {
+        return {
+            frpc: {
+                image: 'snowdreamtech/frpc:latest',
+                environment: ['FRP_TOKEN'],
+                volumes: [`${configPath}:/etc/frp/frpc.toml:ro`],
+                depends_on: targets.map(target => target.service),
+                labels: sidecarLabels('frp', targets)
+            }
+        };
+    },
+
+    hostCommand: (target, { configPath }) => ({
+        command: 'frpc',
+        args: ['-c', `"${configPath}"`]
+    }),
+
+    // Subdomains are fixed, so the URLs are known up front - wait until frpc reports each proxy running
+    async discoverUrls({ sidecars, targets, credentials, projectId, logs }) {
+        const output = stripAnsi(await logs(sidecars[0].name));
+        return targets
+            .filter(target => output.includes(`[${frpProxyName(target, projectId)}] start proxy success`))
+            .map(target => ({ service: target.service, url: frpUrl(target, credentials, projectId) }));
+    }
+};
+
+// ========== Mock ==========
+
+// Offline stand-in: no sidecar, the "public" URLs are the ports published on localhost
+const mock = {
+    id: 'mock',
+    name: 'Local mock',
+    description: 'Offline testing - URLs point at the ports published on this machine',
+    cli: null,
+    fields: [],
+
+    validateCredentials: () => null,
+    env: () => ({}),
+    createServices: () => ({}),
+    hostCommand: () => null,
+
+    async discoverUrls({ targets, publishedPort }) {
+        return targets
+            .map(target => ({ service: target.service, port: publishedPort(target) }))
+            .filter(({ port }) => port)
+            .map(({ service, port }) => ({ service, url: `http://localhost:${port}` }));
+    }
+};
+
+// ========== Registry ==========
+
+const tunnelProviders = { ngrok, cloudflared, bore, frp, mock };
+
+// Unknown ids (a provider removed in a later version) fall back to the default
+function getTunnelProvider(providerId) {
+    return tunnelProviders[providerId] || tunnelProviders[DEFAULT_PROVIDER_ID];
+}
+
+// The provider's sidecars, renamed where they would clash with the user's own services
+function createTunnelServices(provider, targets, options, existingServices = []) {
+    const services = {};
+    for (const [name, service] of Object.entries(provider.createServices(targets, options))) {
+        services[existingServices.includes(name) ? `localdeploy_${name}` : name] = service;
+    }
+    return services;
+}
+
+// Our tunnel sidecars in a compose document: [{ name, providerId, targets }].
+// ngrok services generated before providers existed have no labels, only the image.
+function findTunnelSidecars(doc) {
+    return getServiceNames(doc).map(name => {
+        const providerId = doc.getIn(['services', name, 'labels', PROVIDER_LABEL]);
+        const image = String(doc.getIn(['services', name, 'image']) || '');
+        if (!providerId && !image.startsWith('ngrok/')) return null;
+        return {
+            name,
+            providerId: providerId || 'ngrok',
+            targets: parseTargets(doc.getIn(['services', name, 'labels', TARGETS_LABEL]))
+        };
+    }).filter(Boolean);
+}
+
+module.exports = {
+    DEFAULT_PROVIDER_ID,
+    tunnelProviders,
+    getTunnelProvider,
+    createTunnelServices,
+    findTunnelSidecars
+};
@@ -0,0 +1,115 @@
+import { useEffect, useState } from 'react';
+import './BuildProgressPanel.css';
+import type { BuildProgress, BuildServiceProgress, BuildStep } from '../types/electron';
+
+interface BuildProgressPanelProps {
+    progress: BuildProgress | null;
+    cancelling: boolean;
+    onCancel: () => void;
+}
+
+const serviceIcons: Record<BuildServiceProgress['status'], string> = {
+    pending: '○',
+    building: '◐',
+    done: '✓',
+    failed: '✗',
+    cancelled: '⊘'
+};
+
+function formatDuration(ms: number) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function stepMarker(step: BuildStep, now: number) {
+    if (step.status === 'cached') return 'CACHED';
+    if (step.status === 'running') return formatDuration(now - step.startedAt);
+    if (step.status === 'cancelled') return 'cancelled';
+    return step.durationMs !== null ? `${(step.durationMs / 1000).toFixed(1)}s` : '';
+}
+
+export default function BuildProgressPanel({ progress, cancelling, onCancel }: BuildProgressPanelProps) {
+    const [now, setNow] = useState(() => Date.now());
+    const [expanded, setExpanded] = useState<string | null>(null); // Service whose steps are shown
+    const building = !progress || progress.status === 'building';
+
+    // Elapsed times keep counting while a step prints nothing
+    useEffect(() => {
+        if (!building) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [building]);
+
+    const elapsed = (startedAt: number | null, finishedAt: number | null) =>
+        startedAt ? formatDuration((finishedAt ?? now) - startedAt) : '';
+
+    const failure = progress?.failure;
+
+    return (
+        <div className="build-progress">
+            <div className="build-progress-header">
+                <span className="build-progress-title">
+                    {building ? '🔨 Building images' : progress.status === 'succeeded' ? '✅ Build finished' : progress.status === 'cancelled' ? '⊘ Build cancelled' : '❌ Build failed'}
+                </span>
+                {progress && <span className="build-progress-elapsed">{elapsed(progress.startedAt, progress.finishedAt)}</span>}
+                {building && (
+                    <button className="build-cancel-btn" onClick={onCancel} disabled={cancelling}>
+                        {cancelling ? 'Cancelling...' : '✕ Cancel build'}
+                    </button>
+                )}
+            </div>
+
+            {!progress || progress.services.length === 0 ? (
+                <div className="build-progress-hint">Waiting for build output...</div>
+            ) : (
+                <div className="build-services">
+                    {progress.services.map((service) => {
+                        const finished = service.steps.filter(s => s.status === 'done' || s.status === 'cached').length;
+                        const cached = service.steps.filter(s => s.status === 'cached').length;
+                        const percent = service.status === 'done' ? 100 : service.total ? Math.round((finished / service.total) * 100) : 0;
+                        return (
+                            <div key={service.service} className={`build-service ${service.status}`}>
+                                <div className="build-service-row" onClick={() => setExpanded(expanded === service.service ? null : service.service)}>
+                                    <span className={`build-service-icon ${service.status}`}>{serviceIcons[service.status]}</span>
+                                    <span className="build-service-name">{service.service}</span>
+                                    <div className="build-service-bar">
+                                        <div className="build-service-bar-fill" style={{ width: `${percent}%` }} />
+                                    </div>
+                                    <span className="build-service-count">
+                                        {service.total ? `${finished}/${service.total}` : ''}
+                                        {cached > 0 && ` · ${cached} cached`}
+                                    </span>
+                                    <span className="build-service-elapsed">{elapsed(service.startedAt, service.finishedAt)}</span>
+                                </div>
+                                {service.current && <div className="build-service-current">{service.current}</div>}
+                                {expanded === service.service && service.steps.length > 0 && (
+                                    <div className="build-steps">
+                                        {[...service.steps].sort((a, b) => a.index - b.index).map(step => (
+                                            <div key={step.id} className={`build-step ${step.status}`}>
+                                                <span className="build-step-name" title={step.name}>{step.name}</span>
+                                                <span className="build-step-marker">{stepMarker(step, now)}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {failure && progress?.status === 'failed' && (
+                <div className="build-failure">
+                    <div className="build-failure-title">
+                        {failure.service ? `${failure.service} failed` : 'Build failed'}
+                        {failure.step && ` at ${failure.step}`}
+                        {failure.dockerfileLine !== null && ` (${failure.dockerfile || 'Dockerfile'} line ${failure.dockerfileLine})`}
+                    </div>
+                    {failure.error && <div className="build-failure-error">{failure.error}</div>}
+                    {failure.output.length > 0 && <pre className="build-failure-output">{failure.output.join('\n')}</pre>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,89 @@
+import { useEffect, useState } from 'react';
+import './NgrokProfiles.css';
+import './ContainerEngineSettings.css';
+import type { ContainerEngine } from '../types/electron';
+
+export default function ContainerEngineSettings() {
+    const [engines, setEngines] = useState<ContainerEngine[]>([]);
+    const [activeId, setActiveId] = useState<string | null>(null);
+    const [overrideId, setOverrideId] = useState<string | null>(null);
+    const [loaded, setLoaded] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [reloadCount, setReloadCount] = useState(0); // Bumped after every change
+
+    useEffect(() => {
+        window.electronAPI.getContainerEngine().then((result) => {
+            setEngines(result.engines);
+            setActiveId(result.activeId);
+            setOverrideId(result.overrideId);
+            setLoaded(true);
+        });
+    }, [reloadCount]);
+
+    const handleSelect = async (engineId: string | null) => {
+        setError(null);
+        const result = await window.electronAPI.setContainerEngine(engineId);
+        if (!result.success) {
+            setError(result.error || 'Failed to change the container engine');
+            return;
+        }
+        setReloadCount(count => count + 1);
+    };
+
+    return (
+        <div className="ngrok-profiles-container container-engines">
+            <div className="projects-header">
+                <h2 className="projects-title">Container Engine</h2>
+            </div>
+
+            <p className="profiles-hint">
+                Builds, runs, logs and status checks go through this engine. By default the first installed one
+                is used; pick one to always use it while it is installed.
+            </p>
+
+            {!loaded ? (
+                <div className="profiles-hint">Detecting engines...</div>
+            ) : (
+                <div className="profile-list">
+                    <div className={`profile-row ${overrideId === null ? 'default' : ''}`}>
+                        <div className="engine-info">
+                            <span className="profile-name">Detect automatically</span>
+                            <span className="engine-description">
+                                {activeId
+                                    ? `Using ${engines.find(e => e.id === activeId)?.name}`
+                                    : 'No engine found - projects run natively'}
+                            </span>
+                        </div>
+                        <div className="profile-actions">
+                            {overrideId !== null && (
+                                <button className="profile-btn" onClick={() => handleSelect(null)}>Use</button>
+                            )}
+                        </div>
+                    </div>
+                    {engines.map(engine => (
+                        <div key={engine.id} className={`profile-row ${overrideId === engine.id ? 'default' : ''}`}>
+                            <div className="engine-info">
+                                <div className="profile-info">
+                                    <span className="profile-name">{engine.name}</span>
+                                    {engine.id === activeId && <span className="profile-default-badge">In use</span>}
+                                </div>
+                                <span className={`engine-description ${engine.installed ? '' : 'missing'}`}>
+                                    {engine.installed ? engine.version : 'Not installed'}
+                                </span>
+                            </div>
+                            <div className="profile-actions">
+                                {overrideId !== engine.id && (
+                                    <button className="profile-btn" onClick={() => handleSelect(engine.id)} disabled={!engine.installed}>
+                                        Use
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {error && <div className="profile-error">❌ {error}</div>}
+        </div>
+    );
+}
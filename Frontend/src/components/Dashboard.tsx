@@ -1,25 +1,79 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import './Dashboard.css';
 import ProjectUpload from './ProjectUpload';
 import ProjectsList from './ProjectsList';
-import type { Project, ScannedProject } from '../types/electron';
+import NgrokProfiles from './NgrokProfiles';
+import TunnelProviders from './TunnelProviders';
+import ContainerEngineSettings from './ContainerEngineSettings';
+import type { Project, ProjectStateReport, ScannedProject } from '../types/electron';
+
+// Projects whose containers or processes are gone (crash, Docker restart, app closed
+// meanwhile) are stopped and their tunnel URLs are stale. Reports taken before a project
+// was (re)started describe an earlier run and are skipped. Returns the same array when
+// nothing changed.
+function correctProjects(projects: Project[], reports: ProjectStateReport[]) {
+    let changed = false;
+    const corrected = projects.map((project) => {
+        const report = reports.find(r => r.projectId === project.id);
+        if (!report || project.status !== 'running') return project;
+        if (project.startedAt && report.checkedAt < project.startedAt) return project;
+
+        if (!report.active) {
+            changed = true;
+            return { ...project, status: 'stopped' as const, publicUrl: undefined, publicUrls: undefined };
+        }
+        if (report.tunnelUp === false && project.publicUrl) {
+            changed = true;
+            return { ...project, publicUrl: undefined, publicUrls: undefined };
+        }
+        return project;
+    });
+    return changed ? corrected : projects;
+}
 
 export default function Dashboard() {
-    const [activeTab, setActiveTab] = useState<'upload' | 'projects'>('upload');
+    const [activeTab, setActiveTab] = useState<'upload' | 'projects' | 'tunnels' | 'settings'>('upload');
     const [projects, setProjects] = useState<Project[]>([]);
+    // Latest list for async handlers: several projects can be starting or stopping at once,
+    // and an update made from a stale render would undo the others
+    const projectsRef = useRef<Project[]>([]);
+    // What the reconciler last found for each running project
+    const [projectStates, setProjectStates] = useState<Record<string, ProjectStateReport>>({});
 
     useEffect(() => {
         loadProjects();
     }, []);
 
+    useEffect(() => window.electronAPI.onProjectStates((reports) => {
+        setProjectStates(prev => ({ ...prev, ...Object.fromEntries(reports.map(report => [report.projectId, report])) }));
+
+        const corrected = correctProjects(projectsRef.current, reports);
+        if (corrected !== projectsRef.current) {
+            projectsRef.current = corrected;
+            setProjects(corrected);
+            window.electronAPI.setStoredData('projects', corrected);
+        }
+    }), []);
+
     const loadProjects = async () => {
         const stored = await window.electronAPI.getStoredData('projects');
         if (Array.isArray(stored)) {
+            projectsRef.current = stored as Project[];
             setProjects(stored as Project[]);
+
+            // Containers keep running when the app closes; follow their logs again
+            // from where the project was started
+            (stored as Project[])
+                .filter(p => p.status === 'running' && p.runMode !== 'native' && p.dockerDir)
+                .forEach(p => window.electronAPI.attachProjectLogs(p, p.startedAt));
+
+            // First status check (reported like the periodic ones)
+            window.electronAPI.reconcileProjects();
         }
     };
 
     const saveProjects = async (newProjects: Project[]) => {
+        projectsRef.current = newProjects;
         setProjects(newProjects);
         await window.electronAPI.setStoredData('projects', newProjects);
     };
@@ -28,6 +82,11 @@ export default function Dashboard() {
         dockerDir?: string;
         isTemporary?: boolean;
         generatedFiles?: string[];
+        composeFiles?: string[];
+        id?: string;
+        tunnelProvider?: string;
+        ngrokProfileId?: string;
+        runMode?: 'docker' | 'native';
     }) => {
         // Check for duplicate project (same path)
         const isDuplicate = projects.some(p => p.path === scannedProject.path);
@@ -38,40 +97,31 @@ export default function Dashboard() {
 
         const newProject: Project = {
             ...scannedProject,
-            id: Date.now().toString(),
+            id: scannedProject.id || Date.now().toString(), // Keep the id docker-files/ was created under
             status: 'stopped',
             addedAt: new Date().toISOString(),
             dockerDir: scannedProject.dockerDir,
         };
-        saveProjects([...projects, newProject]);
+        saveProjects([...projectsRef.current, newProject]);
         setActiveTab('projects');
     };
 
     const handleRemoveProject = async (id: string) => {
         const projectToRemove = projects.find(p => p.id === id);
         if (projectToRemove) {
+            // Stop whatever it still has running (only this project's processes) while
+            // its compose files still exist
+            await window.electronAPI.stopProject(projectToRemove);
+
             // Clean up any generated files
             await window.electronAPI.cleanupProjectFiles(projectToRemove);
-
-            // If running, stop it
-            if (projectToRemove.status === 'running' && projectToRemove.dockerDir) {
-                await window.electronAPI.dockerDown(projectToRemove.dockerDir);
-            }
         }
 
-        saveProjects(projects.filter(p => p.id !== id));
-    };
-
-    const handleToggleStatus = (id: string) => {
-        saveProjects(projects.map(p =>
-            p.id === id
-                ? { ...p, status: p.status === 'running' ? 'stopped' : 'running' }
-                : p
-        ));
+        saveProjects(projectsRef.current.filter(p => p.id !== id));
     };
 
     const handleUpdateProject = (updatedProject: Project) => {
-        saveProjects(projects.map(p => p.id === updatedProject.id ? updatedProject : p));
+        saveProjects(projectsRef.current.map(p => p.id === updatedProject.id ? updatedProject : p));
     };
 
     return (
@@ -91,6 +141,18 @@ export default function Dashboard() {
                     >
                         📦 Projects ({projects.length})
                     </button>
+                    <button
+                        className={`tab-btn ${activeTab === 'tunnels' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('tunnels')}
+                    >
+                        🔐 Tunnels
+                    </button>
+                    <button
+                        className={`tab-btn ${activeTab === 'settings' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('settings')}
+                    >
+                        ⚙️ Settings
+                    </button>
                 </nav>
             </header>
 
@@ -101,22 +163,30 @@ export default function Dashboard() {
                 {activeTab === 'projects' && (
                     <ProjectsList
                         projects={projects}
+                        projectStates={projectStates}
                         onRemove={handleRemoveProject}
-                        onToggleStatus={handleToggleStatus}
                         onUpdateProject={handleUpdateProject}
                         onClearAll={async () => {
                             // Clean up all projects
                             for (const p of projects) {
+                                await window.electronAPI.stopProject(p);
                                 await window.electronAPI.cleanupProjectFiles(p);
-                                if (p.status === 'running' && p.dockerDir) {
-                                    await window.electronAPI.dockerDown(p.dockerDir);
-                                }
                             }
                             await window.electronAPI.clearAllProjects();
+                            projectsRef.current = [];
                             setProjects([]);
                         }}
                     />
                 )}
+                {activeTab === 'tunnels' && (
+                    <>
+                        <TunnelProviders />
+                        <NgrokProfiles />
+                    </>
+                )}
+                {activeTab === 'settings' && (
+                    <ContainerEngineSettings />
+                )}
             </main>
         </div>
     );
@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react';
+import './DatabaseCredentials.css';
+import type { DatabaseCredential, Project } from '../types/electron';
+
+interface DatabaseCredentialsProps {
+    project: Project;
+    onClose: () => void;
+}
+
+export default function DatabaseCredentials({ project, onClose }: DatabaseCredentialsProps) {
+    const [databases, setDatabases] = useState<DatabaseCredential[]>([]);
+    const [encrypted, setEncrypted] = useState(true);
+    const [revealed, setRevealed] = useState<Set<string>>(new Set()); // "database:field" of unmasked values
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRotating, setIsRotating] = useState(false);
+    const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+    const [loadedProject] = useState(project); // Load once; status updates on the card don't change credentials
+    const [reloadCount, setReloadCount] = useState(0); // Bumped after a rotation to fetch the new values
+
+    useEffect(() => {
+        const load = async () => {
+            const result = await window.electronAPI.getDbCredentials(loadedProject);
+            if (result.success && result.databases) {
+                setDatabases(result.databases);
+                setEncrypted(result.encrypted !== false);
+            } else {
+                setMessage({ type: 'error', text: result.error || 'Failed to load credentials' });
+            }
+            setIsLoading(false);
+        };
+        load();
+    }, [loadedProject, reloadCount]);
+
+    const toggleReveal = (id: string) => {
+        const next = new Set(revealed);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        setRevealed(next);
+    };
+
+    const handleRotate = async () => {
+        if (!window.confirm('Rotate database passwords? The database volumes are recreated, so all stored data is deleted.')) {
+            return;
+        }
+
+        setIsRotating(true);
+        setMessage(null);
+        const result = await window.electronAPI.rotateDbCredentials(project);
+        setIsRotating(false);
+
+        if (!result.success) {
+            setMessage({ type: 'error', text: result.error || 'Failed to rotate credentials' });
+            return;
+        }
+
+        setRevealed(new Set());
+        setReloadCount(reloadCount + 1);
+        setMessage({ type: 'success', text: 'New credentials generated - start the project to apply them' });
+    };
+
+    const renderValue = (db: DatabaseCredential, field: string, value: string, secret: boolean) => {
+        const id = `${db.name}:${field}`;
+        const masked = secret && !revealed.has(id);
+        return (
+            <div className="db-cred-row" key={field}>
+                <span className="db-cred-label">{field}</span>
+                <code className="db-cred-value">{masked ? '••••••••••••' : value}</code>
+                {secret && (
+                    <button className="db-cred-icon-btn" title={masked ? 'Show value' : 'Hide value'} onClick={() => toggleReveal(id)}>
+                        {masked ? '👁️' : '🙈'}
+                    </button>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div className="db-credentials">
+            <div className="db-credentials-header">
+                <div className="db-credentials-title">🗄️ Database Credentials</div>
+                <button className="db-close-btn" onClick={onClose}>✕</button>
+            </div>
+
+            {isLoading ? (
+                <div className="db-cred-empty">Loading...</div>
+            ) : databases.length === 0 ? (
+                <div className="db-cred-empty">Credentials are created when the Docker files are generated.</div>
+            ) : (
+                <>
+                    {databases.map(db => (
+                        <div key={db.name} className="db-cred-card">
+                            <div className="db-cred-name">
+                                {db.name} <span className="db-cred-host">localhost:{db.hostPort}</span>
+                            </div>
+                            {renderValue(db, 'user', db.user, false)}
+                            {renderValue(db, 'password', db.password, true)}
+                            {db.rootPassword && renderValue(db, 'root password', db.rootPassword, true)}
+                            {renderValue(db, 'database', db.database, false)}
+                            <div className="db-cred-env">
+                                Backend env: {Object.keys(db.connectionEnv).join(', ')}
+                            </div>
+                        </div>
+                    ))}
+
+                    {!encrypted && (
+                        <div className="db-cred-warning">
+                            ⚠️ OS encryption is unavailable - credentials are stored unencrypted.
+                        </div>
+                    )}
+                </>
+            )}
+
+            {message && <div className={`db-cred-message ${message.type}`}>{message.text}</div>}
+
+            <div className="db-cred-actions">
+                <button
+                    className="db-rotate-btn"
+                    onClick={handleRotate}
+                    disabled={isRotating || databases.length === 0 || project.status === 'running'}
+                    title={project.status === 'running' ? 'Stop the project before rotating' : undefined}
+                >
+                    {isRotating ? '⏳ Rotating...' : '🔄 Rotate Passwords'}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -9,13 +9,14 @@ interface Step {
     description: string;
     status: StepStatus;
     version?: string | null;
+    optional?: boolean; // The app still works without it
 }
 
 export default function DependencyCheck({ onReady }: { onReady: () => void }) {
     const [platform, setPlatform] = useState<string>('');
     const [steps, setSteps] = useState<Step[]>([
-        { id: 'docker', name: 'Docker', description: 'Container runtime', status: 'pending' },
-        { id: 'ngrok', name: 'Ngrok', description: 'Secure tunneling', status: 'pending' },
+        { id: 'docker', name: 'Container engine', description: 'Docker or Podman with Compose (optional)', status: 'pending', optional: true },
+        { id: 'tunnel', name: 'Tunnel', description: 'Secure tunneling', status: 'pending' },
         { id: 'node', name: 'Node.js', description: 'JavaScript runtime', status: 'pending' },
     ]);
     const [terminalOutput, setTerminalOutput] = useState<string>('> Initializing system check...\n');
@@ -49,14 +50,20 @@ export default function DependencyCheck({ onReady }: { onReady: () => void }) {
         const plat = await window.electronAPI.getPlatform();
         setPlatform(plat === 'win32' ? 'Windows' : plat === 'darwin' ? 'macOS' : 'Linux');
         setTerminalOutput(prev => prev + `> Platform detected: ${plat === 'win32' ? 'Windows' : plat === 'darwin' ? 'macOS' : 'Linux'}\n`);
-        await checkAllDependencies();
+
+        // The tunnel step checks the default provider's CLI
+        const { providers, defaultProviderId } = await window.electronAPI.listTunnelProviders();
+        const provider = providers.find(p => p.id === defaultProviderId);
+        const checkSteps = steps.map(s => (s.id === 'tunnel' && provider ? { ...s, id: provider.id, name: provider.name } : s));
+        setSteps(checkSteps);
+        await checkAllDependencies(checkSteps);
     };
 
-    const checkAllDependencies = async () => {
+    const checkAllDependencies = async (stepsToCheck: Step[] = steps) => {
         setTerminalOutput(prev => prev + '\n> Starting dependency checks...\n');
 
-        for (let i = 0; i < steps.length; i++) {
-            const step = steps[i];
+        for (let i = 0; i < stepsToCheck.length; i++) {
+            const step = stepsToCheck[i];
 
             setSteps(prev => prev.map((s, idx) =>
                 idx === i ? { ...s, status: 'checking' } : s
@@ -78,6 +85,8 @@ export default function DependencyCheck({ onReady }: { onReady: () => void }) {
 
             if (result.installed) {
                 setTerminalOutput(prev => prev + `✓ Found (${result.version || 'installed'})\n`);
+            } else if (step.optional) {
+                setTerminalOutput(prev => prev + `✗ Not found (optional)\n`);
             } else {
                 setTerminalOutput(prev => prev + `✗ Not found\n`);
             }
@@ -143,7 +152,9 @@ export default function DependencyCheck({ onReady }: { onReady: () => void }) {
         await checkAllDependencies();
     };
 
-    const allReady = steps.every(s => s.status === 'success');
+    // Without Docker, projects run natively as local processes
+    const allReady = steps.every(s => s.status === 'success' || (s.optional && s.status === 'error'));
+    const missingOptional = steps.some(s => s.optional && s.status === 'error');
     const anyChecking = steps.some(s => s.status === 'checking' || s.status === 'installing');
     const anyError = steps.some(s => s.status === 'error');
 
@@ -180,7 +191,7 @@ export default function DependencyCheck({ onReady }: { onReady: () => void }) {
                                     {step.status === 'pending' && step.description}
                                     {step.status === 'checking' && 'Checking...'}
                                     {step.status === 'success' && (step.version || 'Installed')}
-                                    {step.status === 'error' && 'Not found'}
+                                    {step.status === 'error' && (step.optional ? 'Not found - projects will run natively' : 'Not found')}
                                     {step.status === 'installing' && (isPolling ? 'Waiting for install...' : 'Installing...')}
                                 </div>
                             </div>
@@ -216,7 +227,7 @@ export default function DependencyCheck({ onReady }: { onReady: () => void }) {
                         disabled={!allReady || anyChecking}
                         onClick={onReady}
                     >
-                        {anyChecking ? 'Please wait...' : allReady ? 'Continue to App →' : 'Complete installation first'}
+                        {anyChecking ? 'Please wait...' : allReady ? (missingOptional ? 'Continue without Docker →' : 'Continue to App →') : 'Complete installation first'}
                     </button>
                 </div>
             </div>
@@ -0,0 +1,213 @@
+import { useEffect, useState } from 'react';
+import './EnvEditor.css';
+import type { EnvVariable, Project, ServiceEnv } from '../types/electron';
+
+interface EnvEditorProps {
+    project: Project;
+    onClose: () => void;
+}
+
+export default function EnvEditor({ project, onClose }: EnvEditorProps) {
+    const [loadedProject] = useState(project); // Load once; status updates on the card must not discard edits
+    const [services, setServices] = useState<ServiceEnv[]>([]);
+    const [activeService, setActiveService] = useState<string | null>(null);
+    const [revealed, setRevealed] = useState<Set<string>>(new Set()); // "service:index" of unmasked secrets
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isDirty, setIsDirty] = useState(false);
+    const [message, setMessage] = useState<{ type: 'success' | 'error' | 'warning'; text: string } | null>(null);
+
+    useEffect(() => {
+        const load = async () => {
+            const result = await window.electronAPI.getProjectEnv(loadedProject);
+            if (result.success && result.services) {
+                setServices(result.services);
+                setActiveService(result.services[0]?.name || null);
+            } else {
+                setMessage({ type: 'error', text: result.error || 'Failed to load environment' });
+            }
+            setIsLoading(false);
+        };
+        load();
+    }, [loadedProject]);
+
+    const current = services.find(s => s.name === activeService);
+
+    const updateVariables = (update: (variables: EnvVariable[]) => EnvVariable[]) => {
+        setServices(services.map(s => s.name === activeService ? { ...s, variables: update(s.variables) } : s));
+        setIsDirty(true);
+        setMessage(null);
+    };
+
+    const handleChange = (index: number, field: keyof EnvVariable, value: string | boolean) => {
+        updateVariables(variables => variables.map((v, i) => i === index ? { ...v, [field]: value } : v));
+    };
+
+    const handleAdd = () => {
+        updateVariables(variables => [...variables, { key: '', value: '', secret: false }]);
+    };
+
+    const handleRemove = (index: number) => {
+        updateVariables(variables => variables.filter((_, i) => i !== index));
+    };
+
+    // Imported keys replace existing ones; new keys are appended
+    const handleImport = async (filePath: string) => {
+        const result = await window.electronAPI.importEnvFile(filePath);
+        if (!result.success || !result.variables) {
+            setMessage({ type: 'error', text: result.error || 'Failed to import file' });
+            return;
+        }
+
+        const imported = result.variables;
+        updateVariables(variables => {
+            const merged = variables.map(v => {
+                const match = imported.find(i => i.key === v.key);
+                return match ? { ...v, value: match.value, secret: v.secret || match.secret } : v;
+            });
+            return [...merged, ...imported.filter(i => !variables.some(v => v.key === i.key))];
+        });
+        setMessage({ type: 'success', text: `Imported ${imported.length} variable${imported.length !== 1 ? 's' : ''}` });
+    };
+
+    const toggleReveal = (index: number) => {
+        const id = `${activeService}:${index}`;
+        const next = new Set(revealed);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        setRevealed(next);
+    };
+
+    const handleSave = async () => {
+        const duplicates = services.flatMap(s => s.variables
+            .map(v => v.key)
+            .filter((key, i, keys) => key && keys.indexOf(key) !== i)
+            .map(key => `${s.name}: ${key}`));
+        if (duplicates.length > 0) {
+            setMessage({ type: 'error', text: `Duplicate keys - ${duplicates.join(', ')}` });
+            return;
+        }
+
+        setIsSaving(true);
+        const payload = Object.fromEntries(services.map(s => [s.name, s.variables.filter(v => v.key.trim())]));
+        const result = await window.electronAPI.saveProjectEnv(project, payload);
+        setIsSaving(false);
+
+        if (!result.success) {
+            setMessage({ type: 'error', text: result.error || 'Failed to save environment' });
+            return;
+        }
+
+        setIsDirty(false);
+        if (result.warning) {
+            setMessage({ type: 'warning', text: result.warning });
+        } else {
+            setMessage({
+                type: 'success',
+                text: project.status === 'running' ? 'Saved - restart the project to apply' : 'Saved'
+            });
+        }
+    };
+
+    return (
+        <div className="env-editor">
+            <div className="env-editor-header">
+                <div className="env-editor-title">🔑 Environment Variables</div>
+                <button className="env-close-btn" onClick={onClose}>✕</button>
+            </div>
+
+            {isLoading ? (
+                <div className="env-empty">Loading...</div>
+            ) : services.length === 0 ? (
+                <div className="env-empty">No services found in this project's compose file.</div>
+            ) : (
+                <>
+                    <div className="env-service-tabs">
+                        {services.map(service => (
+                            <button
+                                key={service.name}
+                                className={`env-service-tab ${service.name === activeService ? 'active' : ''}`}
+                                onClick={() => setActiveService(service.name)}
+                            >
+                                {service.name}
+                                {service.variables.length > 0 && <span className="env-count">{service.variables.length}</span>}
+                            </button>
+                        ))}
+                    </div>
+
+                    {current && (
+                        <>
+                            {current.sources.length > 0 && (
+                                <div className="env-import">
+                                    Import from:
+                                    {current.sources.map(source => (
+                                        <button key={source.path} className="env-import-btn" onClick={() => handleImport(source.path)}>
+                                            📄 {source.file}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            {current.variables.length === 0 ? (
+                                <div className="env-empty">No variables for {current.name} yet.</div>
+                            ) : (
+                                <div className="env-rows">
+                                    {current.variables.map((variable, index) => {
+                                        const masked = variable.secret && !revealed.has(`${activeService}:${index}`);
+                                        return (
+                                            <div key={index} className="env-row">
+                                                <input
+                                                    className="env-key"
+                                                    placeholder="KEY"
+                                                    value={variable.key}
+                                                    onChange={(e) => handleChange(index, 'key', e.target.value.replace(/\s/g, ''))}
+                                                    spellCheck={false}
+                                                />
+                                                <span className="env-eq">=</span>
+                                                <input
+                                                    className="env-value"
+                                                    type={masked ? 'password' : 'text'}
+                                                    placeholder="value"
+                                                    value={variable.value}
+                                                    onChange={(e) => handleChange(index, 'value', e.target.value)}
+                                                    spellCheck={false}
+                                                />
+                                                {variable.secret && (
+                                                    <button className="env-icon-btn" title={masked ? 'Show value' : 'Hide value'} onClick={() => toggleReveal(index)}>
+                                                        {masked ? '👁️' : '🙈'}
+                                                    </button>
+                                                )}
+                                                <label className="env-secret" title="Mask this value in the editor and store it encrypted">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={variable.secret}
+                                                        onChange={(e) => handleChange(index, 'secret', e.target.checked)}
+                                                    />
+                                                    Secret
+                                                </label>
+                                                <button className="env-icon-btn remove" title="Remove" onClick={() => handleRemove(index)}>🗑️</button>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            )}
+
+                            <div className="env-hint">
+                                PORT is set by the generated config; values here override the generated database settings.
+                            </div>
+                        </>
+                    )}
+
+                    {message && <div className={`env-message ${message.type}`}>{message.text}</div>}
+
+                    <div className="env-actions">
+                        <button className="env-add-btn" onClick={handleAdd} disabled={!current}>➕ Add Variable</button>
+                        <button className="env-save-btn" onClick={handleSave} disabled={isSaving || !isDirty}>
+                            {isSaving ? '⏳ Saving...' : '💾 Save'}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,134 @@
+import { useEffect, useState } from 'react';
+import './NgrokProfiles.css';
+import type { NgrokProfile } from '../types/electron';
+
+interface ProfileForm {
+    id?: string; // Set when editing an existing profile
+    name: string;
+    token: string;
+}
+
+export default function NgrokProfiles() {
+    const [profiles, setProfiles] = useState<NgrokProfile[]>([]);
+    const [form, setForm] = useState<ProfileForm | null>(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [reloadCount, setReloadCount] = useState(0); // Bumped after every change
+
+    useEffect(() => {
+        window.electronAPI.listNgrokProfiles().then(result => setProfiles(result.profiles));
+    }, [reloadCount]);
+
+    const reload = () => setReloadCount(count => count + 1);
+
+    const handleSave = async () => {
+        if (!form) return;
+
+        setIsSaving(true);
+        setError(null);
+        const result = await window.electronAPI.saveNgrokProfile({
+            id: form.id,
+            name: form.name,
+            token: form.token || undefined
+        });
+        setIsSaving(false);
+
+        if (!result.success) {
+            setError(result.error || 'Failed to save profile');
+            return;
+        }
+        setForm(null);
+        reload();
+    };
+
+    const handleRemove = async (profile: NgrokProfile) => {
+        if (!window.confirm(`Remove "${profile.name}"? Projects using it will switch to the default profile.`)) {
+            return;
+        }
+        await window.electronAPI.removeNgrokProfile(profile.id);
+        reload();
+    };
+
+    const handleSetDefault = async (profile: NgrokProfile) => {
+        await window.electronAPI.setDefaultNgrokProfile(profile.id);
+        reload();
+    };
+
+    const handleOpenDashboard = () => {
+        window.electronAPI.openExternal('https://dashboard.ngrok.com/get-started/your-authtoken');
+    };
+
+    return (
+        <div className="ngrok-profiles-container">
+            <div className="projects-header">
+                <h2 className="projects-title">Ngrok Accounts</h2>
+                <button className="action-btn start" onClick={() => { setForm({ name: '', token: '' }); setError(null); }}>
+                    ➕ Add Profile
+                </button>
+            </div>
+
+            <p className="profiles-hint">
+                Each project tunnels through its own profile, or the default one. Tokens are stored encrypted.
+            </p>
+
+            {profiles.length === 0 && !form && (
+                <div className="empty-state">
+                    <div className="empty-icon">🔐</div>
+                    <div className="empty-text">No ngrok accounts yet</div>
+                    <div className="empty-hint">Add a profile with your ngrok auth token to publish projects</div>
+                </div>
+            )}
+
+            <div className="profile-list">
+                {profiles.map(profile => (
+                    <div key={profile.id} className={`profile-row ${profile.isDefault ? 'default' : ''}`}>
+                        <div className="profile-info">
+                            <span className="profile-name">{profile.name}</span>
+                            {profile.isDefault && <span className="profile-default-badge">Default</span>}
+                            <span className="profile-token">{profile.tokenHint || '⚠️ token unreadable'}</span>
+                        </div>
+                        <div className="profile-actions">
+                            {!profile.isDefault && (
+                                <button className="profile-btn" onClick={() => handleSetDefault(profile)}>⭐ Make Default</button>
+                            )}
+                            <button className="profile-btn" onClick={() => { setForm({ id: profile.id, name: profile.name, token: '' }); setError(null); }}>
+                                ✏️ Edit
+                            </button>
+                            <button className="profile-btn remove" onClick={() => handleRemove(profile)}>🗑️</button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {form && (
+                <div className="profile-form">
+                    <div className="profile-form-title">{form.id ? 'Edit Profile' : 'New Profile'}</div>
+                    <input
+                        className="profile-input"
+                        placeholder="Name (e.g. Client demos)"
+                        value={form.name}
+                        onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    />
+                    <input
+                        className="profile-input"
+                        type="password"
+                        placeholder={form.id ? 'New auth token (leave empty to keep the current one)' : 'Ngrok auth token'}
+                        value={form.token}
+                        onChange={(e) => setForm({ ...form, token: e.target.value })}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+                    />
+                    <a href="#" className="profile-link" onClick={(e) => { e.preventDefault(); handleOpenDashboard(); }}>
+                        Where do I find my token?
+                    </a>
+                    {error && <div className="profile-error">❌ {error}</div>}
+                    <div className="profile-form-actions">
+                        <button className="profile-btn" onClick={() => setForm(null)} disabled={isSaving}>Cancel</button>
+                        <button className="profile-btn primary" onClick={handleSave} disabled={isSaving || !form.name.trim()}>
+                            {isSaving ? '⏳ Saving...' : '💾 Save'}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,13 +1,24 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import './ProjectUpload.css';
 import Terminal from './Terminal';
 import NgrokSetup from './NgrokSetup';
+import BuildProgressPanel from './BuildProgressPanel';
+import type { BuildContextEstimate, BuildFailure, BuildProgress, ComposeService, ExposeTarget, NgrokProfile, PackageManagerInfo, PortEvidence, RuntimeVersion, TunnelProvider } from '../types/electron';
 
 // Types
 interface TechStack {
     name: string;
     type: string;
     icon: string;
+    framework?: string;
+    buildTool?: string;
+    outputDir?: string;
+    template?: string; // Dockerfile template chosen by the scanner
+    confidence?: 'high' | 'medium' | 'low';
+    reasons?: string[]; // Evidence the detection was based on
+    packageManager?: PackageManagerInfo;
+    runtime?: RuntimeVersion;
+    baseImages?: string[];
 }
 
 interface Database {
@@ -18,11 +29,19 @@ interface Database {
 
 interface StructureItem {
     name: string;
-    type: 'frontend' | 'backend' | 'root';
+    type: 'frontend' | 'backend' | 'root' | 'library';
     path: string;
+    relativePath?: string;
+    serviceName?: string;
+    workspace?: string;
     techStacks: TechStack[];
     databases: Database[];
     port?: number;
+    portSource?: string;
+    portEvidence?: PortEvidence[];
+    startCommand?: string | null;
+    entrypoint?: string | null;
+    startCommandSource?: string | null;
 }
 
 interface ScannedProject {
@@ -38,12 +57,37 @@ interface ProjectUploadProps {
         dockerDir?: string;
         isTemporary?: boolean;
         generatedFiles?: string[];
+        composeFiles?: string[];
         id?: string;
+        tunnelProvider?: string;
+        ngrokProfileId?: string;
+        runMode?: RunMode;
     }) => void;
 }
 
+type RunMode = 'docker' | 'native';
+
 type ProcessingStep = 'idle' | 'ngrok' | 'generating' | 'building' | 'done';
 
+// Contexts above this size get flagged before building
+const LARGE_CONTEXT_BYTES = 200 * 1024 * 1024;
+
+// What went wrong with a Docker build, for the error line under the form
+function describeBuildFailure(result: { cancelled?: boolean; failure?: BuildFailure | null }) {
+    if (result.cancelled) return 'Build cancelled';
+    const failure = result.failure;
+    if (!failure || !failure.service) return 'Docker build failed. Check terminal for details.';
+    const line = failure.dockerfileLine !== null ? ` (${failure.dockerfile || 'Dockerfile'} line ${failure.dockerfileLine})` : '';
+    return `${failure.service} failed to build${failure.step ? ` at ${failure.step}` : ''}${line}`;
+}
+
+function formatBytes(bytes: number): string {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
 export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
     const [project, setProject] = useState<ScannedProject | null>(null);
     const [isScanning, setIsScanning] = useState(false);
@@ -52,7 +96,26 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
     const [processingStep, setProcessingStep] = useState<ProcessingStep>('idle');
     const [processingMessage, setProcessingMessage] = useState('');
     const [showTerminal, setShowTerminal] = useState(false);
+    const [processingProjectId, setProcessingProjectId] = useState<string | null>(null); // Whose output the terminal shows
     const [saveToProject, setSaveToProject] = useState(false); // Whether to save Docker files to user's project
+    const [composeServices, setComposeServices] = useState<ComposeService[]>([]); // Services in the user's own compose file
+    const [exposeTarget, setExposeTarget] = useState<ExposeTarget | null>(null);
+    const [contextEstimates, setContextEstimates] = useState<BuildContextEstimate[]>([]); // What each build would send to Docker
+    const [ngrokProfiles, setNgrokProfiles] = useState<NgrokProfile[]>([]);
+    const [ngrokProfileId, setNgrokProfileId] = useState<string | null>(null); // Ngrok account for this project
+    const [tunnelProviders, setTunnelProviders] = useState<TunnelProvider[]>([]);
+    const [tunnelProvider, setTunnelProvider] = useState<string | null>(null); // Provider for this project
+    const [dockerAvailable, setDockerAvailable] = useState(true);
+    const [runMode, setRunMode] = useState<RunMode>('docker');
+    const [buildProgress, setBuildProgress] = useState<BuildProgress | null>(null); // Docker build of the project being processed
+    const [isCancelling, setIsCancelling] = useState(false);
+
+    useEffect(() => {
+        if (!processingProjectId) return;
+        return window.electronAPI.onBuildProgress((progress) => {
+            if (progress.projectId === processingProjectId) setBuildProgress(progress);
+        });
+    }, [processingProjectId]);
 
     const handlePortChange = (index: number, newPort: string) => {
         if (!project) return;
@@ -63,7 +126,24 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
         const newStructure = [...project.structure];
         newStructure[index] = {
             ...newStructure[index],
-            port: portNum
+            port: portNum,
+            portSource: 'edited'
+        };
+
+        setProject({
+            ...project,
+            structure: newStructure
+        });
+    };
+
+    const handleStartCommandChange = (index: number, startCommand: string) => {
+        if (!project) return;
+
+        const newStructure = [...project.structure];
+        newStructure[index] = {
+            ...newStructure[index],
+            startCommand,
+            startCommandSource: 'edited'
         };
 
         setProject({
@@ -74,6 +154,7 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
 
     const handleSelectFolder = async () => {
         setError(null);
+        setBuildProgress(null);
         const result = await window.electronAPI.selectFolder();
 
         if (result.success && result.path) {
@@ -83,19 +164,87 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
 
             if (scanResult.success && scanResult.project) {
                 setProject(scanResult.project as ScannedProject);
+                await loadComposeServices(scanResult.project as ScannedProject);
+                await loadContextEstimates(scanResult.project as ScannedProject);
+                await loadNgrokProfiles();
+                await loadTunnelProviders();
+                await loadRunMode();
             } else {
                 setError(scanResult.error || 'Failed to scan project');
             }
         }
     };
 
+    // Read the user's compose file so they can choose which service gets the tunnel
+    const loadComposeServices = async (scanned: ScannedProject) => {
+        setComposeServices([]);
+        setExposeTarget(null);
+        if (!scanned.hasDockerfile) return;
+
+        const result = await window.electronAPI.getComposeServices(scanned.path);
+        if (!result.success || !result.services || result.generatedByUs) return;
+
+        setComposeServices(result.services);
+        const firstWithPort = result.services.find(s => s.ports.length > 0);
+        if (firstWithPort) {
+            setExposeTarget({ service: firstWithPort.name, port: firstWithPort.ports[0] });
+        }
+    };
+
+    // Size up the build contexts our generated Dockerfiles will use
+    const loadContextEstimates = async (scanned: ScannedProject) => {
+        setContextEstimates([]);
+        if (scanned.hasDockerfile) return;
+
+        const result = await window.electronAPI.analyzeBuildContext(scanned);
+        if (result.success && result.units) {
+            setContextEstimates(result.units);
+        }
+    };
+
+    // Preselect the default account; keep the user's choice if it still exists
+    const loadNgrokProfiles = async (selectId?: string) => {
+        const result = await window.electronAPI.listNgrokProfiles();
+        setNgrokProfiles(result.profiles);
+        setNgrokProfileId(current => {
+            const wanted = selectId || current;
+            return result.profiles.some(p => p.id === wanted) ? wanted : result.defaultProfileId;
+        });
+    };
+
+    // Preselect the global default provider
+    const loadTunnelProviders = async () => {
+        const result = await window.electronAPI.listTunnelProviders();
+        setTunnelProviders(result.providers);
+        setTunnelProvider(current => (result.providers.some(p => p.id === current) ? current : result.defaultProviderId));
+    };
+
+    // Docker when it's installed, else native processes
+    const loadRunMode = async () => {
+        const docker = await window.electronAPI.checkDependency('docker');
+        setDockerAvailable(docker.installed);
+        setRunMode(current => (docker.installed ? current : 'native'));
+    };
+
+    const handleExposeServiceChange = (serviceName: string) => {
+        const service = composeServices.find(s => s.name === serviceName);
+        setExposeTarget({ service: serviceName, port: service?.ports[0] || exposeTarget?.port || 0 });
+    };
+
     const handleProcess = async () => {
         if (!project) return;
 
-        // Check if ngrok is configured
-        const ngrokKey = await window.electronAPI.getNgrokKey();
-        if (!ngrokKey) {
-            setShowNgrokSetup(true);
+        // Check the tunnel provider is set up; ngrok tokens can be added right here
+        const providerCheck = await window.electronAPI.checkTunnelProvider({
+            tunnelProvider: tunnelProvider || undefined,
+            ngrokProfileId: ngrokProfileId || undefined
+        });
+        if (!providerCheck.ready) {
+            if (providerCheck.providerId === 'ngrok') {
+                setShowNgrokSetup(true);
+            } else {
+                setError(providerCheck.error);
+            }
             return;
         }
 
@@ -104,10 +253,11 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
 
     const handleNgrokComplete = async (_key: string) => {
         setShowNgrokSetup(false);
+        await loadNgrokProfiles();
         await startProcessing();
     };
 
-    const saveAndNavigate = (projectToSave: ScannedProject, dockerDir: string, isTemporary: boolean = false, generatedFiles: string[] = []) => {
+    const saveAndNavigate = (projectToSave: ScannedProject & { composeFiles?: string[]; tunnelProvider?: string; ngrokProfileId?: string; runMode?: RunMode }, dockerDir: string | undefined, isTemporary: boolean = false, generatedFiles: string[] = []) => {
         // Step 4: Done - add project and navigate
         setProcessingStep('done');
         setProcessingMessage('Setup complete!');
@@ -143,10 +293,10 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
         setProcessingStep('building');
         setProcessingMessage('Building Docker containers...');
         setShowTerminal(true);
-        const buildResult = await window.electronAPI.dockerBuild(dockerDir);
+        const buildResult = await window.electronAPI.dockerBuild(dockerDir, undefined, projectWithId.id);
 
         if (!buildResult.success) {
-            throw new Error('Docker build failed. Check terminal for details.');
+            throw new Error(describeBuildFailure(buildResult));
         }
 
         // Apply to project only if user requested
@@ -158,24 +308,45 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
         saveAndNavigate(projectWithId, dockerDir, !saveToProject, generatedFiles);
     };
 
+    // Install and build every unit on this machine; no Docker files are generated
+    const prepareNative = async (projectWithId: ScannedProject & { id: string }) => {
+        setProcessingStep('building');
+        setProcessingMessage('Installing dependencies and building...');
+        setShowTerminal(true);
+
+        const prepareResult = await window.electronAPI.nativePrepare(projectWithId);
+        if (!prepareResult.success) {
+            throw new Error(prepareResult.error || 'Native build failed. Check terminal for details.');
+        }
+
+        saveAndNavigate({ ...projectWithId, runMode: 'native' }, undefined);
+    };
+
     const startProcessing = async () => {
         if (!project) return;
 
         try {
             const projectWithId = {
                 ...project,
-                id: Date.now().toString()
+                id: Date.now().toString(),
+                tunnelProvider: tunnelProvider || undefined,
+                ngrokProfileId: ngrokProfileId || undefined
             };
+            setProcessingProjectId(projectWithId.id);
+            setBuildProgress(null);
+            setIsCancelling(false);
 
             let dockerDir: string;
 
-            if (project.hasDockerfile) {
+            if (runMode === 'native') {
+                await prepareNative(projectWithId);
+            } else if (project.hasDockerfile) {
                 // ========== Has Docker → Check status ==========
                 setProcessingStep('generating');
                 setProcessingMessage('Using existing Docker configuration...');
                 setShowTerminal(true);
 
-                const existingResult = await window.electronAPI.setupExistingDocker(projectWithId);
+                const existingResult = await window.electronAPI.setupExistingDocker(projectWithId, exposeTarget || undefined);
 
                 // Check if we need to regenerate our own old file
                 if (existingResult.regenerate) {
@@ -195,24 +366,19 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
                 }
 
                 dockerDir = existingResult.dockerDir || project.path;
+                const composeFiles = existingResult.composeFiles || [];
 
-                // Build existing
+                // Build the user's services together with our ngrok override
                 setProcessingStep('building');
                 setProcessingMessage('Building Docker containers...');
 
-                const buildResult = await window.electronAPI.dockerBuild(dockerDir);
+                const buildResult = await window.electronAPI.dockerBuild(dockerDir, composeFiles, projectWithId.id);
                 if (!buildResult.success) {
-                    throw new Error('Docker build failed');
+                    throw new Error(describeBuildFailure(buildResult));
                 }
 
-                // Prompt to apply if successful
-                const applyToProject = window.confirm('Docker files validated. Add to project?');
-                if (applyToProject) {
-                    await window.electronAPI.applyDockerToProject(projectWithId, dockerDir);
-                }
-
-                // Existing docker means it's not temporary
-                saveAndNavigate(projectWithId, dockerDir, false, []);
+                // The override lives in the app's folder, so the user's project is untouched
+                saveAndNavigate({ ...projectWithId, composeFiles }, dockerDir, false, composeFiles.slice(1));
 
             } else {
                 // ========== No Docker → Generate New ==========
@@ -226,6 +392,13 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
         }
     };
 
+    // Kills the build's whole process tree; the build then fails as cancelled
+    const handleCancelBuild = async () => {
+        if (!processingProjectId) return;
+        setIsCancelling(true);
+        await window.electronAPI.cancelBuild(processingProjectId);
+    };
+
     const isProcessing = processingStep !== 'idle';
 
     return (
@@ -240,7 +413,7 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
                     <div className="drop-zone-icon">📁</div>
                     <div className="drop-zone-text">Click to select your project folder</div>
                     <div className="drop-zone-hint">
-                        We'll automatically detect frontend/backend structure, tech stack, and databases
+                        We'll automatically detect every service (including monorepo workspaces), tech stack, and databases
                     </div>
                     <button className="select-btn" onClick={(e) => { e.stopPropagation(); handleSelectFolder(); }}>
                         Select Folder
@@ -268,34 +441,105 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
                                         {item.type}
                                     </span>
                                     <span className="structure-name">{item.name}</span>
+                                    {item.serviceName && item.type !== 'library' && (
+                                        <span className="structure-service">service: {item.serviceName}</span>
+                                    )}
+                                    {item.workspace && (
+                                        <span className="structure-service">workspace: {item.workspace === '.' ? 'root' : item.workspace}</span>
+                                    )}
                                 </div>
                                 <div className="tech-stack-list">
                                     {item.techStacks.map((tech, techIndex) => (
                                         <span key={techIndex} className="tech-badge">
                                             <span className="tech-icon">{tech.icon}</span>
                                             {tech.name}
+                                            {tech.confidence && (
+                                                <span className={`confidence-badge ${tech.confidence}`}>{tech.confidence}</span>
+                                            )}
                                         </span>
                                     ))}
                                 </div>
-                                <div className="port-config" style={{ marginTop: '10px' }}>
-                                    <label style={{ fontSize: '0.85em', color: '#64748b', display: 'flex', alignItems: 'center', gap: '8px' }}>
-                                        Internal Port:
-                                        <input
-                                            type="number"
-                                            value={item.port || ''}
-                                            onChange={(e) => handlePortChange(index, e.target.value)}
-                                            disabled={isProcessing}
-                                            style={{
-                                                width: '80px',
-                                                padding: '4px 8px',
-                                                border: '1px solid #e2e8f0',
-                                                borderRadius: '4px',
-                                                fontSize: '1em'
-                                            }}
-                                        />
-                                        <span style={{ fontSize: '0.85em', color: '#94a3b8' }}>(Edit if specific port needed)</span>
-                                    </label>
-                                </div>
+                                {item.techStacks[0]?.reasons && item.techStacks[0].reasons.length > 0 && (
+                                    <div className="detection-details">
+                                        {(item.techStacks[0].buildTool || item.techStacks[0].outputDir || item.techStacks[0].packageManager) && (
+                                            <div className="detection-meta">
+                                                {item.techStacks[0].buildTool && <span>Build: {item.techStacks[0].buildTool}</span>}
+                                                {item.techStacks[0].outputDir && <span>Output: {item.techStacks[0].outputDir}/</span>}
+                                                {item.techStacks[0].packageManager && (
+                                                    <span title={item.techStacks[0].packageManager.source}>
+                                                        Packages: {item.techStacks[0].packageManager.name}
+                                                        {item.techStacks[0].packageManager.version && `@${item.techStacks[0].packageManager.version}`}
+                                                        {item.techStacks[0].packageManager.lockfile ? ` (${item.techStacks[0].packageManager.lockfile})` : ' (no lockfile)'}
+                                                    </span>
+                                                )}
+                                            </div>
+                                        )}
+                                        {item.techStacks[0].runtime && (
+                                            <div className="detection-meta">
+                                                <span className={item.techStacks[0].runtime.pinned ? 'runtime-pinned' : ''}>
+                                                    Runtime: {item.techStacks[0].runtime.name} {item.techStacks[0].runtime.version}
+                                                    {` (${item.techStacks[0].runtime.pinned ? item.techStacks[0].runtime.source : 'not pinned, using default'})`}
+                                                </span>
+                                                {item.techStacks[0].baseImages && <span>Images: {item.techStacks[0].baseImages.join(', ')}</span>}
+                                            </div>
+                                        )}
+                                        <ul className="detection-reasons">
+                                            {item.techStacks[0].reasons.map((reason, reasonIndex) => (
+                                                <li key={reasonIndex}>{reason}</li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+                                {item.type !== 'library' && (
+                                    <div className="port-config" style={{ marginTop: '10px' }}>
+                                        <label style={{ fontSize: '0.85em', color: '#64748b', display: 'flex', alignItems: 'center', gap: '8px' }}>
+                                            Internal Port:
+                                            <input
+                                                type="number"
+                                                value={item.port || ''}
+                                                onChange={(e) => handlePortChange(index, e.target.value)}
+                                                disabled={isProcessing}
+                                                style={{
+                                                    width: '80px',
+                                                    padding: '4px 8px',
+                                                    border: '1px solid #e2e8f0',
+                                                    borderRadius: '4px',
+                                                    fontSize: '1em'
+                                                }}
+                                            />
+                                            <span style={{ fontSize: '0.85em', color: '#94a3b8' }}>
+                                                {item.portSource ? `(from ${item.portSource})` : '(Edit if specific port needed)'}
+                                            </span>
+                                        </label>
+                                        {item.portEvidence && item.portEvidence.length > 0 && (
+                                            <ul className="port-evidence">
+                                                {item.portEvidence.map((evidence, evidenceIndex) => (
+                                                    <li key={evidenceIndex} className={evidence.port === item.port ? 'selected' : ''}>
+                                                        {evidence.port} — {evidence.source}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </div>
+                                )}
+                                {item.type !== 'library' && item.startCommand != null && (
+                                    <div className="start-command-config">
+                                        <label>
+                                            Start command:
+                                            <input
+                                                type="text"
+                                                value={item.startCommand}
+                                                onChange={(e) => handleStartCommandChange(index, e.target.value)}
+                                                disabled={isProcessing}
+                                                spellCheck={false}
+                                            />
+                                        </label>
+                                        <div className="start-command-meta">
+                                            {item.entrypoint && <span>Entrypoint: {item.entrypoint}</span>}
+                                            {item.startCommandSource && <span>From: {item.startCommandSource}</span>}
+                                        </div>
+                                    </div>
+                                )}
                             </div>
                         ))}
                     </div>
@@ -316,36 +560,186 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
                         </div>
                     )}
 
-                    {project.hasDockerfile ? (
+                    {runMode === 'native' ? (
                         <div className="docker-badge">
-                            🐳 Dockerfile detected - Will use existing configuration
+                            💻 Runs without Docker - each service starts from its start command on this machine
+                            {project.databases.some(db => db.image) && ' (databases are not started)'}
                         </div>
-                    ) : (
-                        <div className="docker-options" style={{ marginTop: '15px', padding: '10px', background: '#f8fafc', borderRadius: '6px', border: '1px solid #e2e8f0' }}>
-                            <label className="checkbox-label" style={{ display: 'flex', alignItems: 'center', gap: '10px', cursor: 'pointer', userSelect: 'none' }}>
-                                <input
-                                    type="checkbox"
-                                    checked={saveToProject}
-                                    onChange={(e) => setSaveToProject(e.target.checked)}
-                                    style={{ width: '18px', height: '18px', cursor: 'pointer' }}
-                                />
-                                <div>
-                                    <div style={{ fontWeight: 500, color: '#334155' }}>Save Docker files to my project</div>
-                                    <div style={{ fontSize: '0.85em', color: '#64748b', marginTop: '2px' }}>
-                                        If unchecked, files will be temporary and deleted when you remove the project.
+                    ) : project.hasDockerfile ? (
+                        <>
+                            <div className="docker-badge">
+                                🐳 Dockerfile detected - Will use existing configuration
+                            </div>
+                            {composeServices.length > 0 && (
+                                <div className="expose-config">
+                                    <div className="expose-title">🌐 Expose through the tunnel</div>
+                                    <div className="expose-hint">
+                                        Your compose file stays untouched - the tunnel is added with a separate override file.
+                                    </div>
+                                    <div className="expose-fields">
+                                        <label>
+                                            Service
+                                            <select
+                                                value={exposeTarget?.service || ''}
+                                                onChange={(e) => handleExposeServiceChange(e.target.value)}
+                                                disabled={isProcessing}
+                                            >
+                                                <option value="" disabled>Select a service</option>
+                                                {composeServices.map(service => (
+                                                    <option key={service.name} value={service.name}>
+                                                        {service.name}{service.image ? ` (${service.image})` : ''}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                        <label>
+                                            Container Port
+                                            <input
+                                                type="number"
+                                                list="expose-port-options"
+                                                value={exposeTarget?.port || ''}
+                                                onChange={(e) => exposeTarget && setExposeTarget({ ...exposeTarget, port: parseInt(e.target.value) || 0 })}
+                                                disabled={isProcessing || !exposeTarget}
+                                            />
+                                            <datalist id="expose-port-options">
+                                                {(composeServices.find(s => s.name === exposeTarget?.service)?.ports || []).map(port => (
+                                                    <option key={port} value={port} />
+                                                ))}
+                                            </datalist>
+                                        </label>
                                     </div>
                                 </div>
+                            )}
+                        </>
+                    ) : (
+                        <>
+                            {contextEstimates.length > 0 && (
+                                <div className="context-section">
+                                    <div className="context-title">📦 Build Context</div>
+                                    {contextEstimates.map(estimate => (
+                                        <div key={estimate.service} className="context-unit">
+                                            <div className="context-summary">
+                                                <span className="context-service">{estimate.service}</span>
+                                                <span className={estimate.bytes > LARGE_CONTEXT_BYTES ? 'context-size large' : 'context-size'}>
+                                                    ~{formatBytes(estimate.bytes)}{estimate.truncated ? '+' : ''}
+                                                </span>
+                                                <span className="context-files">
+                                                    {estimate.fileCount}{estimate.truncated ? '+' : ''} files, {estimate.excludedCount} ignored
+                                                </span>
+                                            </div>
+                                            {estimate.bytes > LARGE_CONTEXT_BYTES && estimate.largestEntries.length > 0 && (
+                                                <div className="context-largest">
+                                                    Largest: {estimate.largestEntries.map(e => `${e.name} (${formatBytes(e.bytes)})`).join(', ')}
+                                                </div>
+                                            )}
+                                            {estimate.sensitiveFiles.length > 0 && (
+                                                <div className="context-warning">
+                                                    ⚠️ Would be copied into the image: {estimate.sensitiveFiles.join(', ')}
+                                                    <div className="context-hint">Add them to .dockerignore, or pass values as environment variables instead.</div>
+                                                </div>
+                                            )}
+                                            {estimate.excludedSensitiveFiles.length > 0 && (
+                                                <div className="context-excluded">
+                                                    🔒 Kept out: {estimate.excludedSensitiveFiles.join(', ')}
+                                                </div>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            <div className="docker-options" style={{ marginTop: '15px', padding: '10px', background: '#f8fafc', borderRadius: '6px', border: '1px solid #e2e8f0' }}>
+                                <label className="checkbox-label" style={{ display: 'flex', alignItems: 'center', gap: '10px', cursor: 'pointer', userSelect: 'none' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={saveToProject}
+                                        onChange={(e) => setSaveToProject(e.target.checked)}
+                                        style={{ width: '18px', height: '18px', cursor: 'pointer' }}
+                                    />
+                                    <div>
+                                        <div style={{ fontWeight: 500, color: '#334155' }}>Save Docker files to my project</div>
+                                        <div style={{ fontSize: '0.85em', color: '#64748b', marginTop: '2px' }}>
+                                            If unchecked, files will be temporary and deleted when you remove the project.
+                                        </div>
+                                    </div>
+                                </label>
+                            </div>
+                        </>
+                    )}
+
+                    <div className="expose-config">
+                        <div className="expose-title">⚙️ Run Mode</div>
+                        {!dockerAvailable && (
+                            <div className="expose-hint">Docker is not installed, so services run as local processes.</div>
+                        )}
+                        <div className="expose-fields">
+                            <label>
+                                Run with
+                                <select
+                                    value={runMode}
+                                    onChange={(e) => setRunMode(e.target.value as RunMode)}
+                                    disabled={isProcessing}
+                                >
+                                    <option value="docker" disabled={!dockerAvailable}>Docker containers</option>
+                                    <option value="native">Native processes (no Docker)</option>
+                                </select>
                             </label>
                         </div>
+                    </div>
+
+                    {tunnelProviders.length > 0 && (
+                        <div className="expose-config">
+                            <div className="expose-title">🔐 Tunnel</div>
+                            <div className="expose-fields">
+                                <label>
+                                    Provider
+                                    <select
+                                        value={tunnelProvider || ''}
+                                        onChange={(e) => setTunnelProvider(e.target.value)}
+                                        disabled={isProcessing}
+                                    >
+                                        {tunnelProviders.map(provider => (
+                                            <option key={provider.id} value={provider.id}>
+                                                {provider.name}{provider.isDefault ? ' (default)' : ''}{provider.configured ? '' : ' - not set up'}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </label>
+                                {tunnelProvider === 'ngrok' && ngrokProfiles.length > 1 && (
+                                    <label>
+                                        Ngrok profile
+                                        <select
+                                            value={ngrokProfileId || ''}
+                                            onChange={(e) => setNgrokProfileId(e.target.value)}
+                                            disabled={isProcessing}
+                                        >
+                                            {ngrokProfiles.map(profile => (
+                                                <option key={profile.id} value={profile.id}>
+                                                    {profile.name}{profile.isDefault ? ' (default)' : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                )}
+                            </div>
+                        </div>
                     )}
 
                     {isProcessing && (
                         <div className="processing-status">
                             <div className="processing-spinner"></div>
                             <span>{processingMessage}</span>
+                            {processingStep === 'building' && runMode === 'native' && (
+                                <button className="processing-cancel-btn" onClick={handleCancelBuild} disabled={isCancelling}>
+                                    {isCancelling ? 'Cancelling...' : '✕ Cancel'}
+                                </button>
+                            )}
                         </div>
                     )}
 
+                    {buildProgress && (
+                        <BuildProgressPanel progress={buildProgress} cancelling={isCancelling} onCancel={handleCancelBuild} />
+                    )}
+
                     <div className="action-buttons">
                         <button
                             className="deploy-btn"
@@ -359,6 +753,8 @@ export default function ProjectUpload({ onProjectAdded }: ProjectUploadProps) {
                     {showTerminal && (
                         <div className="terminal-wrapper" style={{ marginTop: '20px' }}>
                             <Terminal
+                                key={processingProjectId}
+                                projectId={processingProjectId}
                                 publicUrl={null}
                                 isRunning={isProcessing}
                                 onStop={() => setShowTerminal(false)} // Use Stop to close/hide for now
@@ -1,19 +1,74 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import './Dashboard.css';
 import Terminal from './Terminal';
-import type { Project } from '../types/electron';
+import EnvEditor from './EnvEditor';
+import DatabaseCredentials from './DatabaseCredentials';
+import TunnelSettings from './TunnelSettings';
+import ReadinessSettings from './ReadinessSettings';
+import TunnelMetrics from './TunnelMetrics';
+import type { NgrokProfile, Project, ProjectStateReport, PublicUrl, ReadinessProgress, ServiceState, TunnelProvider } from '../types/electron';
 
 interface ProjectsListProps {
     projects: Project[];
+    projectStates: Record<string, ProjectStateReport>; // Latest reconciler report per running project
     onRemove: (id: string) => void;
-    onToggleStatus: (id: string) => void;
     onUpdateProject: (project: Project) => void;
     onClearAll: () => void;
 }
 
-export default function ProjectsList({ projects, onRemove, onToggleStatus, onUpdateProject, onClearAll }: ProjectsListProps) {
+const stateLabels: Record<ProjectStateReport['state'], string> = {
+    stopped: '🔴 Stopped',
+    starting: '🟡 Starting',
+    running: '🟢 Running',
+    healthy: '🟢 Healthy',
+    unhealthy: '🟠 Unhealthy',
+    partial: '🟠 Partially running',
+    exited: '🔴 Exited'
+};
+
+// Badge text: the reconciled state while running, else the saved status
+function describeStatus(project: Project, report?: ProjectStateReport) {
+    if (project.status !== 'running') return '🔴 Stopped';
+    if (!report) return '🟢 Running';
+    return report.exitCode ? `${stateLabels[report.state]} (code ${report.exitCode})` : stateLabels[report.state];
+}
+
+function describeService({ state, health, exitCode }: ServiceState) {
+    if (state === 'running') return health || 'running';
+    if (state === 'exited') return `exited (${exitCode ?? '?'})`;
+    return state;
+}
+
+// Badge next to a public URL: ready only once it answered through the tunnel
+function describeReadiness(progress: ReadinessProgress) {
+    if (progress.state === 'failed') return { label: '❌ not responding', className: 'failed' };
+    if (progress.state === 'ready' && progress.stage === 'tunnel') return { label: '✅ ready', className: 'ready' };
+    return { label: '⏳ checking', className: 'waiting' };
+}
+
+export default function ProjectsList({ projects, projectStates, onRemove, onUpdateProject, onClearAll }: ProjectsListProps) {
     const [expandedProject, setExpandedProject] = useState<string | null>(null);
-    const [runningProject, setRunningProject] = useState<string | null>(null);
+    const [startingProjects, setStartingProjects] = useState<string[]>([]); // Projects can start side by side
+    const [envProject, setEnvProject] = useState<string | null>(null); // Project whose env editor is open
+    const [credentialsProject, setCredentialsProject] = useState<string | null>(null); // Project whose DB credentials are open
+    const [tunnelProject, setTunnelProject] = useState<string | null>(null); // Project whose tunnel settings are open
+    const [ngrokProfiles, setNgrokProfiles] = useState<NgrokProfile[]>([]);
+    const [tunnelProviders, setTunnelProviders] = useState<TunnelProvider[]>([]);
+    const [readinessProject, setReadinessProject] = useState<string | null>(null); // Project whose readiness probes are open
+    const [metricsProject, setMetricsProject] = useState<string | null>(null); // Project whose tunnel metrics are open
+    const [readiness, setReadiness] = useState<Record<string, Record<string, ReadinessProgress>>>({}); // projectId -> service -> latest check
+
+    useEffect(() => {
+        window.electronAPI.listNgrokProfiles().then(result => setNgrokProfiles(result.profiles));
+        window.electronAPI.listTunnelProviders().then(result => setTunnelProviders(result.providers));
+    }, []);
+
+    useEffect(() => window.electronAPI.onReadinessProgress((progress) => {
+        setReadiness(prev => ({
+            ...prev,
+            [progress.projectId]: { ...prev[progress.projectId], [progress.service]: progress }
+        }));
+    }), []);
 
     if (projects.length === 0) {
         return (
@@ -27,26 +82,75 @@ export default function ProjectsList({ projects, onRemove, onToggleStatus, onUpd
         );
     }
 
-    const handleStart = async (project: Project) => {
+    // The project's own provider, else the global default
+    const getProviderId = (project: Project) =>
+        (tunnelProviders.some(p => p.id === project.tunnelProvider) ? project.tunnelProvider : tunnelProviders.find(p => p.isDefault)?.id) || 'ngrok';
+
+    // The URL is opened only once every exposed service answers through its tunnel;
+    // until then the card shows what the checks are waiting for
+    const openWhenReady = async (project: Project, urls: PublicUrl[]) => {
+        const result = await window.electronAPI.waitForReady(project, urls);
+        if (result.success) {
+            window.electronAPI.openExternal(urls[0].url);
+            return;
+        }
+        const failures = result.services.filter(service => !service.ready && service.detail !== 'stopped');
+        if (failures.length > 0) {
+            alert(
+                `The public URL is not ready, so it was not opened:\n\n` +
+                failures.map(service => `• ${service.service}: ${service.detail}`).join('\n') +
+                `\n\nCheck the terminal for the service output.`
+            );
+        }
+    };
+
+    // Native projects: every unit as a local process, the public URL from a host tunnel
+    const startNative = async (project: Project) => {
+        const providerCheck = await window.electronAPI.checkTunnelProvider(project);
+        if (!providerCheck.ready) {
+            alert(`Tunnel not ready: ${providerCheck.error}`);
+            return;
+        }
+
+        const result = await window.electronAPI.nativeStart(project);
+        if (!result.success) {
+            alert(`Failed to start: ${result.error}`);
+            return;
+        }
+
+        onUpdateProject({
+            ...project,
+            status: 'running',
+            publicUrl: result.url,
+            publicUrls: result.urls
+        });
+        if (result.url) {
+            await openWhenReady(project, result.urls && result.urls.length > 0 ? result.urls : [{ service: project.name, url: result.url }]);
+        } else {
+            alert('Started, but no public URL was found yet. Check terminal for status.');
+        }
+    };
+
+    const startDocker = async (project: Project) => {
         if (!project.dockerDir) {
             alert('Docker configuration not found. Please re-process this project.');
             return;
         }
 
-        setRunningProject(project.id);
-        setExpandedProject(project.id);
+        // Check the provider's credentials and switch the sidecars if the provider changed
+        const tunnelResult = await window.electronAPI.prepareTunnel(project);
+        if (!tunnelResult.success) {
+            alert(`Tunnel not ready: ${tunnelResult.error}`);
+            return;
+        }
 
         // Check ports defined in docker-compose.yml
         let portsToCheck = [3000, 8080];
-        let detectedNgrokApiPort = 4040; // Default
 
-        const portsResult = await window.electronAPI.getDockerPorts(project.dockerDir);
+        const portsResult = await window.electronAPI.getDockerPorts(project.dockerDir, project.composeFiles);
 
         if (portsResult.success && portsResult.ports && portsResult.ports.length > 0) {
             portsToCheck = portsResult.ports;
-            if (portsResult.ngrokApiPort) {
-                detectedNgrokApiPort = portsResult.ngrokApiPort;
-            }
         }
 
 
@@ -80,80 +184,77 @@ export default function ProjectsList({ projects, onRemove, onToggleStatus, onUpd
 
             // Update Docker configuration
             const mappings = conflictingPorts.map(p => ({ oldPort: p.port, newPort: p.newPort }));
-            const updateResult = await window.electronAPI.updateDockerPorts(project.dockerDir, mappings);
+            const updateResult = await window.electronAPI.updateDockerPorts(project.dockerDir, mappings, project.composeFiles);
 
             if (!updateResult.success) {
                 alert(`Failed to update Docker configuration: ${updateResult.error}`);
-                setRunningProject(null);
                 return;
             }
         }
 
         // Start Docker containers
-        await window.electronAPI.dockerUp(project.dockerDir);
-
-        // Wait a bit for ngrok to start
-        await new Promise(resolve => setTimeout(resolve, 3000));
-
-        // Determine Ngrok Inspection Port
-        // 1. Start with what we parsed from the file (which might be a random port like 4123)
-        let ngrokApiPort = detectedNgrokApiPort;
-
-        // 2. If that port was found to be in use and we switched it, use the NEW port
-        if (conflictingPorts.length > 0) {
-            const conflict = conflictingPorts.find(p => p.port === detectedNgrokApiPort);
-            if (conflict) {
-                ngrokApiPort = conflict.newPort;
-                console.log(`Ngrok API port conflict detected. Switched from ${detectedNgrokApiPort} to ${ngrokApiPort}`);
-            }
-        }
+        await window.electronAPI.dockerUp(project.dockerDir, project.composeFiles, project);
 
-        console.log(`Checking Ngrok API on port ${ngrokApiPort}`);
-
-        // Get the public URL using the specific inspection port
-        // Helper to retry getting Ngrok URL
-        const getUrlWithRetry = async (apiPort: number, retries = 5) => {
+        // Get the public URLs from the provider the project's sidecars run.
+        // Ports are read from the compose files, so remapped conflicts are picked up.
+        // Whether the app behind them is up is checked separately, before opening.
+        const getUrlWithRetry = async (retries = 10) => {
             for (let i = 0; i < retries; i++) {
-                const result = await window.electronAPI.getNgrokUrl(apiPort);
+                const result = await window.electronAPI.getTunnelUrls(project);
                 if (result.success && result.url) {
                     return result;
                 }
                 if (i < retries - 1) {
-                    console.warn(`Attempt ${i + 1}/${retries}: Could not find ngrok tunnel on port ${apiPort}. Retrying in 2s...`);
+                    console.warn(`Attempt ${i + 1}/${retries}: Could not find the tunnel (${result.error}). Retrying in 2s...`);
                     await new Promise(resolve => setTimeout(resolve, 2000));
                 }
             }
             return { success: false, error: 'Max retries reached' };
         };
 
-        const urlResult = await getUrlWithRetry(ngrokApiPort);
+        const urlResult = await getUrlWithRetry();
 
         if (urlResult.success && urlResult.url) {
+            const urls = 'urls' in urlResult && urlResult.urls ? urlResult.urls : [{ service: project.name, url: urlResult.url }];
             onUpdateProject({
                 ...project,
                 status: 'running',
-                publicUrl: urlResult.url
+                publicUrl: urlResult.url,
+                publicUrls: 'urls' in urlResult ? urlResult.urls : undefined
             });
-            // Auto-open the URL
-            window.electronAPI.openExternal(urlResult.url);
+            await openWhenReady(project, urls);
         } else {
-            alert(`Started, but Ngrok tunnel not found on internal API port ${ngrokApiPort}. Check terminal for status.`);
+            onUpdateProject({ ...project, status: 'running' });
+            alert('Started, but no public URL was found yet. Check terminal for status.');
         }
+    };
 
-        onToggleStatus(project.id);
+    const handleStart = async (project: Project) => {
+        setStartingProjects(prev => [...prev, project.id]);
+        setReadiness(prev => ({ ...prev, [project.id]: {} }));
+        setExpandedProject(project.id);
+        // Saved with the running project, so logs can be picked up from here after a restart
+        const started = { ...project, startedAt: new Date().toISOString() };
+        try {
+            if (project.runMode === 'native') {
+                await startNative(started);
+            } else {
+                await startDocker(started);
+            }
+        } finally {
+            setStartingProjects(prev => prev.filter(id => id !== project.id));
+        }
     };
 
+    // Stops this project's containers and processes only - other projects keep running
     const handleStop = async (project: Project) => {
-        if (project.dockerDir) {
-            await window.electronAPI.dockerDown(project.dockerDir);
-        }
-        setRunningProject(null);
+        await window.electronAPI.stopProject(project);
         onUpdateProject({
             ...project,
             status: 'stopped',
-            publicUrl: undefined
+            publicUrl: undefined,
+            publicUrls: undefined
         });
-        onToggleStatus(project.id);
     };
 
     const handleOpenUrl = (url: string) => {
@@ -188,8 +289,37 @@ export default function ProjectsList({ projects, onRemove, onToggleStatus, onUpd
                                 <div className="project-path">{project.path}</div>
                             </div>
                             <div className="project-status">
-                                <span className={`status-badge ${project.status}`}>
-                                    {project.status === 'running' ? '🟢 Running' : '🔴 Stopped'}
+                                {tunnelProviders.length > 0 && (
+                                    <select
+                                        className="profile-select"
+                                        title="Tunnel provider for this project"
+                                        value={getProviderId(project)}
+                                        onChange={(e) => onUpdateProject({ ...project, tunnelProvider: e.target.value })}
+                                        disabled={project.status === 'running'}
+                                    >
+                                        {tunnelProviders.map(provider => (
+                                            <option key={provider.id} value={provider.id}>🌐 {provider.name}</option>
+                                        ))}
+                                    </select>
+                                )}
+                                {ngrokProfiles.length > 1 && getProviderId(project) === 'ngrok' && (
+                                    <select
+                                        className="profile-select"
+                                        title="Ngrok account used for this project's tunnel"
+                                        value={ngrokProfiles.some(p => p.id === project.ngrokProfileId) ? project.ngrokProfileId : ngrokProfiles.find(p => p.isDefault)?.id}
+                                        onChange={(e) => onUpdateProject({ ...project, ngrokProfileId: e.target.value })}
+                                        disabled={project.status === 'running'}
+                                    >
+                                        {ngrokProfiles.map(profile => (
+                                            <option key={profile.id} value={profile.id}>🔐 {profile.name}</option>
+                                        ))}
+                                    </select>
+                                )}
+                                <span
+                                    className={`status-badge ${project.status} ${project.status === 'running' ? projectStates[project.id]?.state || '' : ''}`}
+                                    title={projectStates[project.id]?.error || undefined}
+                                >
+                                    {describeStatus(project, projectStates[project.id])}
                                 </span>
                             </div>
                         </div>
@@ -212,14 +342,58 @@ export default function ProjectsList({ projects, onRemove, onToggleStatus, onUpd
                             ))}
                         </div>
 
+                        {project.status === 'running' && (projectStates[project.id]?.services.length ?? 0) > 0 && (
+                            <div className="project-services">
+                                {projectStates[project.id].services.map(service => (
+                                    <span
+                                        key={service.name || service.service}
+                                        className={`service-state ${service.state} ${service.health || ''}`}
+                                        title={service.name || undefined}
+                                    >
+                                        {service.service} · {describeService(service)}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+
+                        {project.status === 'running' && project.publicUrls && project.publicUrls.length > 0 && (
+                            <div className="project-urls">
+                                {project.publicUrls.map(({ service, url }) => (
+                                    <div key={service} className="project-url">
+                                        <span className="project-url-service">{service}</span>
+                                        <span className="project-url-value" onClick={() => handleOpenUrl(url)}>{url}</span>
+                                        {readiness[project.id]?.[service] && (
+                                            <span className={`project-url-readiness ${describeReadiness(readiness[project.id][service]).className}`}>
+                                                {describeReadiness(readiness[project.id][service]).label}
+                                            </span>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        {project.status === 'running' && Object.values(readiness[project.id] || {}).some(progress => progress.state !== 'ready') && (
+                            <div className="project-readiness">
+                                {Object.values(readiness[project.id])
+                                    .filter(progress => progress.state !== 'ready')
+                                    .map(progress => (
+                                        <div key={progress.service} className={`project-readiness-line ${progress.state}`}>
+                                            {progress.state === 'failed' ? '❌' : '⏳'} {progress.service}:{' '}
+                                            {progress.stage === 'local' ? 'service' : 'public URL'} - {progress.detail || 'checking'}
+                                            {progress.state === 'waiting' && ` (attempt ${progress.attempt}, ${Math.round(progress.elapsedMs / 1000)}s)`}
+                                        </div>
+                                    ))}
+                            </div>
+                        )}
+
                         <div className="project-actions">
                             {project.status === 'stopped' ? (
                                 <button
                                     className="action-btn start"
                                     onClick={() => handleStart(project)}
-                                    disabled={runningProject === project.id}
+                                    disabled={startingProjects.includes(project.id)}
                                 >
-                                    {runningProject === project.id ? '⏳ Starting...' : '▶️ Start'}
+                                    {startingProjects.includes(project.id) ? '⏳ Starting...' : '▶️ Start'}
                                 </button>
                             ) : (
                                 <button
@@ -235,6 +409,40 @@ export default function ProjectsList({ projects, onRemove, onToggleStatus, onUpd
                             >
                                 📺 {expandedProject === project.id ? 'Hide Terminal' : 'Show Terminal'}
                             </button>
+                            <button
+                                className="action-btn env"
+                                onClick={() => setEnvProject(envProject === project.id ? null : project.id)}
+                                disabled={!project.dockerDir && project.runMode !== 'native'}
+                            >
+                                🔑 Env
+                            </button>
+                            <button
+                                className="action-btn tunnel"
+                                onClick={() => setTunnelProject(tunnelProject === project.id ? null : project.id)}
+                            >
+                                🌐 Tunnel
+                            </button>
+                            <button
+                                className="action-btn readiness"
+                                onClick={() => setReadinessProject(readinessProject === project.id ? null : project.id)}
+                            >
+                                🩺 Readiness
+                            </button>
+                            <button
+                                className="action-btn metrics"
+                                onClick={() => setMetricsProject(metricsProject === project.id ? null : project.id)}
+                            >
+                                📈 Metrics
+                            </button>
+                            {project.databases.some(db => db.image) && (
+                                <button
+                                    className="action-btn credentials"
+                                    onClick={() => setCredentialsProject(credentialsProject === project.id ? null : project.id)}
+                                    disabled={!project.dockerDir}
+                                >
+                                    🗄️ Credentials
+                                </button>
+                            )}
                             <button
                                 className="action-btn remove"
                                 onClick={() => onRemove(project.id)}
@@ -243,10 +451,53 @@ export default function ProjectsList({ projects, onRemove, onToggleStatus, onUpd
                             </button>
                         </div>
 
+                        {envProject === project.id && (
+                            <EnvEditor
+                                key={project.id}
+                                project={project}
+                                onClose={() => setEnvProject(null)}
+                            />
+                        )}
+
+                        {tunnelProject === project.id && (
+                            <TunnelSettings
+                                key={project.id}
+                                project={project}
+                                onClose={() => setTunnelProject(null)}
+                            />
+                        )}
+
+                        {readinessProject === project.id && (
+                            <ReadinessSettings
+                                key={project.id}
+                                project={project}
+                                onClose={() => setReadinessProject(null)}
+                            />
+                        )}
+
+                        {metricsProject === project.id && (
+                            <TunnelMetrics
+                                key={project.id}
+                                project={project}
+                                onClose={() => setMetricsProject(null)}
+                            />
+                        )}
+
+                        {credentialsProject === project.id && (
+                            <DatabaseCredentials
+                                key={project.id}
+                                project={project}
+                                onClose={() => setCredentialsProject(null)}
+                            />
+                        )}
+
                         {expandedProject === project.id && (
                             <div className="project-terminal">
                                 <Terminal
+                                    projectId={project.id}
+                                    project={project}
                                     publicUrl={project.publicUrl || null}
+                                    publicUrls={project.publicUrls}
                                     isRunning={project.status === 'running'}
                                     onStop={() => handleStop(project)}
                                     onOpenUrl={() => project.publicUrl && handleOpenUrl(project.publicUrl)}
@@ -0,0 +1,135 @@
+import { useEffect, useState } from 'react';
+import './ReadinessSettings.css';
+import type { ProbeType, Project, ReadinessConfig, ReadinessProbe } from '../types/electron';
+
+interface ReadinessSettingsProps {
+    project: Project;
+    onClose: () => void;
+}
+
+const DEFAULT_PROBE: ReadinessProbe = { type: 'http', path: '/', expectedStatus: null };
+
+const probeLabels: Record<ProbeType, string> = {
+    http: 'HTTP request',
+    tcp: 'TCP connect',
+    healthcheck: 'Compose healthcheck',
+    none: "Don't wait"
+};
+
+export default function ReadinessSettings({ project, onClose }: ReadinessSettingsProps) {
+    const [loadedProject] = useState(project); // Load once; status updates on the card must not discard edits
+    const [config, setConfig] = useState<ReadinessConfig | null>(null);
+    const [services, setServices] = useState<string[]>([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+    useEffect(() => {
+        const load = async () => {
+            const result = await window.electronAPI.getReadiness(loadedProject);
+            if (!result.success || !result.config) {
+                setMessage({ type: 'error', text: result.error || 'Failed to load readiness probes' });
+                return;
+            }
+            setConfig(result.config);
+            setServices(result.services || []);
+        };
+        load();
+    }, [loadedProject]);
+
+    if (!config) {
+        return (
+            <div className="readiness-settings">
+                {message ? <div className={`readiness-message ${message.type}`}>{message.text}</div> : <div className="readiness-hint">Loading...</div>}
+            </div>
+        );
+    }
+
+    const updateProbe = (service: string, changes: Partial<ReadinessProbe>) => {
+        const probe = { ...(config.probes[service] || DEFAULT_PROBE), ...changes };
+        setConfig({ ...config, probes: { ...config.probes, [service]: probe } });
+        setMessage(null);
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        const result = await window.electronAPI.saveReadiness(project, config);
+        setIsSaving(false);
+        setMessage(result.success
+            ? { type: 'success', text: 'Saved - applies from the next start' }
+            : { type: 'error', text: result.error || 'Failed to save readiness probes' });
+    };
+
+    return (
+        <div className="readiness-settings">
+            <div className="readiness-header">
+                <div className="readiness-title">🩺 Readiness</div>
+                <button className="readiness-close-btn" onClick={onClose}>✕</button>
+            </div>
+
+            <div className="readiness-hint">
+                The public URL is opened once each exposed service passes its check here and then answers through the tunnel.
+            </div>
+
+            <label className="readiness-field readiness-timeout">
+                Give up after (seconds)
+                <input
+                    type="number"
+                    min={5}
+                    max={1800}
+                    value={config.timeoutSeconds || ''}
+                    onChange={(e) => {
+                        setConfig({ ...config, timeoutSeconds: parseInt(e.target.value) || 0 });
+                        setMessage(null);
+                    }}
+                />
+            </label>
+
+            <div className="readiness-services">
+                {services.map(service => {
+                    const probe = config.probes[service] || DEFAULT_PROBE;
+                    return (
+                        <div key={service} className="readiness-service">
+                            <span className="readiness-service-name">{service}</span>
+                            <select
+                                value={probe.type}
+                                onChange={(e) => updateProbe(service, { type: e.target.value as ProbeType })}
+                            >
+                                {(Object.keys(probeLabels) as ProbeType[])
+                                    .filter(type => type !== 'healthcheck' || project.runMode !== 'native')
+                                    .map(type => <option key={type} value={type}>{probeLabels[type]}</option>)}
+                            </select>
+                            {probe.type === 'http' && (
+                                <>
+                                    <input
+                                        className="readiness-path"
+                                        value={probe.path}
+                                        onChange={(e) => updateProbe(service, { path: e.target.value })}
+                                        placeholder="/health"
+                                        spellCheck={false}
+                                    />
+                                    <input
+                                        className="readiness-status"
+                                        type="number"
+                                        value={probe.expectedStatus ?? ''}
+                                        onChange={(e) => updateProbe(service, { expectedStatus: e.target.value ? parseInt(e.target.value) : null })}
+                                        placeholder="< 500"
+                                        title="Expected status (empty = anything below 500)"
+                                    />
+                                </>
+                            )}
+                        </div>
+                    );
+                })}
+                {services.length === 0 && <div className="readiness-hint">No services to check in this project.</div>}
+            </div>
+
+            {message && <div className={`readiness-message ${message.type}`}>{message.text}</div>}
+
+            <div className="readiness-actions">
+                <button className="readiness-save-btn" onClick={handleSave} disabled={isSaving}>
+                    {isSaving ? '⏳ Saving...' : '💾 Save'}
+                </button>
+            </div>
+        </div>
+    );
+}
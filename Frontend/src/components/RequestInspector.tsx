@@ -0,0 +1,185 @@
+import { useEffect, useState } from 'react';
+import './RequestInspector.css';
+import type { Project, TunnelMessage, TunnelRequest, TunnelRequestDetail } from '../types/electron';
+
+interface RequestInspectorProps {
+    project: Project;
+}
+
+type StatusFilter = 'all' | '2xx' | '3xx' | '4xx' | '5xx' | 'pending';
+
+// How often the agent's captured requests are fetched again
+const POLL_INTERVAL_MS = 2000;
+
+const statusClass = (status: number | null) => (status === null ? 'pending' : `s${Math.floor(status / 100)}xx`);
+
+function matchesStatus(request: TunnelRequest, filter: StatusFilter) {
+    if (filter === 'all') return true;
+    if (filter === 'pending') return request.status === null;
+    return request.status !== null && `${Math.floor(request.status / 100)}xx` === filter;
+}
+
+function MessageView({ title, message }: { title: string; message: TunnelMessage | null }) {
+    if (!message) {
+        return (
+            <div className="inspector-message">
+                <div className="inspector-message-title">{title}</div>
+                <div className="inspector-hint">No response yet</div>
+            </div>
+        );
+    }
+    return (
+        <div className="inspector-message">
+            <div className="inspector-message-title">{title}</div>
+            <div className="inspector-headers">
+                {Object.entries(message.headers).map(([name, values]) => (
+                    <div key={name} className="inspector-header">
+                        <span className="inspector-header-name">{name}:</span> {values.join(', ')}
+                    </div>
+                ))}
+            </div>
+            {message.binary ? (
+                <div className="inspector-hint">{message.size} bytes of binary data</div>
+            ) : message.body ? (
+                <pre className="inspector-body">
+                    {message.body}
+                    {message.truncated && `\n… ${message.size} bytes in total`}
+                </pre>
+            ) : (
+                <div className="inspector-hint">Empty body</div>
+            )}
+        </div>
+    );
+}
+
+export default function RequestInspector({ project }: RequestInspectorProps) {
+    const [requests, setRequests] = useState<TunnelRequest[]>([]);
+    const [available, setAvailable] = useState<boolean | null>(null); // null = not checked yet
+    const [error, setError] = useState<string | null>(null);
+    const [query, setQuery] = useState('');
+    const [method, setMethod] = useState('all');
+    const [status, setStatus] = useState<StatusFilter>('all');
+    const [selected, setSelected] = useState<TunnelRequestDetail | null>(null);
+    const [replayMessage, setReplayMessage] = useState<string | null>(null);
+
+    useEffect(() => {
+        let active = true;
+        const poll = async () => {
+            const result = await window.electronAPI.listTunnelRequests(project);
+            if (!active) return;
+            if (result.success) {
+                setAvailable(result.available ?? false);
+                setRequests(result.requests || []);
+                setError(null);
+            } else {
+                setError(result.error || 'Failed to read the inspection API');
+            }
+        };
+        poll();
+        const timer = setInterval(poll, POLL_INTERVAL_MS);
+        return () => {
+            active = false;
+            clearInterval(timer);
+        };
+    }, [project]);
+
+    const openRequest = async (request: TunnelRequest) => {
+        setReplayMessage(null);
+        const result = await window.electronAPI.getTunnelRequest(request.apiPort, request.id);
+        if (result.success && result.request) {
+            setSelected(result.request);
+        } else {
+            setError(result.error || 'Failed to load the request');
+        }
+    };
+
+    const replay = async (request: TunnelRequestDetail) => {
+        const result = await window.electronAPI.replayTunnelRequest(request.apiPort, request.id);
+        setReplayMessage(result.success ? 'Replayed - the new request appears in the list' : `Replay failed: ${result.error}`);
+    };
+
+    if (available === false) {
+        return (
+            <div className="inspector-empty">
+                Request inspection uses the ngrok agent's inspection API. Start the project with the ngrok provider to see its traffic here.
+            </div>
+        );
+    }
+
+    if (selected) {
+        return (
+            <div className="inspector-detail">
+                <div className="inspector-detail-header">
+                    <button className="inspector-btn" onClick={() => setSelected(null)}>← Back</button>
+                    <span className={`inspector-status ${statusClass(selected.status)}`}>{selected.status ?? '…'}</span>
+                    <span className="inspector-method">{selected.method}</span>
+                    <span className="inspector-path">{selected.path}</span>
+                    <button className="inspector-btn replay" onClick={() => replay(selected)}>🔁 Replay request</button>
+                </div>
+                <div className="inspector-meta">
+                    {selected.service && <span>{selected.service}</span>}
+                    <span>{selected.clientIp}</span>
+                    {selected.durationMs !== null && <span>{selected.durationMs} ms</span>}
+                    {selected.start && <span>{new Date(selected.start).toLocaleTimeString()}</span>}
+                </div>
+                {replayMessage && <div className="inspector-hint">{replayMessage}</div>}
+                <MessageView title="Request" message={selected.request} />
+                <MessageView title="Response" message={selected.response} />
+            </div>
+        );
+    }
+
+    const methods = [...new Set(requests.map(request => request.method))].sort();
+    const needle = query.trim().toLowerCase();
+    const filtered = requests.filter(request =>
+        (method === 'all' || request.method === method) &&
+        matchesStatus(request, status) &&
+        (!needle || `${request.path} ${request.clientIp} ${request.status ?? ''}`.toLowerCase().includes(needle))
+    );
+
+    return (
+        <div className="inspector">
+            <div className="inspector-filters">
+                <input
+                    className="inspector-search"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="Filter by path, IP or status"
+                    spellCheck={false}
+                />
+                <select value={method} onChange={(e) => setMethod(e.target.value)}>
+                    <option value="all">All methods</option>
+                    {methods.map(m => <option key={m} value={m}>{m}</option>)}
+                </select>
+                <select value={status} onChange={(e) => setStatus(e.target.value as StatusFilter)}>
+                    <option value="all">All statuses</option>
+                    <option value="2xx">2xx</option>
+                    <option value="3xx">3xx</option>
+                    <option value="4xx">4xx</option>
+                    <option value="5xx">5xx</option>
+                    <option value="pending">No response</option>
+                </select>
+            </div>
+
+            {error && <div className="inspector-error">{error}</div>}
+
+            {filtered.length === 0 ? (
+                <div className="inspector-empty">
+                    {requests.length === 0 ? 'No requests through the tunnel yet' : 'No requests match the filter'}
+                </div>
+            ) : (
+                <div className="inspector-rows">
+                    {filtered.map(request => (
+                        <div key={request.id} className="inspector-row" onClick={() => openRequest(request)}>
+                            <span className={`inspector-status ${statusClass(request.status)}`}>{request.status ?? '…'}</span>
+                            <span className="inspector-method">{request.method}</span>
+                            <span className="inspector-path" title={request.path}>{request.path}</span>
+                            <span className="inspector-duration">{request.durationMs !== null ? `${request.durationMs} ms` : ''}</span>
+                            <span className="inspector-ip">{request.clientIp}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,65 +1,97 @@
 import { useState, useEffect, useRef } from 'react';
 import './Terminal.css';
+import RequestInspector from './RequestInspector';
+import type { LogEntry, Project, PublicUrl } from '../types/electron';
 
-interface LogEntry {
+interface TerminalLine {
     id: number;
     type: 'stdout' | 'stderr' | 'info' | 'success';
+    service: string | null;
     message: string;
-    tab: 'status' | 'api';
 }
 
 interface TerminalProps {
+    projectId: string | null; // Only this project's output is shown
+    project?: Project; // Saved project; its tunnel traffic is shown in the API tab
     publicUrl: string | null;
+    publicUrls?: PublicUrl[]; // Every exposed service; listed instead of publicUrl when there are several
     isRunning: boolean;
     onStop: () => void;
     onOpenUrl: () => void;
 }
 
-export default function Terminal({ publicUrl, isRunning, onStop, onOpenUrl }: TerminalProps) {
+// Lines kept on screen; the main process keeps its own backlog per project
+const MAX_LINES = 2000;
+
+function toLine(entry: LogEntry): TerminalLine {
+    return {
+        id: entry.id,
+        type: entry.type === 'stderr' ? 'stderr' : 'stdout',
+        service: entry.service,
+        message: entry.data
+    };
+}
+
+// Backlog and live lines can overlap while both arrive; entry ids are global and increasing
+function mergeLines(current: TerminalLine[], incoming: TerminalLine[]) {
+    const seen = new Set(current.map(line => line.id));
+    const merged = [...current, ...incoming.filter(line => !seen.has(line.id))].sort((a, b) => a.id - b.id);
+    return merged.slice(-MAX_LINES);
+}
+
+export default function Terminal({ projectId, project, publicUrl, publicUrls, isRunning, onStop, onOpenUrl }: TerminalProps) {
     const [activeTab, setActiveTab] = useState<'status' | 'api'>('status');
-    const [logs, setLogs] = useState<LogEntry[]>([]);
-    const [logIdCounter, setLogIdCounter] = useState(0);
+    const [logs, setLogs] = useState<TerminalLine[]>([]);
+    const [serviceFilter, setServiceFilter] = useState<string>('all');
     const bodyRef = useRef<HTMLDivElement>(null);
 
     useEffect(() => {
-        const handleDockerOutput = (data: { type: string; data: string }) => {
-            const newId = logIdCounter + 1;
-            setLogIdCounter(newId);
-
-            // Determine which tab this log belongs to
-            const isApiLog = data.data.toLowerCase().includes('request') ||
-                data.data.toLowerCase().includes('response') ||
-                data.data.toLowerCase().includes('http') ||
-                data.data.toLowerCase().includes('api');
-
-            setLogs(prev => [...prev, {
-                id: newId,
-                type: data.type === 'stderr' ? 'stderr' : 'stdout',
-                message: data.data,
-                tab: isApiLog ? 'api' : 'status'
-            }]);
-        };
-
-        window.electronAPI.onDockerOutput(handleDockerOutput);
+        if (!projectId) return;
+        let active = true;
+
+        // What was printed before this terminal opened, then everything new
+        window.electronAPI.getProjectLogs(projectId).then((entries) => {
+            if (active) setLogs(prev => mergeLines(prev, entries.map(toLine)));
+        });
+        const unsubscribe = window.electronAPI.onDockerOutput((entry) => {
+            if (entry.projectId !== projectId) return;
+            setLogs(prev => mergeLines(prev, [toLine(entry)]));
+        });
 
         return () => {
-            window.electronAPI.removeDockerOutputListener();
+            active = false;
+            unsubscribe();
         };
-    }, [logIdCounter]);
+    }, [projectId]);
 
     useEffect(() => {
-        if (bodyRef.current) {
+        if (activeTab === 'status' && bodyRef.current) {
             bodyRef.current.scrollTop = bodyRef.current.scrollHeight;
         }
-    }, [logs]);
+    }, [logs, activeTab]);
 
-    const filteredLogs = logs.filter(log => log.tab === activeTab);
+    const services = [...new Set(logs.map(log => log.service).filter((service): service is string => !!service))].sort();
+    const filteredLogs = logs.filter(log => serviceFilter === 'all' || log.service === serviceFilter);
 
     return (
         <div className="terminal-container">
             <div className="terminal-header">
                 <div className="terminal-url">
-                    {publicUrl ? (
+                    {publicUrls && publicUrls.length > 1 ? (
+                        <>
+                            <span className="url-label">🌐 Public URLs:</span>
+                            {publicUrls.map(({ service, url }) => (
+                                <span
+                                    key={service}
+                                    className="url-value"
+                                    title={url}
+                                    onClick={() => window.electronAPI.openExternal(url)}
+                                >
+                                    <span className="url-service">{service}</span> {url}
+                                </span>
+                            ))}
+                        </>
+                    ) : publicUrl ? (
                         <>
                             <span className="url-label">🌐 Public URL:</span>
                             <span className="url-value" onClick={onOpenUrl}>{publicUrl}</span>
@@ -95,13 +127,34 @@ export default function Terminal({ publicUrl, isRunning, onStop, onOpenUrl }: Te
                 >
                     📡 API Logs
                 </button>
+                {activeTab === 'status' && services.length > 0 && (
+                    <select
+                        className="terminal-service-filter"
+                        value={serviceFilter}
+                        onChange={(e) => setServiceFilter(e.target.value)}
+                    >
+                        <option value="all">All services</option>
+                        {services.map(service => (
+                            <option key={service} value={service}>{service}</option>
+                        ))}
+                    </select>
+                )}
             </div>
 
             <div className="terminal-body" ref={bodyRef}>
-                {filteredLogs.length === 0 ? (
+                {activeTab === 'api' ? (
+                    project && isRunning ? (
+                        <RequestInspector project={project} />
+                    ) : (
+                        <div className="terminal-empty">
+                            <div className="terminal-empty-icon">📡</div>
+                            <div>Requests through the tunnel show up here while the project runs</div>
+                        </div>
+                    )
+                ) : filteredLogs.length === 0 ? (
                     <div className="terminal-empty">
                         <div className="terminal-empty-icon">📋</div>
-                        <div>No logs yet for {activeTab === 'status' ? 'Status' : 'API'}</div>
+                        <div>No logs yet</div>
                         {isRunning && (
                             <div className="terminal-spinner">
                                 <div className="spinner-icon"></div>
@@ -112,6 +165,7 @@ export default function Terminal({ publicUrl, isRunning, onStop, onOpenUrl }: Te
                 ) : (
                     filteredLogs.map(log => (
                         <div key={log.id} className={`log-line ${log.type}`}>
+                            {log.service && <span className="log-service">{log.service}</span>}
                             {log.message}
                         </div>
                     ))
@@ -123,13 +177,13 @@ export default function Terminal({ publicUrl, isRunning, onStop, onOpenUrl }: Te
 
 // Export addLog helper for external use
 export function useTerminalLogs() {
-    const [logs, setLogs] = useState<LogEntry[]>([]);
+    const [logs, setLogs] = useState<TerminalLine[]>([]);
     const [logIdCounter, setLogIdCounter] = useState(0);
 
-    const addLog = (type: LogEntry['type'], message: string, tab: 'status' | 'api' = 'status') => {
+    const addLog = (type: TerminalLine['type'], message: string) => {
         const newId = logIdCounter + 1;
         setLogIdCounter(newId);
-        setLogs(prev => [...prev, { id: newId, type, message, tab }]);
+        setLogs(prev => [...prev, { id: newId, type, service: null, message }]);
     };
 
     return { logs, addLog };
@@ -0,0 +1,148 @@
+import { useEffect, useState } from 'react';
+import './TunnelMetrics.css';
+import type { Project, TunnelMetricsEvent, TunnelMetricsSample } from '../types/electron';
+
+interface TunnelMetricsProps {
+    project: Project;
+    onClose: () => void;
+}
+
+// Samples in the charts: the last 10 minutes at one sample every 5 seconds
+const CHART_SAMPLES = 120;
+// As many as the main process keeps for the session
+const MAX_SAMPLES = 2880;
+
+const eventLabels: Record<TunnelMetricsEvent['type'], string> = {
+    down: '🔴 Tunnel down',
+    up: '🟢 Tunnel up',
+    reconnected: '🟡 Agent reconnected'
+};
+
+const formatTime = (time: string) => new Date(time).toLocaleTimeString();
+
+function Chart({ title, unit, values, color }: { title: string; unit: string; values: number[]; color: string }) {
+    const width = 280;
+    const height = 70;
+    const max = Math.max(1, ...values);
+    const step = values.length > 1 ? width / (values.length - 1) : width;
+    const points = values.map((value, i) => `${(i * step).toFixed(1)},${(height - (value / max) * (height - 4) - 2).toFixed(1)}`).join(' ');
+
+    return (
+        <div className="metrics-chart">
+            <div className="metrics-chart-title">
+                {title}
+                <span className="metrics-chart-value">{values.length > 0 ? `${values[values.length - 1]} ${unit}` : '-'}</span>
+            </div>
+            <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="metrics-chart-svg">
+                {values.length > 1 && <polyline points={points} fill="none" stroke={color} strokeWidth="2" />}
+            </svg>
+            <div className="metrics-chart-scale">max {max} {unit}</div>
+        </div>
+    );
+}
+
+export default function TunnelMetrics({ project, onClose }: TunnelMetricsProps) {
+    const [samples, setSamples] = useState<TunnelMetricsSample[]>([]);
+    const [events, setEvents] = useState<TunnelMetricsEvent[]>([]);
+    const [loaded, setLoaded] = useState(false);
+    const projectId = project.id;
+
+    useEffect(() => {
+        let active = true;
+        window.electronAPI.getTunnelMetrics(projectId).then((history) => {
+            if (!active) return;
+            setSamples(history.samples);
+            setEvents(history.events);
+            setLoaded(true);
+        });
+        const unsubscribe = window.electronAPI.onTunnelMetrics((update) => {
+            if (update.projectId !== projectId) return;
+            const { sample, event } = update;
+            setSamples(prev => [...prev, sample].slice(-MAX_SAMPLES));
+            if (event) setEvents(prev => [...prev, event]);
+        });
+        return () => {
+            active = false;
+            unsubscribe();
+        };
+    }, [projectId]);
+
+    const latest = samples[samples.length - 1];
+    const lastEvent = events[events.length - 1];
+    const recent = samples.slice(-CHART_SAMPLES);
+
+    return (
+        <div className="tunnel-metrics">
+            <div className="metrics-header">
+                <div className="metrics-title">📈 Tunnel Metrics</div>
+                <button className="metrics-close-btn" onClick={onClose}>✕</button>
+            </div>
+
+            {!loaded ? (
+                <div className="metrics-hint">Loading...</div>
+            ) : !latest ? (
+                <div className="metrics-hint">
+                    {project.status === 'running'
+                        ? 'Waiting for the first sample - metrics come from the ngrok agent, other providers have none.'
+                        : 'Start the project to collect metrics. Only ngrok tunnels report them.'}
+                </div>
+            ) : (
+                <>
+                    <div className={`metrics-state ${latest.up ? (lastEvent?.type === 'reconnected' ? 'reconnected' : 'up') : 'down'}`}>
+                        {latest.up
+                            ? lastEvent?.type === 'reconnected'
+                                ? `🟡 Up - agent reconnected at ${formatTime(lastEvent.time)}`
+                                : '🟢 Tunnel up'
+                            : `🔴 Tunnel down${lastEvent?.type === 'down' ? ` since ${formatTime(lastEvent.time)}` : ''} (${latest.error})`}
+                    </div>
+
+                    <div className="metrics-stats">
+                        <div className="metrics-stat">
+                            <span className="metrics-stat-value">{latest.connections.open}</span>
+                            <span className="metrics-stat-label">open connections</span>
+                        </div>
+                        <div className="metrics-stat">
+                            <span className="metrics-stat-value">{latest.connections.total}</span>
+                            <span className="metrics-stat-label">connections</span>
+                        </div>
+                        <div className="metrics-stat">
+                            <span className="metrics-stat-value">{latest.requests.total}</span>
+                            <span className="metrics-stat-label">requests</span>
+                        </div>
+                        <div className="metrics-stat">
+                            <span className="metrics-stat-value">{latest.requests.perMinute}</span>
+                            <span className="metrics-stat-label">req/min</span>
+                        </div>
+                        <div className="metrics-stat">
+                            <span className="metrics-stat-value">
+                                {latest.latency.p50} / {latest.latency.p90} / {latest.latency.p99}
+                            </span>
+                            <span className="metrics-stat-label">p50 / p90 / p99 ms</span>
+                        </div>
+                    </div>
+
+                    <div className="metrics-charts">
+                        <Chart title="Requests" unit="req/min" values={recent.map(s => s.requests.perMinute)} color="#a78bfa" />
+                        <Chart title="Latency p90" unit="ms" values={recent.map(s => s.latency.p90)} color="#38bdf8" />
+                        <Chart title="Open connections" unit="" values={recent.map(s => s.connections.open)} color="#4ade80" />
+                    </div>
+                </>
+            )}
+
+            {events.length > 0 && (
+                <>
+                    <div className="metrics-section-title">This session</div>
+                    <div className="metrics-events">
+                        {[...events].reverse().map((event, i) => (
+                            <div key={`${event.time}-${i}`} className={`metrics-event ${event.type}`}>
+                                <span className="metrics-event-time">{formatTime(event.time)}</span>
+                                {eventLabels[event.type]}
+                                {event.detail && <span className="metrics-event-detail">{event.detail}</span>}
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import './NgrokProfiles.css';
+import './TunnelProviders.css';
+import type { TunnelProvider } from '../types/electron';
+
+interface ProviderForm {
+    id: string;
+    values: Record<string, string>;
+}
+
+export default function TunnelProviders() {
+    const [providers, setProviders] = useState<TunnelProvider[]>([]);
+    const [installed, setInstalled] = useState<Record<string, boolean>>({}); // Provider CLI found on this machine
+    const [form, setForm] = useState<ProviderForm | null>(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [reloadCount, setReloadCount] = useState(0); // Bumped after every change
+
+    useEffect(() => {
+        const load = async () => {
+            const result = await window.electronAPI.listTunnelProviders();
+            setProviders(result.providers);
+
+            const checks = await Promise.all(result.providers.map(p => window.electronAPI.checkDependency(p.id)));
+            setInstalled(Object.fromEntries(result.providers.map((p, index) => [p.id, checks[index].installed])));
+        };
+        load();
+    }, [reloadCount]);
+
+    const reload = () => setReloadCount(count => count + 1);
+
+    const handleSave = async () => {
+        if (!form) return;
+
+        setIsSaving(true);
+        setError(null);
+        const result = await window.electronAPI.saveTunnelProvider(form.id, form.values);
+        setIsSaving(false);
+
+        if (!result.success) {
+            setError(result.error || 'Failed to save provider settings');
+            return;
+        }
+        setForm(null);
+        reload();
+    };
+
+    const handleSetDefault = async (provider: TunnelProvider) => {
+        await window.electronAPI.setDefaultTunnelProvider(provider.id);
+        reload();
+    };
+
+    const formProvider = form ? providers.find(p => p.id === form.id) : null;
+
+    return (
+        <div className="ngrok-profiles-container tunnel-providers">
+            <div className="projects-header">
+                <h2 className="projects-title">Tunnel Providers</h2>
+            </div>
+
+            <p className="profiles-hint">
+                Projects use the default provider unless one is picked on the project card. Tunnels run as
+                Docker sidecars; the CLI is only needed for projects without a compose file.
+            </p>
+
+            <div className="profile-list">
+                {providers.map(provider => (
+                    <div key={provider.id} className={`profile-row ${provider.isDefault ? 'default' : ''}`}>
+                        <div className="provider-info">
+                            <div className="profile-info">
+                                <span className="profile-name">{provider.name}</span>
+                                {provider.isDefault && <span className="profile-default-badge">Default</span>}
+                                <span className={`provider-status ${provider.configured ? 'ready' : 'missing'}`}>
+                                    {provider.configured ? '✓ Ready' : '⚠️ Needs setup'}
+                                </span>
+                            </div>
+                            <div className="provider-description">
+                                {provider.description}
+                                {provider.cli && ` · ${provider.cli} CLI ${installed[provider.id] ? 'installed' : 'not installed'}`}
+                            </div>
+                        </div>
+                        <div className="profile-actions">
+                            {!provider.isDefault && (
+                                <button className="profile-btn" onClick={() => handleSetDefault(provider)}>⭐ Make Default</button>
+                            )}
+                            {provider.fields.length > 0 && (
+                                <button className="profile-btn" onClick={() => { setForm({ id: provider.id, values: { ...provider.values } }); setError(null); }}>
+                                    ⚙️ Configure
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {form && formProvider && (
+                <div className="profile-form">
+                    <div className="profile-form-title">{formProvider.name} Settings</div>
+                    {formProvider.fields.map(field => (
+                        <label key={field.key} className="provider-field">
+                            {field.label}{field.required ? ' *' : ''}
+                            <input
+                                className="profile-input"
+                                type={field.secret ? 'password' : 'text'}
+                                placeholder={field.secret && formProvider.secretsSet.includes(field.key)
+                                    ? 'Leave empty to keep the current value'
+                                    : field.placeholder}
+                                value={form.values[field.key] || ''}
+                                onChange={(e) => setForm({ ...form, values: { ...form.values, [field.key]: e.target.value } })}
+                                onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+                            />
+                        </label>
+                    ))}
+                    {error && <div className="profile-error">❌ {error}</div>}
+                    <div className="profile-form-actions">
+                        <button className="profile-btn" onClick={() => setForm(null)} disabled={isSaving}>Cancel</button>
+                        <button className="profile-btn primary" onClick={handleSave} disabled={isSaving}>
+                            {isSaving ? '⏳ Saving...' : '💾 Save'}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,327 @@
+import { useEffect, useState } from 'react';
+import './TunnelSettings.css';
+import type { HeaderRules, Project, TunnelSettings as TunnelSettingsData } from '../types/electron';
+
+interface TunnelSettingsProps {
+    project: Project;
+    onClose: () => void;
+}
+
+type AccessMode = 'public' | 'basic' | 'oauth';
+
+// Lists are edited as one entry per line
+const toLines = (values: string[]) => values.join('\n');
+const fromLines = (text: string) => text.split(/[\n,]/).map(v => v.trim()).filter(Boolean);
+
+const headersToLines = (headers: HeaderRules) => headers.add.map(h => `${h.name}: ${h.value}`).join('\n');
+const linesToHeaders = (text: string) => text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+        const colon = line.indexOf(':');
+        return colon === -1
+            ? { name: line, value: '' }
+            : { name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() };
+    });
+
+export default function TunnelSettings({ project, onClose }: TunnelSettingsProps) {
+    const [loadedProject] = useState(project); // Load once; status updates on the card must not discard edits
+    const [settings, setSettings] = useState<TunnelSettingsData | null>(null);
+    const [regions, setRegions] = useState<string[]>([]);
+    const [oauthProviders, setOauthProviders] = useState<string[]>([]);
+    const [services, setServices] = useState<{ name: string; ports: number[] }[]>([]); // Services that can be exposed
+    const [provider, setProvider] = useState<{ id: string; name: string; supportsSettings: boolean } | null>(null);
+    const [access, setAccess] = useState<AccessMode>('public');
+    const [lists, setLists] = useState<Record<string, string>>({}); // Raw textarea contents
+    const [hostHeaderMode, setHostHeaderMode] = useState<'' | 'rewrite' | 'custom'>('');
+    const [showPassword, setShowPassword] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState<{ type: 'success' | 'error' | 'warning'; text: string } | null>(null);
+
+    useEffect(() => {
+        const load = async () => {
+            const result = await window.electronAPI.getTunnelSettings(loadedProject);
+            if (!result.success || !result.settings) {
+                setMessage({ type: 'error', text: result.error || 'Failed to load tunnel settings' });
+                return;
+            }
+
+            const loaded = result.settings;
+            setSettings(loaded);
+            setRegions(result.regions || []);
+            setOauthProviders(result.oauthProviders || []);
+            setServices(result.services || []);
+            setProvider(result.provider || null);
+            setAccess(loaded.basicAuth.username ? 'basic' : loaded.oauth.provider ? 'oauth' : 'public');
+            setHostHeaderMode(loaded.hostHeader === '' ? '' : loaded.hostHeader === 'rewrite' ? 'rewrite' : 'custom');
+            setLists({
+                allowEmails: toLines(loaded.oauth.allowEmails),
+                allowDomains: toLines(loaded.oauth.allowDomains),
+                allowCidrs: toLines(loaded.allowCidrs),
+                denyCidrs: toLines(loaded.denyCidrs),
+                requestAdd: headersToLines(loaded.requestHeaders),
+                requestRemove: toLines(loaded.requestHeaders.remove),
+                responseAdd: headersToLines(loaded.responseHeaders),
+                responseRemove: toLines(loaded.responseHeaders.remove)
+            });
+        };
+        load();
+    }, [loadedProject]);
+
+    if (!settings) {
+        return (
+            <div className="tunnel-settings">
+                {message ? <div className={`tunnel-message ${message.type}`}>{message.text}</div> : <div className="tunnel-hint">Loading...</div>}
+            </div>
+        );
+    }
+
+    const update = (changes: Partial<TunnelSettingsData>) => {
+        setSettings({ ...settings, ...changes });
+        setMessage(null);
+    };
+
+    const toggleExposed = (service: { name: string; ports: number[] }) => {
+        const exposed = settings.exposed.some(e => e.service === service.name)
+            ? settings.exposed.filter(e => e.service !== service.name)
+            : [...settings.exposed, { service: service.name, port: service.ports[0] || 0 }];
+        update({ exposed });
+    };
+
+    const updateExposedPort = (serviceName: string, port: number) => {
+        update({ exposed: settings.exposed.map(e => e.service === serviceName ? { ...e, port } : e) });
+    };
+
+    const updateList = (key: string, value: string) => {
+        setLists({ ...lists, [key]: value });
+        setMessage(null);
+    };
+
+    const handleSave = async () => {
+        const payload: TunnelSettingsData = {
+            ...settings,
+            domain: settings.domain.trim(),
+            basicAuth: access === 'basic' ? settings.basicAuth : { username: '', password: '' },
+            oauth: access === 'oauth'
+                ? { provider: settings.oauth.provider, allowEmails: fromLines(lists.allowEmails), allowDomains: fromLines(lists.allowDomains) }
+                : { provider: '', allowEmails: [], allowDomains: [] },
+            allowCidrs: fromLines(lists.allowCidrs),
+            denyCidrs: fromLines(lists.denyCidrs),
+            requestHeaders: { add: linesToHeaders(lists.requestAdd), remove: fromLines(lists.requestRemove) },
+            responseHeaders: { add: linesToHeaders(lists.responseAdd), remove: fromLines(lists.responseRemove) },
+            hostHeader: hostHeaderMode === 'custom' ? settings.hostHeader.trim() : hostHeaderMode
+        };
+
+        setIsSaving(true);
+        const result = await window.electronAPI.saveTunnelSettings(project, payload);
+        setIsSaving(false);
+
+        if (!result.success) {
+            setMessage({ type: 'error', text: result.error || 'Failed to save tunnel settings' });
+        } else if (result.warning) {
+            setMessage({ type: 'warning', text: result.warning });
+        } else {
+            setMessage({
+                type: 'success',
+                text: project.status === 'running' ? 'Saved - restart the project to apply' : 'Saved'
+            });
+        }
+    };
+
+    return (
+        <div className="tunnel-settings">
+            <div className="tunnel-header">
+                <div className="tunnel-title">🌐 Tunnel Settings</div>
+                <button className="tunnel-close-btn" onClick={onClose}>✕</button>
+            </div>
+
+            {services.length > 0 && (
+                <>
+                    <div className="tunnel-section-title">Exposed services</div>
+                    <div className="tunnel-services">
+                        {services.map(service => {
+                            const exposed = settings.exposed.find(e => e.service === service.name);
+                            return (
+                                <div key={service.name} className="tunnel-service">
+                                    <label className="tunnel-radio">
+                                        <input type="checkbox" checked={Boolean(exposed)} onChange={() => toggleExposed(service)} />
+                                        {service.name}
+                                    </label>
+                                    {exposed && (
+                                        <>
+                                            <input
+                                                className="tunnel-port"
+                                                type="number"
+                                                list={`tunnel-ports-${service.name}`}
+                                                value={exposed.port || ''}
+                                                onChange={(e) => updateExposedPort(service.name, parseInt(e.target.value) || 0)}
+                                            />
+                                            <datalist id={`tunnel-ports-${service.name}`}>
+                                                {service.ports.map(port => <option key={port} value={port} />)}
+                                            </datalist>
+                                            {settings.exposed[0] === exposed && <span className="tunnel-primary">primary</span>}
+                                        </>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <div className="tunnel-hint">Each service gets its own public URL. The primary one uses the reserved domain.</div>
+                </>
+            )}
+
+            {provider && !provider.supportsSettings ? (
+                <div className="tunnel-hint">
+                    Domains, access, IP and header rules are ngrok features - {provider.name} only uses the exposed services.
+                </div>
+            ) : (
+                <>
+                    <div className="tunnel-grid">
+                        <label className="tunnel-field">
+                            Reserved domain
+                            <input
+                                placeholder="my-demo.ngrok.app (random URL when empty)"
+                                value={settings.domain}
+                                onChange={(e) => update({ domain: e.target.value })}
+                                spellCheck={false}
+                            />
+                        </label>
+                        <label className="tunnel-field">
+                            Region
+                            <select value={settings.region} onChange={(e) => update({ region: e.target.value })}>
+                                <option value="">Closest</option>
+                                {regions.map(region => <option key={region} value={region}>{region}</option>)}
+                            </select>
+                        </label>
+                    </div>
+
+                    <div className="tunnel-section-title">Access</div>
+                    <div className="tunnel-access">
+                        {(['public', 'basic', 'oauth'] as AccessMode[]).map(mode => (
+                            <label key={mode} className="tunnel-radio">
+                                <input type="radio" checked={access === mode} onChange={() => { setAccess(mode); setMessage(null); }} />
+                                {mode === 'public' ? 'Anyone with the URL' : mode === 'basic' ? 'Basic auth' : 'OAuth login'}
+                            </label>
+                        ))}
+                    </div>
+
+                    {access === 'basic' && (
+                        <div className="tunnel-grid">
+                            <label className="tunnel-field">
+                                Username
+                                <input
+                                    value={settings.basicAuth.username}
+                                    onChange={(e) => update({ basicAuth: { ...settings.basicAuth, username: e.target.value } })}
+                                    spellCheck={false}
+                                />
+                            </label>
+                            <label className="tunnel-field">
+                                Password (8+ characters)
+                                <div className="tunnel-password">
+                                    <input
+                                        type={showPassword ? 'text' : 'password'}
+                                        value={settings.basicAuth.password}
+                                        onChange={(e) => update({ basicAuth: { ...settings.basicAuth, password: e.target.value } })}
+                                    />
+                                    <button className="tunnel-icon-btn" onClick={() => setShowPassword(!showPassword)}>
+                                        {showPassword ? '🙈' : '👁️'}
+                                    </button>
+                                </div>
+                            </label>
+                        </div>
+                    )}
+
+                    {access === 'oauth' && (
+                        <div className="tunnel-grid">
+                            <label className="tunnel-field">
+                                Provider
+                                <select
+                                    value={settings.oauth.provider}
+                                    onChange={(e) => update({ oauth: { ...settings.oauth, provider: e.target.value } })}
+                                >
+                                    <option value="">Select...</option>
+                                    {oauthProviders.map(provider => <option key={provider} value={provider}>{provider}</option>)}
+                                </select>
+                            </label>
+                            <label className="tunnel-field">
+                                Allowed emails
+                                <textarea rows={2} value={lists.allowEmails} onChange={(e) => updateList('allowEmails', e.target.value)} placeholder="one per line" />
+                            </label>
+                            <label className="tunnel-field">
+                                Allowed email domains
+                                <textarea rows={2} value={lists.allowDomains} onChange={(e) => updateList('allowDomains', e.target.value)} placeholder="example.com" />
+                            </label>
+                        </div>
+                    )}
+
+                    <div className="tunnel-section-title">IP policy</div>
+                    <div className="tunnel-grid">
+                        <label className="tunnel-field">
+                            Allow CIDRs
+                            <textarea rows={2} value={lists.allowCidrs} onChange={(e) => updateList('allowCidrs', e.target.value)} placeholder="203.0.113.0/24" />
+                        </label>
+                        <label className="tunnel-field">
+                            Deny CIDRs
+                            <textarea rows={2} value={lists.denyCidrs} onChange={(e) => updateList('denyCidrs', e.target.value)} placeholder="198.51.100.7/32" />
+                        </label>
+                    </div>
+
+                    <div className="tunnel-section-title">Headers</div>
+                    <div className="tunnel-grid">
+                        <label className="tunnel-field">
+                            Add to requests
+                            <textarea rows={2} value={lists.requestAdd} onChange={(e) => updateList('requestAdd', e.target.value)} placeholder="X-Demo: true" />
+                        </label>
+                        <label className="tunnel-field">
+                            Remove from requests
+                            <textarea rows={2} value={lists.requestRemove} onChange={(e) => updateList('requestRemove', e.target.value)} placeholder="Cookie" />
+                        </label>
+                        <label className="tunnel-field">
+                            Add to responses
+                            <textarea rows={2} value={lists.responseAdd} onChange={(e) => updateList('responseAdd', e.target.value)} placeholder="X-Robots-Tag: noindex" />
+                        </label>
+                        <label className="tunnel-field">
+                            Remove from responses
+                            <textarea rows={2} value={lists.responseRemove} onChange={(e) => updateList('responseRemove', e.target.value)} placeholder="Server" />
+                        </label>
+                    </div>
+
+                    <div className="tunnel-grid">
+                        <label className="tunnel-field">
+                            Host header
+                            <select value={hostHeaderMode} onChange={(e) => {
+                                const mode = e.target.value as '' | 'rewrite' | 'custom';
+                                setHostHeaderMode(mode);
+                                if (mode === 'custom') update({ hostHeader: '' });
+                                else setMessage(null);
+                            }}>
+                                <option value="">Keep the public host</option>
+                                <option value="rewrite">Rewrite to the upstream address</option>
+                                <option value="custom">Set a fixed host</option>
+                            </select>
+                        </label>
+                        {hostHeaderMode === 'custom' && (
+                            <label className="tunnel-field">
+                                Host
+                                <input
+                                    value={settings.hostHeader}
+                                    onChange={(e) => update({ hostHeader: e.target.value })}
+                                    placeholder="localhost"
+                                    spellCheck={false}
+                                />
+                            </label>
+                        )}
+                    </div>
+                </>
+            )}
+
+            {message && <div className={`tunnel-message ${message.type}`}>{message.text}</div>}
+
+            <div className="tunnel-actions">
+                <button className="tunnel-save-btn" onClick={handleSave} disabled={isSaving}>
+                    {isSaving ? '⏳ Saving...' : '💾 Save'}
+                </button>
+            </div>
+        </div>
+    );
+}
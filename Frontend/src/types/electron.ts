@@ -4,6 +4,38 @@ export interface TechStack {
     name: string;
     type: string;
     icon: string;
+    framework?: string;
+    buildTool?: string;
+    outputDir?: string;
+    template?: string; // Dockerfile template chosen by the scanner
+    confidence?: 'high' | 'medium' | 'low';
+    reasons?: string[]; // Evidence the detection was based on
+    packageManager?: PackageManagerInfo; // Node-based stacks only
+    runtime?: RuntimeVersion; // Toolchain version the Dockerfile builds with
+    baseImages?: string[]; // Images the generated Dockerfile pulls
+}
+
+export interface RuntimeVersion {
+    name: 'node' | 'python' | 'go' | 'rust' | 'java' | 'php';
+    version: string;
+    source: string; // e.g. ".nvmrc", "go.mod toolchain", or "default"
+    pinned: boolean; // false when the project doesn't specify a version
+}
+
+export interface NodeWorkspace {
+    root: string;
+    dir: string; // The member's folder, relative to root
+    manifests: string[]; // Every member's package.json, relative to root
+}
+
+export interface PackageManagerInfo {
+    name: 'npm' | 'yarn' | 'pnpm' | 'bun';
+    version: string | null; // From the packageManager field
+    lockfile: string | null; // Lockfile in the build context (null = install resolves versions at build time)
+    installFiles: string[]; // Copied before the install step
+    workspace?: NodeWorkspace | null; // Set for workspace members, which are built from the workspace root
+    yarnBerry: boolean;
+    source: string;
 }
 
 export interface Database {
@@ -12,12 +44,26 @@ export interface Database {
     image: string | null;
 }
 
+export interface PortEvidence {
+    port: number;
+    source: string; // e.g. "PORT in .env", "listen() call in src/index.ts"
+}
+
 export interface StructureItem {
     name: string;
-    type: 'frontend' | 'backend' | 'root';
+    type: 'frontend' | 'backend' | 'root' | 'library';
     path: string;
+    relativePath?: string; // Path from the project root ('.' for the root itself)
+    serviceName?: string; // Compose service name generated for this unit
+    workspace?: string; // Workspace root this unit belongs to, if any
     techStacks: TechStack[];
     databases?: Database[];
+    port?: number;
+    portSource?: string; // Evidence the proposed port came from, or 'edited'
+    portEvidence?: PortEvidence[]; // Every port candidate found, most trusted first
+    startCommand?: string | null; // Command the container runs (null for nginx-served units)
+    entrypoint?: string | null; // Go package, jar name, Rust binary or app module backing the command
+    startCommandSource?: string | null; // Where the command was inferred from, or 'edited'
 }
 
 export interface Project {
@@ -33,6 +79,238 @@ export interface Project {
     publicUrl?: string;
     isTemporary?: boolean; // If true, Docker files are only in app's folder (not copied to project)
     generatedFiles?: string[]; // List of files we generated (absolute paths)
+    composeFiles?: string[]; // Compose files passed with -f (user's file + our tunnel override)
+    runMode?: 'docker' | 'native'; // native = units run as local processes, no Docker (docker when unset)
+    tunnelProvider?: string; // Tunnel provider id (global default when unset)
+    ngrokProfileId?: string; // Ngrok account the tunnel runs under (default profile when unset)
+    publicUrls?: PublicUrl[]; // Every exposed service while running; publicUrl is the first
+    startedAt?: string; // When it was last started (log reattach picks up from here)
+}
+
+export interface PublicUrl {
+    service: string;
+    url: string;
+}
+
+export interface NgrokProfile {
+    id: string;
+    name: string;
+    isDefault: boolean;
+    tokenHint: string | null; // Last characters of the token
+}
+
+export interface TunnelProviderField {
+    key: string;
+    label: string;
+    placeholder: string;
+    secret: boolean; // Stored encrypted and never sent back
+    required: boolean;
+}
+
+export interface TunnelProvider {
+    id: string;
+    name: string;
+    description: string;
+    cli: string | null; // Binary the dependency check looks for (null = nothing to install)
+    fields: TunnelProviderField[]; // Credentials set up in the Tunnels tab
+    values: Record<string, string>; // Current non-secret values
+    secretsSet: string[]; // Secret fields that have a stored value
+    configured: boolean;
+    isDefault: boolean;
+    supportsSettings: boolean; // Whether domain/auth/header settings apply
+}
+
+export type ProcessKind = 'build' | 'run' | 'tunnel' | 'logs';
+
+export interface ProjectProcess {
+    id: number;
+    service: string | null; // Unit the process belongs to (null = the whole project, e.g. compose)
+    pid: number | null; // null for servers the app runs itself
+    startedAt: string;
+}
+
+export interface ProjectStatus {
+    projectId: string;
+    running: boolean; // Has run processes
+    build: ProjectProcess[];
+    run: ProjectProcess[];
+    tunnel: ProjectProcess[];
+    logs: ProjectProcess[]; // Log followers attached to containers started in an earlier session
+}
+
+export type ProjectState = 'stopped' | 'starting' | 'running' | 'healthy' | 'unhealthy' | 'partial' | 'exited';
+
+export interface ServiceState {
+    service: string;
+    name: string | null; // Container name (null for native units)
+    state: string; // running, exited, restarting, created, paused, dead...
+    health: string | null; // healthy, unhealthy, starting (null = no healthcheck)
+    exitCode: number | null;
+}
+
+export interface ProjectStateReport {
+    projectId: string;
+    state: ProjectState;
+    exitCode: number | null; // Exit code of the first failed service
+    active: boolean; // Anything is running at all
+    tunnelUp: boolean | null; // null = no tunnel of its own to check
+    services: ServiceState[];
+    checkedAt: string;
+    error: string | null; // Why the containers couldn't be listed (e.g. Docker not running)
+}
+
+export type ProbeType = 'http' | 'tcp' | 'healthcheck' | 'none';
+
+export interface ReadinessProbe {
+    type: ProbeType;
+    path: string; // http only
+    expectedStatus: number | null; // http only; null = anything below 500
+}
+
+export interface ReadinessConfig {
+    timeoutSeconds: number;
+    probes: Record<string, ReadinessProbe>; // Per service; unset = HTTP GET / below 500
+}
+
+export interface ReadinessProgress {
+    projectId: string;
+    service: string;
+    stage: 'local' | 'tunnel'; // On this machine, then through the public URL
+    state: 'waiting' | 'ready' | 'failed';
+    attempt: number;
+    detail: string;
+    elapsedMs: number;
+}
+
+export interface TunnelRequest {
+    id: string;
+    apiPort: number; // Inspection API of the agent that captured it
+    service: string | null; // Tunnel (exposed service) it came through
+    method: string;
+    path: string;
+    status: number | null; // null = no response yet
+    durationMs: number | null;
+    clientIp: string;
+    start: string | null;
+}
+
+export interface TunnelMessage {
+    headers: Record<string, string[]>;
+    body: string;
+    size: number; // Body bytes
+    binary: boolean; // Body not shown
+    truncated: boolean;
+}
+
+export interface TunnelRequestDetail extends TunnelRequest {
+    request: TunnelMessage;
+    response: TunnelMessage | null;
+}
+
+export interface TunnelMetricsSample {
+    time: string;
+    up: boolean; // The agent answered and reported tunnels
+    error: string | null;
+    urls: string[];
+    connections: { total: number; open: number };
+    requests: { total: number; perMinute: number };
+    latency: { p50: number; p90: number; p95: number; p99: number }; // ms, slowest tunnel
+}
+
+export interface TunnelMetricsEvent {
+    time: string;
+    type: 'down' | 'up' | 'reconnected';
+    detail: string;
+}
+
+export interface LogEntry {
+    id: number;
+    projectId: string;
+    service: string | null; // Compose service or native unit (null = the project as a whole)
+    type: 'stdout' | 'stderr';
+    data: string;
+    time: string;
+}
+
+export type BuildStepStatus = 'running' | 'done' | 'cached' | 'failed' | 'cancelled';
+
+export interface BuildStep {
+    id: string;
+    name: string; // "[3/5] RUN npm ci"
+    index: number;
+    status: BuildStepStatus;
+    startedAt: number; // ms since epoch
+    finishedAt: number | null;
+    durationMs: number | null;
+}
+
+export interface BuildServiceProgress {
+    service: string;
+    status: 'pending' | 'building' | 'done' | 'failed' | 'cancelled';
+    total: number | null; // Dockerfile steps, once the builder reports them
+    current: string | null; // Step running now
+    startedAt: number | null;
+    finishedAt: number | null;
+    steps: BuildStep[];
+}
+
+export interface BuildFailure {
+    service: string | null;
+    step: string | null;
+    dockerfile: string | null;
+    dockerfileLine: number | null;
+    error: string | null;
+    output: string[]; // Last lines the failed step printed
+}
+
+export interface BuildProgress {
+    projectId: string;
+    status: 'building' | 'succeeded' | 'failed' | 'cancelled';
+    startedAt: number;
+    finishedAt: number | null;
+    services: BuildServiceProgress[];
+    failure: BuildFailure | null;
+}
+
+export interface EnvVariable {
+    key: string;
+    value: string;
+    secret: boolean; // Masked in the editor, stored encrypted
+}
+
+export interface DatabaseCredential {
+    name: string;
+    service: string;
+    user: string;
+    password: string;
+    rootPassword?: string;
+    database: string;
+    hostPort: number;
+    connectionEnv: Record<string, string>;
+}
+
+export interface HeaderRules {
+    add: { name: string; value: string }[];
+    remove: string[];
+}
+
+export interface TunnelSettings {
+    domain: string; // Reserved/static domain
+    region: string; // Empty = ngrok picks the closest
+    basicAuth: { username: string; password: string };
+    oauth: { provider: string; allowEmails: string[]; allowDomains: string[] };
+    allowCidrs: string[];
+    denyCidrs: string[];
+    requestHeaders: HeaderRules;
+    responseHeaders: HeaderRules;
+    hostHeader: string; // '', 'rewrite' or a fixed host
+    exposed: ExposeTarget[]; // Services with their own public URL; the first gets the reserved domain
+}
+
+export interface ServiceEnv {
+    name: string; // Compose service
+    variables: EnvVariable[];
+    sources: { file: string; path: string }[]; // .env files found in the service's folder
 }
 
 export interface ScannedProject {
@@ -46,14 +324,55 @@ export interface ScannedProject {
 export interface DependencyResult {
     installed: boolean;
     version: string | null;
+    engine?: string | null; // Container engine id, for the 'docker' check
+}
+
+export interface ContainerEngine {
+    id: string;
+    name: string;
+    installed: boolean;
+    version: string | null;
+}
+
+export interface ComposePortMapping {
+    service: string;
+    hostIp: string | null;
+    hostPort: number;
+    containerPort: number;
+    protocol: string;
+}
+
+export interface ComposeService {
+    name: string;
+    image: string | null;
+    hasBuild: boolean;
+    ports: number[];
+}
+
+export interface ExposeTarget {
+    service: string;
+    port: number;
 }
 
 export interface GeneratedDockerFile {
     type: string;
+    service?: string;
     path: string;
     content: string;
 }
 
+export interface BuildContextEstimate {
+    service: string;
+    path: string;
+    bytes: number; // Total size sent to the builder after ignore rules
+    fileCount: number;
+    excludedCount: number;
+    truncated: boolean; // Stopped counting after too many files
+    sensitiveFiles: string[]; // Secrets that would still be copied into the image
+    excludedSensitiveFiles: string[]; // Secrets kept out by the ignore rules
+    largestEntries: { name: string; bytes: number }[];
+}
+
 declare global {
     interface Window {
         electronAPI: {
@@ -76,29 +395,75 @@ declare global {
 
             // Ngrok
             checkNgrokConfigured: () => Promise<{ configured: boolean }>;
-            setupNgrokKey: (key: string) => Promise<{ success: boolean; error?: string }>;
-            getNgrokKey: () => Promise<string | null>;
-            getNgrokUrl: (apiPort?: number) => Promise<{ success: boolean; url?: string; error?: string }>;
+            setupNgrokKey: (key: string) => Promise<{ success: boolean; profileId?: string; error?: string }>;
+            hasNgrokKey: (profileId?: string) => Promise<boolean>;
+            listNgrokProfiles: () => Promise<{ profiles: NgrokProfile[]; defaultProfileId: string | null }>;
+            saveNgrokProfile: (profile: { id?: string; name: string; token?: string }) => Promise<{ success: boolean; error?: string }>;
+            removeNgrokProfile: (profileId: string) => Promise<{ success: boolean }>;
+            setDefaultNgrokProfile: (profileId: string) => Promise<{ success: boolean; error?: string }>;
+
+            // Tunnel Providers
+            listTunnelProviders: () => Promise<{ providers: TunnelProvider[]; defaultProviderId: string }>;
+            saveTunnelProvider: (providerId: string, values: Record<string, string>) => Promise<{ success: boolean; error?: string }>;
+            setDefaultTunnelProvider: (providerId: string) => Promise<{ success: boolean; error?: string }>;
+            checkTunnelProvider: (project: { tunnelProvider?: string; ngrokProfileId?: string }) => Promise<{ ready: boolean; providerId: string; error: string | null }>;
+            prepareTunnel: (project: Project) => Promise<{ success: boolean; providerId?: string; error?: string }>;
+            getTunnelUrls: (project: Project) => Promise<{ success: boolean; url?: string; urls?: PublicUrl[]; error?: string }>;
+
+            // Container Engine (activeId is null when none is installed; overrideId null = detect)
+            getContainerEngine: () => Promise<{ engines: ContainerEngine[]; activeId: string | null; overrideId: string | null }>;
+            setContainerEngine: (engineId: string | null) => Promise<{ success: boolean; error?: string }>;
 
             // Docker
             generateDockerFiles: (project: { id: string; structure: StructureItem[]; databases?: Database[] }) => Promise<{ success: boolean; dockerDir?: string; files?: GeneratedDockerFile[]; error?: string }>;
             applyDockerToProject: (project: { path: string; structure: StructureItem[] }, dockerDir: string) => Promise<{ success: boolean; files?: string[]; error?: string }>;
-            dockerBuild: (dockerDir: string) => Promise<{ success: boolean; code?: number }>;
-            dockerUp: (dockerDir: string) => Promise<{ success: boolean; running?: boolean; code?: number }>;
-            dockerDown: (dockerDir: string) => Promise<{ success: boolean }>;
-            onDockerOutput: (callback: (data: { type: string; data: string }) => void) => void;
-            removeDockerOutputListener: () => void;
+            dockerBuild: (dockerDir: string, composeFiles: string[] | undefined, projectId: string) => Promise<{ success: boolean; code?: number | null; cancelled?: boolean; failure?: BuildFailure | null }>;
+            dockerUp: (dockerDir: string, composeFiles?: string[], project?: Project) => Promise<{ success: boolean; running?: boolean; code?: number }>;
+            dockerDown: (dockerDir: string, composeFiles: string[] | undefined, projectId: string) => Promise<{ success: boolean }>;
+            cancelBuild: (projectId: string) => Promise<{ success: boolean; cancelled: boolean }>; // Docker or native build
+            onBuildProgress: (callback: (progress: BuildProgress) => void) => () => void; // Returns the unsubscribe function
+            onDockerOutput: (callback: (entry: LogEntry) => void) => () => void; // Returns the unsubscribe function
+            attachProjectLogs: (project: Project, since?: string) => Promise<{ success: boolean; attached?: boolean; error?: string }>;
+            getProjectLogs: (projectId: string) => Promise<LogEntry[]>;
+            listTunnelRequests: (project: Project, limit?: number) => Promise<{ success: boolean; available?: boolean; requests?: TunnelRequest[]; error?: string }>;
+            getTunnelRequest: (apiPort: number, id: string) => Promise<{ success: boolean; request?: TunnelRequestDetail; error?: string }>;
+            replayTunnelRequest: (apiPort: number, id: string) => Promise<{ success: boolean; error?: string }>;
+            getTunnelMetrics: (projectId: string) => Promise<{ samples: TunnelMetricsSample[]; events: TunnelMetricsEvent[] }>;
+            onTunnelMetrics: (callback: (update: { projectId: string; sample: TunnelMetricsSample; event: TunnelMetricsEvent | null }) => void) => () => void; // Returns the unsubscribe function
+            // Native Run
+            nativePrepare: (project: { id: string; structure: StructureItem[]; databases?: Database[] }) => Promise<{ success: boolean; error?: string }>;
+            nativeStart: (project: Project) => Promise<{ success: boolean; url?: string; urls?: PublicUrl[]; ports?: Record<string, number>; error?: string }>;
+            // Project Processes
+            getProjectStatus: (projectId: string) => Promise<ProjectStatus>;
+            listProjectStatuses: () => Promise<ProjectStatus[]>;
+            stopProject: (project: Project, kind?: ProcessKind) => Promise<{ success: boolean; status?: ProjectStatus; error?: string }>;
+            reconcileProjects: () => Promise<ProjectStateReport[]>;
+            getReadiness: (project: Project) => Promise<{ success: boolean; config?: ReadinessConfig; services?: string[]; error?: string }>;
+            saveReadiness: (project: Project, config: ReadinessConfig) => Promise<{ success: boolean; error?: string }>;
+            waitForReady: (project: Project, urls: PublicUrl[]) => Promise<{ success: boolean; services: { service: string; ready: boolean; stage?: 'local' | 'tunnel'; detail: string }[] }>;
+            onReadinessProgress: (callback: (progress: ReadinessProgress) => void) => () => void; // Returns the unsubscribe function
+            onProjectStates: (callback: (states: ProjectStateReport[]) => void) => () => void; // Returns the unsubscribe function
             // Existing Docker
-            setupExistingDocker: (project: ScannedProject) => Promise<{ success: boolean; dockerDir?: string; hasExistingCompose?: boolean; ngrokCommand?: string; error?: string; regenerate?: boolean; useSidecar?: boolean }>;
-            startNgrokTunnel: (port: number) => Promise<{ success: boolean; url?: string; pid?: number; error?: string }>;
-            stopNgrokTunnel: (pid?: number) => Promise<{ success: boolean }>;
+            analyzeBuildContext: (project: { structure: StructureItem[] }) => Promise<{ success: boolean; units?: BuildContextEstimate[]; error?: string }>;
+            getProjectEnv: (project: Project) => Promise<{ success: boolean; services?: ServiceEnv[]; error?: string }>;
+            importEnvFile: (filePath: string) => Promise<{ success: boolean; variables?: EnvVariable[]; error?: string }>;
+            saveProjectEnv: (project: Project, services: Record<string, EnvVariable[]>) => Promise<{ success: boolean; envFiles?: Record<string, string>; warning?: string; error?: string }>;
+            getDbCredentials: (project: Project) => Promise<{ success: boolean; databases?: DatabaseCredential[]; encrypted?: boolean; error?: string }>;
+            rotateDbCredentials: (project: Project) => Promise<{ success: boolean; error?: string }>;
+            getTunnelSettings: (project: Project) => Promise<{ success: boolean; settings?: TunnelSettings; services?: { name: string; ports: number[] }[]; regions?: string[]; oauthProviders?: string[]; provider?: { id: string; name: string; supportsSettings: boolean }; error?: string }>;
+            saveTunnelSettings: (project: Project, settings: TunnelSettings) => Promise<{ success: boolean; warning?: string; error?: string }>;
+            getComposeServices: (projectPath: string) => Promise<{ success: boolean; composePath?: string; generatedByUs?: boolean; services?: ComposeService[]; error?: string }>;
+            setupExistingDocker: (project: ScannedProject & { id: string }, target?: ExposeTarget) => Promise<{ success: boolean; dockerDir?: string; composeFiles?: string[]; ngrokApiPort?: number; error?: string; regenerate?: boolean; useSidecar?: boolean }>;
+            startHostTunnel: (port: number, project: Project) => Promise<{ success: boolean; url?: string; pid?: number; error?: string }>;
+            stopHostTunnel: (projectId: string) => Promise<{ success: boolean }>;
             // Port Conflict Detection
             checkPortInUse: (port: number) => Promise<{ inUse: boolean; pid?: number; processName?: string; pids?: number[] }>;
             findAvailablePort: (startPort: number) => Promise<{ success: boolean; port?: number; error?: string }>;
-            getDockerPorts: (dockerDir: string) => Promise<{ success: boolean; ports?: number[]; ngrokApiPort?: number; error?: string }>;
-            updateDockerPorts: (dockerDir: string, mappings: { oldPort: number; newPort: number }[]) => Promise<{ success: boolean; error?: string }>;
+            getDockerPorts: (dockerDir: string, composeFiles?: string[]) => Promise<{ success: boolean; ports?: number[]; mappings?: ComposePortMapping[]; ngrokApiPort?: number; error?: string }>;
+            updateDockerPorts: (dockerDir: string, mappings: { oldPort: number; newPort: number; service?: string }[], composeFiles?: string[]) => Promise<{ success: boolean; error?: string }>;
+            updateDockerEnv: (dockerDir: string, serviceName: string, variables: Record<string, string | null>) => Promise<{ success: boolean; error?: string }>;
             // Cleanup
-            cleanupProjectFiles: (project: { id: string; dockerDir?: string; generatedFiles?: string[]; isTemporary?: boolean }) => Promise<{ success: boolean; deletedFiles?: string[]; error?: string }>;
+            cleanupProjectFiles: (project: { id: string; structure?: StructureItem[]; dockerDir?: string; generatedFiles?: string[]; isTemporary?: boolean }) => Promise<{ success: boolean; deletedFiles?: string[]; error?: string }>;
         };
     }
 }
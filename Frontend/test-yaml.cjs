@@ -1,14 +1,14 @@
-const { yamlStringify } = require('./electron/dockerGenerator.cjs');
+const { stringifyCompose } = require('./electron/composeFile.cjs');
 
 const testObj = {
     version: '3.8',
     services: {
         web: {
             image: 'nginx',
-            ports: ['80:80'],
-            environment: [] // This should be skipped
+            ports: ['80:80', '127.0.0.1:2222:22'],
+            environment: ['API_URL=http://api:8080/#v1', 'NOTE=a: b']
         }
     }
 };
 
-console.log(yamlStringify(testObj));
+console.log(stringifyCompose(testObj));